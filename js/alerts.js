@@ -0,0 +1,575 @@
+/* alerts.js (price / signal / pulse / Mutant alerts) v2026.10.19
+ * User-defined alert rules evaluated on every darrius:chartUpdated (main chart).
+ *
+ * Rule types:
+ * - price   : last close crosses `level` (above / below / any)
+ * - signal  : new B / S / eB / eS signal on the symbol (optionally TF-bound)
+ * - pulse   : Market Pulse score crosses `level` (same scoring as the gauge)
+ * - mutant  : Darrius Mutant confirmed arrow flip (up / down / any)
+ * - divergence : new price / Mutant divergence (bull / bear / any; regular or hidden per Mutant settings)
+ *
+ * - First evaluation per symbol/TF only seeds a baseline (no alert storm on load)
+ * - Pulse / Mutant values come from the compute worker (DarriusCompute.run, one run per chart
+ *   update for all rules); DarriusAlerts.evaluate resolves to the number of alerts fired
+ * - Bar-replay snapshots (snapshot.replay) are ignored
+ * - Delivery: Notification API (if granted) + in-page toast + short beep
+ * - Rules, history and sound setting persisted in localStorage
+ * - Snooze per rule or globally; `once` rules disable themselves after firing
+ * - Emits `darrius:alert` with { rule, symbol, tf, text, ts }
+ *
+ * Safety:
+ * - Never throws
+ * - Read-only on chart state
+ */
+(() => {
+  'use strict';
+
+  function safe(fn) { try { return fn(); } catch { return null; } }
+  const $ = (id) => document.getElementById(id);
+
+  const CFG = {
+    rulesKey: 'darrius_alert_rules_v1',
+    historyKey: 'darrius_alert_history_v1',
+    prefsKey: 'darrius_alert_prefs_v1',
+    historyMax: 200,
+    historyShow: 20,
+    cooldownMs: 60 * 1000,
+    toastMs: 8000,
+    toastMax: 4,
+    snoozeOptionsMin: [15, 60, 240],
+  };
+
+  const TYPES = {
+    price: { label: 'Price · 价格', dirs: ['above', 'below', 'any'], level: true },
+    signal: { label: 'Signal · 信号', dirs: ['any', 'B', 'S', 'eB', 'eS'], level: false },
+    pulse: { label: 'Pulse · 情绪', dirs: ['above', 'below', 'any'], level: true },
+    mutant: { label: 'Mutant flip · 变异翻转', dirs: ['any', 'up', 'down'], level: false },
+    divergence: { label: 'Mutant divergence · 变异背离', dirs: ['any', 'bull', 'bear'], level: false },
+  };
+
+  const STATE = {
+    rules: [],
+    history: [],
+    prefs: { sound: true, snoozeAllUntil: 0 },
+    seen: new Map(),   // `${rule.id}|${symbol}|${tf}` -> { price, score, sigTime, turnTime, divTime }
+    audio: null,
+    queue: Promise.resolve(0),   // evaluations in chart-update order
+  };
+
+  const norm = (s) => String(s || '').trim().toUpperCase();
+  const now = () => Date.now();
+
+  // -------- persistence --------
+  function load() {
+    const r = safe(() => JSON.parse(localStorage.getItem(CFG.rulesKey) || '[]'));
+    const h = safe(() => JSON.parse(localStorage.getItem(CFG.historyKey) || '[]'));
+    const p = safe(() => JSON.parse(localStorage.getItem(CFG.prefsKey) || 'null'));
+    STATE.rules = Array.isArray(r) ? r.filter(x => x && TYPES[x.type]) : [];
+    STATE.history = Array.isArray(h) ? h : [];
+    if (p) STATE.prefs = Object.assign({}, STATE.prefs, p);
+  }
+
+  function saveRules() { safe(() => localStorage.setItem(CFG.rulesKey, JSON.stringify(STATE.rules))); }
+  function saveHistory() { safe(() => localStorage.setItem(CFG.historyKey, JSON.stringify(STATE.history))); }
+  function savePrefs() { safe(() => localStorage.setItem(CFG.prefsKey, JSON.stringify(STATE.prefs))); }
+
+  // -------- rules --------
+  function addRule(spec) {
+    const type = TYPES[spec && spec.type] ? spec.type : null;
+    if (!type) return null;
+
+    const level = Number(spec.level);
+    if (TYPES[type].level && !Number.isFinite(level)) return null;
+
+    const rule = {
+      id: 'a' + now().toString(36) + Math.random().toString(36).slice(2, 6),
+      type,
+      symbol: norm(spec.symbol),
+      tf: String(spec.tf || ''),                // '' = any TF
+      level: TYPES[type].level ? level : null,
+      dir: TYPES[type].dirs.includes(spec.dir) ? spec.dir : TYPES[type].dirs[0],
+      once: !!spec.once,
+      enabled: true,
+      snoozeUntil: 0,
+      lastFired: 0,
+      created: now(),
+    };
+    if (!rule.symbol) return null;
+
+    STATE.rules.push(rule);
+    saveRules();
+    renderRules();
+    return rule;
+  }
+
+  function removeRule(id) {
+    STATE.rules = STATE.rules.filter(r => r.id !== id);
+    saveRules();
+    renderRules();
+  }
+
+  function setEnabled(id, on) {
+    const r = STATE.rules.find(x => x.id === id);
+    if (!r) return;
+    r.enabled = !!on;
+    saveRules();
+    renderRules();
+  }
+
+  function snooze(id, minutes) {
+    const until = now() + Math.max(1, Number(minutes) || 60) * 60 * 1000;
+    if (id) {
+      const r = STATE.rules.find(x => x.id === id);
+      if (r) r.snoozeUntil = until;
+      saveRules();
+    } else {
+      STATE.prefs.snoozeAllUntil = until;
+      savePrefs();
+    }
+    renderRules();
+  }
+
+  function unsnooze(id) {
+    if (id) {
+      const r = STATE.rules.find(x => x.id === id);
+      if (r) r.snoozeUntil = 0;
+      saveRules();
+    } else {
+      STATE.prefs.snoozeAllUntil = 0;
+      savePrefs();
+    }
+    renderRules();
+  }
+
+  function describe(r) {
+    const tf = r.tf ? ` ${r.tf}` : '';
+    if (r.type === 'price') return `${r.symbol}${tf} price ${r.dir === 'any' ? 'crosses' : r.dir} ${r.level}`;
+    if (r.type === 'pulse') return `${r.symbol}${tf} pulse ${r.dir === 'any' ? 'crosses' : r.dir} ${r.level}`;
+    if (r.type === 'signal') return `${r.symbol}${tf} new ${r.dir === 'any' ? 'B/S' : r.dir} signal`;
+    if (r.type === 'divergence') return `${r.symbol}${tf} Mutant ${r.dir === 'any' ? '' : r.dir + ' '}divergence`;
+    return `${r.symbol}${tf} Mutant flip ${r.dir === 'any' ? '' : r.dir}`.trim();
+  }
+
+  // -------- evaluation --------
+  function crossed(prev, cur, level, dir) {
+    if (!Number.isFinite(prev) || !Number.isFinite(cur)) return null;
+    const up = prev < level && cur >= level;
+    const dn = prev > level && cur <= level;
+    if ((dir === 'above' || dir === 'any') && up) return 'above';
+    if ((dir === 'below' || dir === 'any') && dn) return 'below';
+    return null;
+  }
+
+  function normSide(s) {
+    const side = String(s?.side || s?.label || s?.text || '').trim();
+    return (side === 'B' || side === 'S' || side === 'eB' || side === 'eS') ? side : '';
+  }
+
+  function lastSignal(signals, dir) {
+    let best = null;
+    for (const s of signals || []) {
+      const side = normSide(s);
+      const t = Number(s?.time);
+      if (!side || !t) continue;
+      if (dir !== 'any' && side !== dir) continue;
+      if (!best || t > best.time) best = { time: t, side };
+    }
+    return best;
+  }
+
+  // m: the compute worker's mutant job (same settings the Mutant panel uses for this TF)
+  function lastMutantTurn(m) {
+    const t = m && m.turns.length ? m.turns[m.turns.length - 1] : null;
+    return t && m.pts[t.idx] ? { time: Number(m.pts[t.idx].time), dir: t.dir } : null;
+  }
+
+  function lastDivergence(m, dir) {
+    const divs = ((m && m.divs) || []).filter(d => dir === 'any' || d.dir === dir);
+    return divs.length ? divs[divs.length - 1] : null;
+  }
+
+  // pulse / Mutant for the rules that need them, one compute-worker run per chart update
+  // -> Promise<{ pulse, mutant }>
+  function derive(snap, rules) {
+    const C = window.DarriusCompute;
+    const jobs = {};
+    if (rules.some(r => r.type === 'pulse')) jobs.pulse = true;
+    if (rules.some(r => r.type === 'mutant' || r.type === 'divergence')) {
+      const M = window.DarriusMutant;
+      const P = M && typeof M.paramsFor === 'function' ? M.paramsFor(snap.tf) : undefined;
+      if (P) jobs.mutant = P;
+    }
+    if (!C || !Object.keys(jobs).length) return Promise.resolve({});
+    return C.run('main', `${snap.symbol}|${snap.tf}`, snap.bars, jobs, { live: snap.live });
+  }
+
+  // -> alert text or null; always advances the baseline
+  // d: derive()'s results
+  function check(rule, snap, seen, d) {
+    const bars = snap.bars || [];
+    const lastBar = bars[bars.length - 1];
+
+    if (rule.type === 'price') {
+      const px = Number(lastBar?.close);
+      const hit = seen ? crossed(seen.price, px, rule.level, rule.dir) : null;
+      return { next: { price: px }, text: hit ? `${rule.symbol} crossed ${hit} ${rule.level} · 价格穿越 (${px.toFixed(2)})` : null };
+    }
+
+    if (rule.type === 'pulse') {
+      const score = d.pulse ? d.pulse.score : null;
+      const hit = seen ? crossed(seen.score, score, rule.level, rule.dir) : null;
+      return { next: { score }, text: hit ? `${rule.symbol} pulse ${hit} ${rule.level} · 情绪穿越 (${score} ${d.pulse.label})` : null };
+    }
+
+    if (rule.type === 'signal') {
+      const sig = lastSignal(snap.signals, rule.dir);
+      const t = sig ? sig.time : 0;
+      const hit = seen && sig && t > Number(seen.sigTime || 0);
+      return { next: { sigTime: t }, text: hit ? `${rule.symbol} ${snap.tf} new ${sig.side} signal · 新信号` : null };
+    }
+
+    if (rule.type === 'mutant') {
+      const turn = lastMutantTurn(d.mutant);
+      const t = turn ? turn.time : 0;
+      const want = rule.dir === 'any' || (rule.dir === 'up' ? turn?.dir > 0 : turn?.dir < 0);
+      const hit = seen && turn && t > Number(seen.turnTime || 0) && want;
+      return {
+        next: { turnTime: t },
+        text: hit ? `${rule.symbol} ${snap.tf} Mutant flipped ${turn.dir > 0 ? 'up ▲' : 'down ▼'} · 变异翻转` : null,
+      };
+    }
+
+    if (rule.type === 'divergence') {
+      const div = lastDivergence(d.mutant, rule.dir);
+      const t = div ? Number(div.confirmedTime) : 0;
+      const hit = seen && div && t > Number(seen.divTime || 0);
+      const what = `${div?.dir === 'bull' ? 'bullish' : 'bearish'}${div?.type === 'hidden' ? ' hidden' : ''} divergence`;
+      return {
+        next: { divTime: t },
+        text: hit ? `${rule.symbol} ${snap.tf} Mutant ${what} · ${div.dir === 'bull' ? '看涨' : '看跌'}背离` : null,
+      };
+    }
+
+    return { next: {}, text: null };
+  }
+
+  function evaluate(snap) {
+    const none = Promise.resolve(0);
+    return safe(() => {
+      if (!snap || !Array.isArray(snap.bars) || !snap.bars.length) return none;
+      if (snap.replay) return none; // bar replay is history, not market data
+      const symbol = norm(snap.symbol);
+      const tf = String(snap.tf || '');
+      const rules = STATE.rules.filter(r => r.enabled && r.symbol === symbol && (!r.tf || r.tf === tf));
+      if (!rules.length) return none;
+
+      // posted now, applied in chart-update order (baselines must advance in sequence)
+      const derived = derive(snap, rules);
+      STATE.queue = STATE.queue.then(() => derived).then(d => safe(() => apply(snap, rules, d || {})) || 0);
+      return STATE.queue;
+    }) || none;
+  }
+
+  function apply(snap, rules, d) {
+    const symbol = norm(snap.symbol);
+    const tf = String(snap.tf || '');
+    let fired = 0;
+
+    for (const rule of rules) {
+      if (!rule.enabled || !STATE.rules.includes(rule)) continue;
+
+      const key = `${rule.id}|${symbol}|${tf}`;
+      const seen = STATE.seen.get(key) || null;
+      const res = check(rule, snap, seen, d);
+      STATE.seen.set(key, Object.assign({}, seen || {}, res.next));
+      if (!res.text) continue;
+
+      const t = now();
+      if (t < rule.snoozeUntil || t < STATE.prefs.snoozeAllUntil) continue;
+      if (t - Number(rule.lastFired || 0) < CFG.cooldownMs) continue;
+
+      rule.lastFired = t;
+      if (rule.once) rule.enabled = false;
+      fire(rule, symbol, tf, res.text);
+      fired++;
+    }
+
+    if (fired) { saveRules(); renderRules(); }
+    return fired;
+  }
+
+  // -------- delivery --------
+  function fire(rule, symbol, tf, text) {
+    const entry = { ts: now(), ruleId: rule.id, type: rule.type, symbol, tf, text };
+    STATE.history.unshift(entry);
+    if (STATE.history.length > CFG.historyMax) STATE.history.length = CFG.historyMax;
+    saveHistory();
+    renderHistory();
+
+    toast(text);
+    notify(text);
+    if (STATE.prefs.sound) beep();
+
+    safe(() => window.dispatchEvent(new CustomEvent('darrius:alert', { detail: Object.assign({ rule }, entry) })));
+  }
+
+  function notify(text) {
+    safe(() => {
+      if (!('Notification' in window) || Notification.permission !== 'granted') return;
+      const n = new Notification('DarriusAI Alert', { body: text, tag: 'darrius-alert' });
+      n.onclick = () => { safe(() => window.focus()); n.close(); };
+    });
+  }
+
+  function requestPermission() {
+    safe(() => {
+      if (!('Notification' in window)) { renderPerm(); return; }
+      Promise.resolve(Notification.requestPermission()).then(renderPerm, renderPerm);
+    });
+  }
+
+  function toast(text) {
+    safe(() => {
+      let box = $('alertToasts');
+      if (!box) {
+        box = document.createElement('div');
+        box.id = 'alertToasts';
+        document.body.appendChild(box);
+      }
+      while (box.children.length >= CFG.toastMax) box.firstChild.remove();
+
+      const t = document.createElement('div');
+      t.className = 'alertToast';
+      t.textContent = text;
+      t.addEventListener('click', () => t.remove());
+      box.appendChild(t);
+      setTimeout(() => t.remove(), CFG.toastMs);
+    });
+  }
+
+  function beep() {
+    safe(() => {
+      const AC = window.AudioContext || window.webkitAudioContext;
+      if (!AC) return;
+      const ctx = STATE.audio || (STATE.audio = new AC());
+      const o = ctx.createOscillator();
+      const g = ctx.createGain();
+      o.type = 'sine';
+      o.frequency.value = 880;
+      g.gain.setValueAtTime(0.0001, ctx.currentTime);
+      g.gain.exponentialRampToValueAtTime(0.2, ctx.currentTime + 0.02);
+      g.gain.exponentialRampToValueAtTime(0.0001, ctx.currentTime + 0.35);
+      o.connect(g);
+      g.connect(ctx.destination);
+      o.start();
+      o.stop(ctx.currentTime + 0.4);
+    });
+  }
+
+  // -------- UI --------
+  function fmtTs(ts) {
+    return safe(() => new Date(ts).toLocaleString(undefined, { month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' })) || '';
+  }
+
+  function syncDirOptions() {
+    safe(() => {
+      const type = $('alertType')?.value || 'price';
+      const dirEl = $('alertDir');
+      const lvlEl = $('alertLevel');
+      if (!dirEl) return;
+      dirEl.innerHTML = '';
+      for (const d of TYPES[type].dirs) {
+        const o = document.createElement('option');
+        o.value = d;
+        o.textContent = d;
+        dirEl.appendChild(o);
+      }
+      if (lvlEl) {
+        lvlEl.disabled = !TYPES[type].level;
+        lvlEl.placeholder = type === 'pulse' ? 'Score 0–100' : (TYPES[type].level ? 'Level · 价位' : '—');
+      }
+    });
+  }
+
+  function renderPerm() {
+    safe(() => {
+      const btn = $('alertNotifyBtn');
+      if (!btn) return;
+      const p = ('Notification' in window) ? Notification.permission : 'unsupported';
+      btn.textContent = p === 'granted' ? 'Notifications on · 已开启' : p === 'denied' ? 'Notifications blocked · 已拦截' : 'Enable notifications · 开启通知';
+      btn.disabled = p === 'granted' || p === 'denied' || p === 'unsupported';
+    });
+  }
+
+  function renderRules() {
+    safe(() => {
+      const box = $('alertRules');
+      if (!box) return;
+      box.innerHTML = '';
+      const t = now();
+
+      for (const r of STATE.rules) {
+        const row = document.createElement('div');
+        row.className = 'alertRule' + (r.enabled ? '' : ' off');
+        row.dataset.id = r.id;
+
+        const on = document.createElement('input');
+        on.type = 'checkbox';
+        on.checked = !!r.enabled;
+        on.dataset.act = 'toggle';
+
+        const txt = document.createElement('span');
+        txt.className = 'alertText';
+        txt.textContent = describe(r) + (r.once ? ' · once' : '');
+
+        const sn = document.createElement('span');
+        sn.className = 'alertSnooze';
+        if (r.snoozeUntil > t) {
+          sn.textContent = `zz ${fmtTs(r.snoozeUntil)}`;
+          sn.dataset.act = 'unsnooze';
+          sn.title = 'Click to unsnooze · 取消暂停';
+        } else {
+          sn.textContent = 'zz';
+          sn.dataset.act = 'snooze';
+          sn.title = `Snooze ${CFG.snoozeOptionsMin[1]}m · 暂停`;
+        }
+
+        const del = document.createElement('button');
+        del.className = 'alertDel';
+        del.textContent = '×';
+        del.dataset.act = 'remove';
+
+        row.appendChild(on);
+        row.appendChild(txt);
+        row.appendChild(sn);
+        row.appendChild(del);
+        box.appendChild(row);
+      }
+
+      if (!STATE.rules.length) {
+        const e = document.createElement('div');
+        e.className = 'small';
+        e.textContent = 'No rules · 暂无提醒规则';
+        box.appendChild(e);
+      }
+
+      const all = $('alertSnoozeAllBtn');
+      if (all) {
+        all.textContent = STATE.prefs.snoozeAllUntil > t
+          ? `Snoozed until ${fmtTs(STATE.prefs.snoozeAllUntil)} · 点击恢复`
+          : 'Snooze all 1h · 全部暂停';
+      }
+    });
+  }
+
+  function renderHistory() {
+    safe(() => {
+      const box = $('alertHistory');
+      if (!box) return;
+      box.innerHTML = '';
+      for (const h of STATE.history.slice(0, CFG.historyShow)) {
+        const row = document.createElement('div');
+        row.className = 'alertHist';
+        const ts = document.createElement('span');
+        ts.className = 'small';
+        ts.textContent = fmtTs(h.ts);
+        const tx = document.createElement('span');
+        tx.textContent = h.text;
+        row.appendChild(ts);
+        row.appendChild(tx);
+        box.appendChild(row);
+      }
+      if (!STATE.history.length) {
+        const e = document.createElement('div');
+        e.className = 'small';
+        e.textContent = 'No alerts yet · 暂无记录';
+        box.appendChild(e);
+      }
+    });
+  }
+
+  function currentSymbol() {
+    return norm(($('symbol') || $('symbo1'))?.value) || 'TSLA';
+  }
+
+  function onAdd() {
+    safe(() => {
+      const type = $('alertType')?.value || 'price';
+      const rule = addRule({
+        type,
+        symbol: currentSymbol(),
+        tf: $('alertTfOnly')?.checked ? ($('tf')?.value || '') : '',
+        level: $('alertLevel')?.value,
+        dir: $('alertDir')?.value,
+        once: $('alertOnce')?.checked,
+      });
+      const hint = $('alertHint');
+      if (hint) hint.textContent = rule ? `Added: ${describe(rule)}` : 'Enter a valid level · 请输入有效数值';
+      if (rule && 'Notification' in window && Notification.permission === 'default') requestPermission();
+    });
+  }
+
+  function clearHistory() {
+    STATE.history = [];
+    saveHistory();
+    renderHistory();
+  }
+
+  function start() {
+    load();
+
+    safe(() => {
+      $('alertType')?.addEventListener('change', syncDirOptions);
+      $('alertAddBtn')?.addEventListener('click', onAdd);
+      $('alertNotifyBtn')?.addEventListener('click', requestPermission);
+      $('alertHistClear')?.addEventListener('click', clearHistory);
+
+      const snd = $('alertSound');
+      if (snd) {
+        snd.checked = !!STATE.prefs.sound;
+        snd.addEventListener('change', () => { STATE.prefs.sound = !!snd.checked; savePrefs(); });
+      }
+
+      $('alertSnoozeAllBtn')?.addEventListener('click', () => {
+        if (STATE.prefs.snoozeAllUntil > now()) unsnooze(null);
+        else snooze(null, 60);
+      });
+
+      $('alertRules')?.addEventListener('click', (e) => {
+        const row = e.target.closest('.alertRule');
+        const act = e.target.dataset.act;
+        if (!row || !act) return;
+        const id = row.dataset.id;
+        if (act === 'toggle') setEnabled(id, e.target.checked);
+        else if (act === 'remove') removeRule(id);
+        else if (act === 'snooze') snooze(id, CFG.snoozeOptionsMin[1]);
+        else if (act === 'unsnooze') unsnooze(id);
+      });
+    });
+
+    syncDirOptions();
+    renderPerm();
+    renderRules();
+    renderHistory();
+
+    safe(() => {
+      window.addEventListener('darrius:chartUpdated', (e) => evaluate(e && e.detail));
+    });
+  }
+
+  window.DarriusAlerts = {
+    addRule,
+    removeRule,
+    setEnabled,
+    listRules: () => STATE.rules.map(r => Object.assign({}, r)),
+    snooze,
+    unsnooze,
+    history: () => STATE.history.slice(),
+    clearHistory,
+    evaluate,
+    describe,
+  };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+  else start();
+})();
@@ -0,0 +1,298 @@
+/* backtest.js (client-side signal backtester) v2026.10.19
+ * Walks the main chart snapshot's signals over its bars and reports what trading them would have done.
+ *
+ * - Long only: enter on B (and eB when "Early" is on), exit on S (/ eS), the stop or the target
+ * - Fills at the next bar's open (a signal is only known at its bar's close); stop / target are
+ *   checked from the entry bar on, gaps fill at the open, stop wins when both hit in one bar
+ * - Stop = entry - stopAtr x ATR(14) at the signal bar (0 = off); target = entry + targetR x R (0 = off)
+ * - Fees and slippage in bps per side; equity compounds with the full position, marked to close
+ * - Card (#btCard): settings, trades / win rate / profit factor / max DD / avg R / net, equity pane
+ * - Risk Copilot reads the win rate through DarriusBacktest.result()
+ * - Engine: DarriusCompute.runBacktest, run in the compute worker (DarriusBacktest.run is the
+ *   same engine, synchronous)
+ * - Re-runs when a bar closes (a new bar shows up), the signals / history change or the
+ *   settings do; live ticks that only move the forming bar are skipped
+ *
+ * Safety:
+ * - Never throws
+ * - Read-only on chart state (follows the published snapshot, so bar replay never sees the future)
+ */
+(() => {
+  'use strict';
+
+  function safe(fn) { try { return fn(); } catch { return null; } }
+  const $ = (id) => document.getElementById(id);
+
+  const CFG = {
+    storageKey: 'darrius_backtest_v1',
+    event: 'darrius:backtestUpdated',
+    paneHeight: 90,
+    dprCap: 2,
+    upColor: 'rgba(43,226,166,1)',
+    downColor: 'rgba(255,90,90,1)',
+  };
+
+  const DEFAULTS = { feeBps: 5, slipBps: 5, stopAtr: 2, targetR: 3, early: true };
+
+  // setting -> [min, max]
+  const LIMITS = { feeBps: [0, 200], slipBps: [0, 200], stopAtr: [0, 10], targetR: [0, 20] };
+
+  const STATE = {
+    settings: Object.assign({}, DEFAULTS),
+    snap: null,
+    runKey: '',        // snapKey() of the snapshot the result is for
+    seq: 0,            // latest recompute()
+    result: null,
+    canvas: null,
+    ctx: null,
+    w: 0,
+    h: 0,
+  };
+
+  const num = (v) => Number(v);
+  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+
+  // -------- settings --------
+  function normSettings(raw) {
+    const out = Object.assign({}, DEFAULTS);
+    if (!raw || typeof raw !== 'object') return out;
+    for (const k of Object.keys(LIMITS)) {
+      const v = num(raw[k]);
+      if (Number.isFinite(v)) out[k] = clamp(v, LIMITS[k][0], LIMITS[k][1]);
+    }
+    if (typeof raw.early === 'boolean') out.early = raw.early;
+    return out;
+  }
+
+  function loadSettings() {
+    STATE.settings = normSettings(safe(() => JSON.parse(localStorage.getItem(CFG.storageKey) || 'null')));
+  }
+
+  function saveSettings() {
+    safe(() => localStorage.setItem(CFG.storageKey, JSON.stringify(STATE.settings)));
+  }
+
+  // -------- engine (DarriusCompute.runBacktest, js/darrius.compute.js) --------
+  const C = window.DarriusCompute;
+
+  function run(snap, opts) {
+    if (!C) return null;
+    const o = normSettings(Object.assign({}, STATE.settings, opts));
+    const res = C.runBacktest(snap && snap.bars, snap && snap.signals, o);
+    return Object.assign({ symbol: snap && snap.symbol, tf: snap && snap.tf }, res);
+  }
+
+  // -------- card --------
+  const pct = (v, d = 1) => Number.isFinite(v) ? `${(v * 100).toFixed(d)}%` : '—';
+  const signedPct = (v) => Number.isFinite(v) ? `${v >= 0 ? '+' : ''}${(v * 100).toFixed(1)}%` : '—';
+
+  function setText(id, text, color) {
+    const el = $(id);
+    if (!el) return;
+    el.textContent = text;
+    el.style.color = color || '';
+  }
+
+  function renderStats() {
+    safe(() => {
+      const r = STATE.result;
+      const up = 'var(--brand1)', dn = 'var(--danger)';
+      setText('btTrades', r ? `${r.count}${r.open ? ' +1' : ''}` : '—');
+      setText('btWin', r ? pct(r.winRate, 0) : '—');
+      setText('btPF', r && r.profitFactor === Infinity ? '∞' : r && Number.isFinite(r.profitFactor) ? r.profitFactor.toFixed(2) : '—',
+        r && r.profitFactor >= 1 ? up : r && r.profitFactor < 1 ? dn : '');
+      setText('btDD', r && r.maxDD ? `-${pct(r.maxDD)}` : '—', r && r.maxDD ? dn : '');
+      setText('btAvgR', r && Number.isFinite(r.avgR) ? `${r.avgR >= 0 ? '+' : ''}${r.avgR.toFixed(2)}R` : '—');
+      setText('btNet', r ? signedPct(r.net) : '—', r ? (r.net >= 0 ? up : dn) : '');
+      setText('btStatus', r && r.symbol ? `${r.symbol} · ${r.tf || ''}` : '—');
+    });
+  }
+
+  function resizeCanvas() {
+    safe(() => {
+      const host = $('btEquity');
+      if (!host) return;
+      if (!STATE.canvas) {
+        STATE.canvas = document.createElement('canvas');
+        STATE.canvas.style.display = 'block';
+        host.appendChild(STATE.canvas);
+      }
+      const dpr = Math.min(CFG.dprCap, Math.max(1, window.devicePixelRatio || 1));
+      STATE.w = Math.max(1, Math.floor(host.getBoundingClientRect().width));
+      STATE.h = CFG.paneHeight;
+      STATE.canvas.width = Math.floor(STATE.w * dpr);
+      STATE.canvas.height = Math.floor(STATE.h * dpr);
+      STATE.canvas.style.width = `${STATE.w}px`;
+      STATE.canvas.style.height = `${STATE.h}px`;
+      STATE.ctx = STATE.canvas.getContext('2d');
+      STATE.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    });
+  }
+
+  function drawEquity() {
+    safe(() => {
+      const ctx = STATE.ctx;
+      if (!ctx) return;
+      const { w, h } = STATE;
+      ctx.clearRect(0, 0, w, h);
+
+      const pts = STATE.result ? STATE.result.equity : [];
+      ctx.font = '11px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial';
+      ctx.textBaseline = 'top';
+      ctx.fillStyle = 'rgba(162,176,194,.9)';
+      ctx.fillText('Equity · 资金曲线', 6, 4);
+      if (pts.length < 2) return;
+
+      let lo = 1, hi = 1;
+      for (const p of pts) { lo = Math.min(lo, p.value); hi = Math.max(hi, p.value); }
+      const pad = (hi - lo) * 0.08 || 0.01;
+      lo -= pad; hi += pad;
+      const top = 18, bot = h - 4;
+      const X = (i) => (i / (pts.length - 1)) * (w - 2) + 1;
+      const Y = (v) => bot - ((v - lo) / (hi - lo)) * (bot - top);
+
+      // baseline (start equity)
+      const y1 = Math.floor(Y(1)) + 0.5;
+      ctx.save();
+      ctx.strokeStyle = 'rgba(255,255,255,.18)';
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath(); ctx.moveTo(0, y1); ctx.lineTo(w, y1); ctx.stroke();
+      ctx.restore();
+
+      const color = pts[pts.length - 1].value >= 1 ? CFG.upColor : CFG.downColor;
+      ctx.beginPath();
+      pts.forEach((p, i) => (i ? ctx.lineTo(X(i), Y(p.value)) : ctx.moveTo(X(i), Y(p.value))));
+      ctx.save();
+      ctx.lineTo(X(pts.length - 1), y1);
+      ctx.lineTo(X(0), y1);
+      ctx.closePath();
+      ctx.fillStyle = color.replace(',1)', ',.12)');
+      ctx.fill();
+      ctx.restore();
+
+      ctx.beginPath();
+      pts.forEach((p, i) => (i ? ctx.lineTo(X(i), Y(p.value)) : ctx.moveTo(X(i), Y(p.value))));
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.stroke();
+
+      // trade exits
+      const idx = new Map(pts.map((p, i) => [p.time, i]));
+      for (const t of STATE.result.trades) {
+        const i = idx.get(t.exitTime);
+        if (i == null) continue;
+        ctx.beginPath();
+        ctx.arc(X(i), Y(pts[i].value), 2, 0, Math.PI * 2);
+        ctx.fillStyle = t.ret > 0 ? CFG.upColor : CFG.downColor;
+        ctx.fill();
+      }
+
+      const net = STATE.result.net;
+      ctx.textAlign = 'right';
+      ctx.fillStyle = color;
+      ctx.fillText(signedPct(net), w - 6, 4);
+      ctx.textAlign = 'left';
+    });
+  }
+
+  // what a run depends on besides the forming bar: symbol / TF, bar count + range, signals
+  function snapKey(snap) {
+    const bars = snap.bars;
+    const sigs = snap.signals || [];
+    return [
+      snap.symbol, snap.tf, bars.length,
+      bars.length ? bars[0].time : '', bars.length ? bars[bars.length - 1].time : '',
+      sigs.length, sigs.length ? sigs[sigs.length - 1].time : '',
+    ].join('|');
+  }
+
+  function publish(result) {
+    STATE.result = result;
+    renderStats();
+    drawEquity();
+    safe(() => window.dispatchEvent(new CustomEvent(CFG.event, { detail: STATE.result })));
+  }
+
+  // runs in the compute worker; an answer for an older snapshot / settings is dropped
+  function recompute() {
+    const snap = STATE.snap;
+    const seq = ++STATE.seq;
+    if (!snap || !C) { publish(null); return; }
+
+    const settings = Object.assign({}, STATE.settings);
+    C.run('main', `${snap.symbol}|${snap.tf}`, snap.bars, { backtest: { signals: snap.signals || [], settings } }, { live: snap.live }).then((res) => {
+      if (seq !== STATE.seq) return;
+      publish(res.backtest ? Object.assign({ symbol: snap.symbol, tf: snap.tf }, res.backtest) : null);
+    });
+  }
+
+  // -------- settings UI --------
+  function syncInputs() {
+    safe(() => {
+      const s = STATE.settings;
+      for (const k of Object.keys(LIMITS)) {
+        const el = document.querySelector(`#btCard [data-bt="${k}"]`);
+        if (el) el.value = String(s[k]);
+      }
+      const early = document.querySelector('#btCard [data-bt="early"]');
+      if (early) early.checked = !!s.early;
+    });
+  }
+
+  function readInputs() {
+    const raw = {};
+    document.querySelectorAll('#btCard [data-bt]').forEach((el) => {
+      raw[el.dataset.bt] = el.type === 'checkbox' ? el.checked : el.value;
+    });
+    STATE.settings = normSettings(raw);
+    saveSettings();
+  }
+
+  function start() {
+    loadSettings();
+    syncInputs();
+    resizeCanvas();
+    renderStats();
+    drawEquity();
+
+    safe(() => {
+      $('btCard')?.addEventListener('change', (e) => {
+        if (!e.target.closest('[data-bt]')) return;
+        readInputs();
+        syncInputs();
+        recompute();
+      });
+
+      window.addEventListener('darrius:chartUpdated', (e) => {
+        const snap = e && e.detail;
+        if (!snap || !Array.isArray(snap.bars)) return;
+        STATE.snap = snap;
+        const key = snapKey(snap);
+        // a live tick that only moved the forming bar; other snapshots may correct earlier bars
+        if (key === STATE.runKey && snap.live) return;
+        STATE.runKey = key;
+        recompute();
+      });
+
+      const host = $('btEquity');
+      if (host) {
+        try {
+          new ResizeObserver(() => { resizeCanvas(); drawEquity(); }).observe(host);
+        } catch (_) {
+          window.addEventListener('resize', () => { resizeCanvas(); drawEquity(); });
+        }
+      }
+    });
+  }
+
+  window.DarriusBacktest = {
+    run,
+    result: () => STATE.result,
+    settings: () => Object.assign({}, STATE.settings),
+    set: (patch) => { STATE.settings = normSettings(Object.assign({}, STATE.settings, patch)); saveSettings(); syncInputs(); recompute(); },
+    EVENT: CFG.event,
+  };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+  else start();
+})();
@@ -3,6 +3,8 @@
  * DarriusAI · Boot / Wiring Module (Final, deduped) + TSLA default
  * - Wires UI events
  * - Starts ChartCore + Subscription modules
+ * - Feeds #userId / #email into DarriusStore (identity, on change; last one persisted);
+ *   TF buttons follow the store's tf; #dataSource is written to the store's dataSource
  * - Keeps subscription stable; does NOT touch backend secrets
  * ========================================================= */
 
@@ -11,6 +13,7 @@
 
   // ---------- helpers ----------
   const $ = (id) => document.getElementById(id);
+  const store = () => window.DarriusStore || null;
 
   // ✅兼容 symbol / symbo1（你现在 HTML 里是 symbo1）
   function getSymbolEl() {
@@ -75,6 +78,173 @@
     } catch (_) {}
   }
 
+  // ---------- identity (#userId / #email -> DarriusStore, persisted) ----------
+  // committed on "change" (blur / Enter), never per keystroke: per-user settings
+  // (sizing, subscription check) would otherwise switch on every half-typed email
+  const IDENTITY_KEY = "darrius_identity_v1";
+
+  function readIdentityUI() {
+    return { userId: $("userId")?.value || "", email: $("email")?.value || "" };
+  }
+
+  function readSavedIdentity() {
+    try {
+      const v = JSON.parse(localStorage.getItem(IDENTITY_KEY) || "null");
+      return (v && typeof v === "object") ? v : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  function saveIdentity(id) {
+    try { localStorage.setItem(IDENTITY_KEY, JSON.stringify({ userId: id.userId, email: id.email })); } catch (_) {}
+  }
+
+  function bindIdentity() {
+    // restore the last committed identity into empty inputs
+    const saved = readSavedIdentity();
+    ["userId", "email"].forEach((id) => {
+      const el = $(id);
+      if (el && !String(el.value || "").trim() && saved[id]) el.value = String(saved[id]);
+    });
+
+    if (!store()) return;
+    const commit = () => {
+      store().set("identity", readIdentityUI());
+      saveIdentity(store().get("identity"));
+    };
+    ["userId", "email"].forEach((id) => $(id)?.addEventListener("change", commit));
+    commit();
+  }
+
+  // ---------- data source (#dataSource -> DarriusStore; ChartCore reloads on a new source) ----------
+  function bindDataSource() {
+    const el = $("dataSource");
+    if (!el || !store()) return;
+    el.addEventListener("change", () => {
+      const CC = window.ChartCore;
+      const source = CC && typeof CC.readSource === "function" ? CC.readSource() : String(el.value || "");
+      // a new source has no provider badge yet
+      if (source !== store().get("dataSource").source) store().set("dataSource", { source, badge: "" });
+    });
+  }
+
+  // ---------- symbol validation before load ----------
+  async function loadChecked() {
+    if (typeof window.ChartCore?.load !== "function") return;
+
+    const symEl = getSymbolEl();
+    if (symEl && window.SymbolSearch && typeof window.SymbolSearch.resolve === "function") {
+      try {
+        const r = await window.SymbolSearch.resolve(symEl.value);
+        if (!r.ok) {
+          safeText($("hintText"), r.message);
+          symEl.focus?.();
+          return;
+        }
+        symEl.value = r.symbol;
+      } catch (_) {}
+    }
+
+    window.ChartCore.load();
+  }
+
+  // ---------- chart type (persisted) ----------
+  const CHART_TYPE_KEY = "darrius_chart_type_v1";
+
+  function readChartTypePref() {
+    try {
+      const v = JSON.parse(localStorage.getItem(CHART_TYPE_KEY) || "null");
+      return (v && typeof v === "object") ? v : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  function saveChartTypePref(pref) {
+    try { localStorage.setItem(CHART_TYPE_KEY, JSON.stringify(pref)); } catch (_) {}
+  }
+
+  function readChartTypeUI() {
+    const type = $("chartType")?.value || "candles";
+    const box = Number($("renkoBox")?.value);
+    return { type, renkoBox: Number.isFinite(box) && box > 0 ? box : 0 };
+  }
+
+  function syncChartTypeUI() {
+    const sel = $("chartType");
+    const boxEl = $("renkoBox");
+    if (!sel) return;
+    const renko = sel.value === "renko";
+    if (boxEl) boxEl.disabled = !renko;
+
+    const info = window.ChartCore?.getChartType?.();
+    const box = info && info.box;
+    safeText($("renkoBoxHint"), (renko && box)
+      ? `box ${box >= 1 ? box.toFixed(2) : box.toPrecision(3)}${info.renkoBox ? "" : " · ATR"}`
+      : "");
+  }
+
+  function applyChartTypePrefToUI() {
+    const pref = readChartTypePref();
+    const sel = $("chartType");
+    if (sel && pref.type && sel.querySelector(`option[value="${pref.type}"]`)) sel.value = pref.type;
+    if ($("renkoBox") && pref.renkoBox > 0) $("renkoBox").value = String(pref.renkoBox);
+    syncChartTypeUI();
+  }
+
+  function bindChartType() {
+    const onChange = () => {
+      const pref = readChartTypeUI();
+      saveChartTypePref(pref);
+      if (typeof window.ChartCore?.setChartType === "function") window.ChartCore.setChartType(pref.type, pref);
+      syncChartTypeUI();
+    };
+    $("chartType")?.addEventListener("change", onChange);
+    $("renkoBox")?.addEventListener("change", onChange);
+    window.addEventListener("darrius:chartUpdated", syncChartTypeUI);
+  }
+
+  // ---------- display timezone + sessions (persisted) ----------
+  const DISPLAY_KEY = "darrius_display_v1";
+
+  function readDisplayPref() {
+    try {
+      const v = JSON.parse(localStorage.getItem(DISPLAY_KEY) || "null");
+      return (v && typeof v === "object") ? v : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  function syncDisplayHint() {
+    const o = window.ChartCore?.getDisplayOptions?.();
+    const zone = window.DarriusChart?.displayZone?.();
+    safeText($("displayTzHint"), zone || (o && o.tz === "local" ? o.local : ""));
+  }
+
+  function bindDisplayOptions() {
+    const tzEl = $("displayTz");
+    const sessEl = $("tgSessions");
+    const pref = readDisplayPref();
+    if (tzEl && pref.tz && tzEl.querySelector(`option[value="${pref.tz}"]`)) tzEl.value = pref.tz;
+    if (sessEl && "sessions" in pref) sessEl.checked = !!pref.sessions;
+
+    const apply = () => {
+      const next = { tz: tzEl?.value || "exchange", sessions: sessEl ? !!sessEl.checked : true };
+      try { localStorage.setItem(DISPLAY_KEY, JSON.stringify(next)); } catch (_) {}
+      if (typeof window.ChartCore?.setDisplayOptions === "function") window.ChartCore.setDisplayOptions(next);
+      syncDisplayHint();
+    };
+
+    if (typeof window.ChartCore?.setDisplayOptions === "function") {
+      window.ChartCore.setDisplayOptions({ tz: tzEl?.value || "exchange", sessions: sessEl ? !!sessEl.checked : true });
+    }
+    tzEl?.addEventListener("change", apply);
+    sessEl?.addEventListener("change", apply);
+    window.addEventListener("darrius:chartUpdated", syncDisplayHint);
+  }
+
   // ---------- optional: share link ----------
   async function copyShareLink() {
     // ✅默认 TSLA
@@ -103,6 +273,18 @@
     }
   }
 
+  function copyImage() {
+    try {
+      if (window.ChartCore && typeof window.ChartCore.copyImage === "function") {
+        window.ChartCore.copyImage();
+        return;
+      }
+      alert("复制图片功能需要最新 ChartCore。");
+    } catch (e) {
+      alert("复制失败：" + e.message);
+    }
+  }
+
   // ---------- optional: affiliate entry ----------
   function openAffiliate() {
     alert(
@@ -132,8 +314,7 @@
     if (!manageBtn) return;
 
     manageBtn.onclick = function () {
-      const userId = $("userId")?.value?.trim() || "";
-      const email = $("email")?.value?.trim() || "";
+      const { userId, email } = store() ? store().get("identity") : readIdentityUI();
 
       if (!userId) {
         alert("请先填写 User ID，再进入账户管理。");
@@ -166,6 +347,9 @@
     if (symEl && !String(symEl.value || "").trim()) symEl.value = "TSLA";
 
     syncTfQuick($("tf")?.value || "1d");
+    store()?.subscribe("tf", (tf) => { if (tf) syncTfQuick(tf); });
+    applyChartTypePrefToUI();
+    bindIdentity();
 
     // ---- ChartCore wiring ----
     if (!window.ChartCore) {
@@ -182,13 +366,21 @@
       $("tgAux")?.addEventListener("change", () => {
         if (typeof window.ChartCore.applyToggles === "function") window.ChartCore.applyToggles();
       });
-
-      $("loadBtn")?.addEventListener("click", () => {
-        if (typeof window.ChartCore.load === "function") window.ChartCore.load();
+      $("tgVol")?.addEventListener("change", () => {
+        if (typeof window.ChartCore.applyToggles === "function") window.ChartCore.applyToggles();
+      });
+      $("tgVP")?.addEventListener("change", () => {
+        if (typeof window.ChartCore.applyToggles === "function") window.ChartCore.applyToggles();
       });
 
+      $("loadBtn")?.addEventListener("click", loadChecked);
+      bindChartType();
+      bindDisplayOptions();
+      bindDataSource();
+
       try {
         if (typeof window.ChartCore.init === "function") {
+          const ct = readChartTypeUI();
           window.ChartCore.init({
             chartElId: "chart",
             overlayElId: "sigOverlay",
@@ -197,6 +389,8 @@
             symbolElIdFallback: "symbo1",
             tfElId: "tf",
             defaultSymbol: "TSLA",
+            chartType: ct.type,
+            renkoBox: ct.renkoBox,
           });
           log("✅ ChartCore.init()");
         } else {
@@ -231,6 +425,7 @@
 
     $("copyLinkBtn")?.addEventListener("click", copyShareLink);
     $("exportBtn")?.addEventListener("click", exportPNG);
+    $("copyImgBtn")?.addEventListener("click", copyImage);
     $("affiliateBtn")?.addEventListener("click", openAffiliate);
 
     setStatus("Ready · 前端已就绪", true);
@@ -24,7 +24,8 @@
     limit: 600,
   };
 
-  const DISPLAY_TIMEZONE = "America/New_York";
+  const DISPLAY_TIMEZONE = "America/New_York";   // US exchange time (default)
+
   const DISPLAY_LOCALE = "en-US";
 
   // NOTE: 你要求“上涨趋势全绿/下跌趋势全红”
@@ -72,6 +73,13 @@
     }
   }
 
+  // shared page state (js/darrius.store.js): symbol / tf / snapshot / dataSource of the main chart
+  const store = () => window.DarriusStore || null;
+
+  function storeSet(key, value) {
+    safeRun("store_" + key, () => store() && store().set(key, value));
+  }
+
   function getElBy2(primaryId, fallbackId) {
     return $(primaryId) || $(fallbackId) || null;
   }
@@ -84,34 +92,6 @@
     return (($(tfElId)?.value || DEFAULTS.tf) + "").trim();
   }
 
-  function setHint(msg) {
-    safeRun("hint", () => {
-      if ($("hintText")) $("hintText").textContent = msg;
-    });
-  }
-
-  function setTopText(sym, lastClose) {
-    safeRun("topText", () => {
-      if ($("symText")) $("symText").textContent = sym;
-      if ($("priceText") && lastClose != null) $("priceText").textContent = Number(lastClose).toFixed(2);
-      setHint("Market snapshot loaded · 已加载市场快照");
-    });
-  }
-
-  // -----------------------------
-  // ✅ MINIMAL META BADGE
-  // -----------------------------
-  function updateMetaBadge(snap) {
-    try {
-      const meta = (snap && snap.meta) || {};
-      const p = String(meta.provider || meta.effective_source || snap.source || "").toLowerCase();
-      if (p === "demo") window.__DATA_SOURCE_BADGE__ = "DEMO";
-      else if (p === "twelve") window.__DATA_SOURCE_BADGE__ = `DELAYED ${meta.delayed_minutes || 15}m`;
-      const el = document.getElementById("dataSourceBadge");
-      if (el && window.__DATA_SOURCE_BADGE__) el.textContent = window.__DATA_SOURCE_BADGE__;
-    } catch (e) {}
-  }
-
   // -----------------------------
   // ✅ DataSource (UI -> query param)
   // -----------------------------
@@ -151,6 +131,20 @@
   // -----------------------------
   // Trend coloring for candles
   // -----------------------------
+  function colorBar(b, prevClose) {
+    const close = Number(b.close);
+    if (!Number.isFinite(close)) return b;
+
+    const isUpTrend = (prevClose == null || !Number.isFinite(prevClose)) ? true : (close >= prevClose);
+    const c = isUpTrend ? TREND_COLORS.up : TREND_COLORS.down;
+
+    return Object.assign({}, b, {
+      color: c.body,
+      wickColor: c.wick,
+      borderColor: c.border,
+    });
+  }
+
   function applyTrendColorsToBars(bars) {
     if (!Array.isArray(bars) || bars.length === 0) return bars;
 
@@ -163,20 +157,236 @@
 
       if (!Number.isFinite(close)) { out.push(b); continue; }
 
-      const isUpTrend = (prevClose == null) ? true : (close >= prevClose);
-      const c = isUpTrend ? TREND_COLORS.up : TREND_COLORS.down;
+      out.push(colorBar(b, prevClose));
+      prevClose = close;
+    }
+    return out;
+  }
+
+  // -----------------------------
+  // Chart types (display only)
+  // - derived from the (trend-colored) snapshot bars; snapshot.bars stays raw OHLC,
+  //   so Mutant / pulse / alerts keep reading real candles
+  // - renko bricks carry the time of the bar that completed them; EMA/AUX,
+  //   indicators, markers and badges are moved onto brick times via mapTime
+  // -----------------------------
+  const CHART_TYPES = {
+    candles: { series: "candle" },
+    heikin: { series: "candle" },
+    bars: { series: "bar" },
+    line: { series: "line" },
+    area: { series: "area" },
+    renko: { series: "candle" },
+  };
 
-      out.push(Object.assign({}, b, {
-        color: c.body,
-        wickColor: c.wick,
-        borderColor: c.border,
-      }));
+  const RENKO = {
+    atrLen: 14,       // box = ATR(14) of the loaded bars unless a fixed box is set
+    maxBricks: 5000,
+  };
 
-      prevClose = close;
+  const CLOSE_COLORS = {
+    line: "#4cc2ff",
+    areaTop: "rgba(76,194,255,0.28)",
+    areaBottom: "rgba(76,194,255,0.02)",
+  };
+
+  function normChartType(t) {
+    const k = String(t || "").trim().toLowerCase();
+    return CHART_TYPES[k] ? k : "candles";
+  }
+
+  function toHeikinAshi(bars) {
+    const out = [];
+    let prev = null;
+
+    for (const b of bars || []) {
+      const o = Number(b.open), h = Number(b.high), l = Number(b.low), c = Number(b.close);
+      if (![o, h, l, c].every(Number.isFinite)) continue;
+
+      const close = (o + h + l + c) / 4;
+      const open = prev ? (prev.open + prev.close) / 2 : (o + c) / 2;
+      const ha = { time: b.time, open, high: Math.max(h, open, close), low: Math.min(l, open, close), close };
+
+      // HA candles are colored by their own body, not by the close-to-close trend
+      out.push(colorBar(ha, open));
+      prev = ha;
+    }
+    return out;
+  }
+
+  function lastATR(bars, n) {
+    let atr = null, sum = 0, k = 0, prevClose = null;
+
+    for (const b of bars || []) {
+      const h = Number(b.high), l = Number(b.low), c = Number(b.close);
+      if (![h, l, c].every(Number.isFinite)) continue;
+
+      const tr = prevClose == null ? h - l : Math.max(h - l, Math.abs(h - prevClose), Math.abs(l - prevClose));
+      prevClose = c;
+
+      if (atr != null) { atr = (atr * (n - 1) + tr) / n; continue; }
+      sum += tr;
+      k += 1;
+      if (k === n) atr = sum / n;
+    }
+    return atr != null ? atr : (k ? sum / k : null);
+  }
+
+  // close-based renko: a new brick needs a full box beyond the last brick,
+  // a reversal needs a full box beyond the far side of it (i.e. two boxes)
+  function toRenko(bars, box) {
+    const size = Number(box) > 0 ? Number(box) : lastATR(bars, RENKO.atrLen);
+    const bricks = [], src = [], vol = [];
+    if (!(size > 0)) return { bricks, src, vol, box: null };
+
+    let lo = null, hi = null;
+    let acc = null; // high/low/volume since the last brick
+
+    for (const b of bars || []) {
+      const c = Number(b.close), t = Number(b.time);
+      if (!Number.isFinite(c) || !Number.isFinite(t)) continue;
+
+      const h = Number.isFinite(Number(b.high)) ? Number(b.high) : c;
+      const l = Number.isFinite(Number(b.low)) ? Number(b.low) : c;
+      acc = acc
+        ? { high: Math.max(acc.high, h), low: Math.min(acc.low, l), volume: acc.volume + barVolume(b) }
+        : { high: h, low: l, volume: barVolume(b) };
+
+      if (lo == null) { lo = hi = c; continue; }
+
+      let first = true;
+      while (bricks.length < RENKO.maxBricks) {
+        let open, close;
+        if (c >= hi + size) { open = hi; close = hi + size; }
+        else if (c <= lo - size) { open = lo; close = lo - size; }
+        else break;
+
+        lo = Math.min(open, close);
+        hi = Math.max(open, close);
+
+        // several bricks from one bar: keep times unique and ascending
+        const prevT = bricks.length ? bricks[bricks.length - 1].time : -Infinity;
+        const time = Math.max(t, prevT + 1);
+
+        const brick = colorBar({ time, open, high: hi, low: lo, close }, open);
+        bricks.push(brick);
+        src.push(t);
+
+        // the bar that completed the brick carries the volume; follow-up bricks carry none
+        vol.push(first
+          ? Object.assign({}, brick, { high: Math.max(hi, acc.high), low: Math.min(lo, acc.low), volume: acc.volume })
+          : Object.assign({}, brick, { volume: 0 }));
+        if (first) acc = null;
+        first = false;
+      }
+    }
+
+    // volume after the last brick belongs to the still-forming one
+    if (acc && vol.length) {
+      const v = vol[vol.length - 1];
+      vol[vol.length - 1] = Object.assign({}, v, {
+        high: Math.max(v.high, acc.high),
+        low: Math.min(v.low, acc.low),
+        volume: v.volume + acc.volume,
+      });
+    }
+
+    return { bricks, src, vol, box: size };
+  }
+
+  // source time -> time of the last brick formed at or before it
+  function makeTimeMap(src, times) {
+    return (t) => {
+      const x = Number(t);
+      const n = src.length;
+      if (!n || !Number.isFinite(x)) return t;
+      if (x < src[0]) return times[0];
+
+      let lo = 0, hi = n - 1;
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1;
+        if (src[mid] <= x) lo = mid; else hi = mid - 1;
+      }
+      return times[lo];
+    };
+  }
+
+  // move time-keyed points onto display times (last value per display time wins)
+  function remapPoints(points, mapTime) {
+    if (!mapTime) return points || [];
+
+    const out = [];
+    for (const p of points || []) {
+      const time = mapTime(p.time);
+      const last = out[out.length - 1];
+      if (last && last.time === time) out[out.length - 1] = Object.assign({}, p, { time });
+      else if (!last || time > last.time) out.push(Object.assign({}, p, { time }));
     }
     return out;
   }
 
+  // bars: trend-colored snapshot bars
+  // -> { type, data (for the main series), volBars (aligned with data), times, mapTime, box }
+  function deriveDisplay(bars, type, renkoBox) {
+    const t = normChartType(type);
+    const plain = { type: t, data: bars, volBars: bars, mapTime: null, box: null };
+
+    if (t === "heikin") {
+      plain.data = toHeikinAshi(bars);
+    } else if (t === "line" || t === "area") {
+      plain.data = bars
+        .map(b => ({ time: b.time, value: Number(b.close) }))
+        .filter(p => Number.isFinite(p.value));
+    } else if (t === "renko") {
+      const r = toRenko(bars, renkoBox);
+      // not a single brick yet -> plain candles until price moves a full box
+      if (r.bricks.length) {
+        const times = r.bricks.map(b => b.time);
+        Object.assign(plain, { data: r.bricks, volBars: r.vol, mapTime: makeTimeMap(r.src, times), box: r.box });
+      }
+    }
+
+    plain.times = plain.data.map(d => Number(d.time));
+    return plain;
+  }
+
+  function addSeriesCompat(chart, legacyMethod, ctorName, opts) {
+    const LW = window.LightweightCharts || {};
+    if (typeof chart[legacyMethod] === "function") return chart[legacyMethod](opts);
+    if (typeof chart.addSeries === "function" && LW[ctorName]) return chart.addSeries(LW[ctorName], opts);
+    return null;
+  }
+
+  function addMainSeries(chart, type) {
+    const kind = CHART_TYPES[normChartType(type)].series;
+
+    if (kind === "bar") {
+      return addSeriesCompat(chart, "addBarSeries", "BarSeries", {
+        upColor: TREND_COLORS.up.body,
+        downColor: TREND_COLORS.down.body,
+        thinBars: false,
+      });
+    }
+    if (kind === "line") {
+      return addSeriesCompat(chart, "addLineSeries", "LineSeries", { color: CLOSE_COLORS.line, lineWidth: 2 });
+    }
+    if (kind === "area") {
+      return addSeriesCompat(chart, "addAreaSeries", "AreaSeries", {
+        lineColor: CLOSE_COLORS.line,
+        topColor: CLOSE_COLORS.areaTop,
+        bottomColor: CLOSE_COLORS.areaBottom,
+        lineWidth: 2,
+      });
+    }
+    return addSeriesCompat(chart, "addCandlestickSeries", "CandlestickSeries", {
+      upColor: TREND_COLORS.up.body,
+      downColor: TREND_COLORS.down.body,
+      wickUpColor: TREND_COLORS.up.wick,
+      wickDownColor: TREND_COLORS.down.wick,
+      borderVisible: false,
+    });
+  }
+
   // -----------------------------
   // Signals normalize helpers
   // -----------------------------
@@ -199,7 +409,8 @@
   // -----------------------------
   // Signals -> markers (anchor only)
   // -----------------------------
-  function mapSignalsToMarkers(signals) {
+  // mapTime (optional): source time -> display time (renko)
+  function mapSignalsToMarkers(signals, mapTime) {
     const out = [];
     (signals || []).forEach((s) => {
       const side = normSide(s);
@@ -211,7 +422,7 @@
       if (!isBuy && !isSell) return;
 
       out.push({
-        time: t,
+        time: mapTime ? mapTime(t) : t,
         position: isBuy ? "belowBar" : "aboveBar",
         shape: "circle",
         color: isBuy ? BADGE_STYLE.buyBg : BADGE_STYLE.sellBg,
@@ -242,16 +453,48 @@
     throw new Error("markers_api_missing (no setMarkers/createSeriesMarkers)");
   }
 
+  // -----------------------------
+  // Signal stats (badge tooltip + signal history table)
+  // DarriusCompute.signalStats (js/darrius.compute.js), so the compute worker's risk plan /
+  // backtest / confluence read the same numbers
+  // -----------------------------
+  function signalStats(signals, bars) {
+    const C = window.DarriusCompute;
+    return C ? C.signalStats(signals, bars) : [];
+  }
+
+  function fmtSignedPct(v) {
+    return v == null || !Number.isFinite(v) ? "—" : `${v >= 0 ? "+" : ""}${(v * 100).toFixed(2)}%`;
+  }
+
+  function fmtPrice(v) {
+    if (v == null || !Number.isFinite(v)) return "—";
+    return v >= 1000 ? v.toFixed(1) : v >= 1 ? v.toFixed(2) : v.toPrecision(4);
+  }
+
   // -----------------------------
   // Glow Badge Overlay (DOM)
+  // - hover a badge: detail tooltip; click: pin / unpin it
+  //   (hit-tested on the chart element, badges themselves stay pointer-events:none)
   // -----------------------------
-  const BadgeOverlay = (() => {
+  function createBadgeOverlay() {
     const state = {
       el: null,
       chartEl: null,
       items: [],
       closeMap: null,
+      chart: null,
+      series: null,    // current main series (replaced when the chart type changes)
+      mapTime: null,   // source time -> display time (renko)
+      formatTime: null,
+      bars: [],
+      placed: [],      // [{ x, y, r, item }] from the last layout (hit testing)
+      tip: null,       // tooltip element
+      hover: null,     // item under the pointer
+      pinned: null,    // item pinned by click
       subscribed: false,
+      onResize: null,
+      onPointer: null,
     };
 
     function ensureOverlay(chartEl) {
@@ -263,7 +506,8 @@
       if (state.el && state.el.parentNode === chartEl) return state.el;
 
       const el = document.createElement("div");
-      el.id = "darriusSigBadgeOverlay";
+      el.className = "darrius-sig-overlay";
+      if (!document.getElementById("darriusSigBadgeOverlay")) el.id = "darriusSigBadgeOverlay";
       el.style.position = "absolute";
       el.style.left = "0";
       el.style.top = "0";
@@ -319,6 +563,25 @@
             box-shadow: 0 0 16px ${BADGE_STYLE.sellGlow}, 0 0 34px rgba(255,71,87,.42), 0 0 52px rgba(255,71,87,.22);
             filter: drop-shadow(0 0 10px rgba(255,255,255,.35));
           }
+          .darrius-badge-tip{
+            position:absolute;
+            z-index:2;
+            min-width:170px;
+            padding:8px 10px;
+            border-radius:10px;
+            background: rgba(11,15,23,.94);
+            border:1px solid rgba(255,255,255,.10);
+            box-shadow: 0 8px 24px rgba(0,0,0,.45);
+            color:#eaf0f7;
+            font: 11px/1.5 system-ui, -apple-system, Segoe UI, Roboto, Arial, "PingFang SC", "Microsoft YaHei", sans-serif;
+            pointer-events:none;
+            white-space:nowrap;
+          }
+          .darrius-badge-tip.pinned{ border-color: rgba(245,197,66,.55); }
+          .darrius-badge-tip b{ font-weight:900; }
+          .darrius-badge-tip .k{ color:#a2b0c2; }
+          .darrius-badge-tip .up{ color:${TREND_COLORS.up.body}; }
+          .darrius-badge-tip .down{ color:${TREND_COLORS.down.body}; }
           @keyframes darriusBadgePulse{
             0%   { transform: translate(-50%, -50%) scale(1);    opacity: .95; }
             50%  { transform: translate(-50%, -50%) scale(1.14); opacity: 1; }
@@ -335,7 +598,85 @@
 
     function clear() {
       if (!state.el) return;
-      state.el.innerHTML = "";
+      state.el.querySelectorAll(".darrius-badge").forEach(n => n.remove());
+      state.placed = [];
+    }
+
+    function tipHTML(it) {
+      const st = signalStats([{ time: it.time, side: it.side, price: it.price }], state.bars)[0];
+      if (!st) return "";
+      const cls = (v) => (v == null ? "" : v >= 0 ? "up" : "down");
+      const when = state.formatTime ? state.formatTime(it.time) : String(it.time);
+      const kind = it.isMain ? "Main · 主信号" : "Early · 早期信号";
+      return `<div><b>${it.side}</b> · ${st.label} <span class="k">(${kind})</span></div>` +
+        `<div class="k">${when}</div>` +
+        `<div><span class="k">Price · 价格</span> ${fmtPrice(st.price)} <span class="k">→ now</span> ${fmtPrice(st.last)} ` +
+        `<span class="${cls(st.distPct)}">(${fmtSignedPct(st.distPct)})</span></div>` +
+        `<div><span class="k">Since · 之后</span> <span class="${cls(st.ret)}">${fmtSignedPct(st.ret)}</span> ` +
+        `<span class="k">· ${st.barsSince} bars</span></div>` +
+        `<div><span class="k">Best</span> <span class="up">${fmtSignedPct(st.best)}</span> ` +
+        `<span class="k">· Worst</span> <span class="down">${fmtSignedPct(st.worst)}</span></div>`;
+    }
+
+    function showTip() {
+      const it = state.pinned || state.hover;
+      const hit = it && state.placed.find(p => p.item.time === it.time && p.item.side === it.side);
+      if (!hit) {
+        if (state.tip) state.tip.style.display = "none";
+        return;
+      }
+
+      if (!state.tip || state.tip.parentNode !== state.el) {
+        state.tip = document.createElement("div");
+        state.tip.className = "darrius-badge-tip";
+        state.el.appendChild(state.tip);
+      }
+      const tip = state.tip;
+      const key = `${it.time}|${it.side}|${state.bars.length}|${!!state.pinned}`;
+      if (tip.dataset.key !== key) {
+        tip.innerHTML = tipHTML(it);
+        tip.dataset.key = key;
+      }
+      tip.classList.toggle("pinned", !!state.pinned);
+      tip.style.display = "block";
+
+      const W = state.el.clientWidth || 0;
+      const tw = tip.offsetWidth || 180;
+      const th = tip.offsetHeight || 90;
+      let left = hit.x + hit.r + 8;
+      if (W && left + tw > W - 4) left = hit.x - hit.r - 8 - tw;
+      const top = Math.max(4, hit.y - th / 2);
+      tip.style.left = Math.max(4, left) + "px";
+      tip.style.top = top + "px";
+    }
+
+    function hitTest(e) {
+      if (!state.chartEl) return null;
+      const r = state.chartEl.getBoundingClientRect();
+      const x = e.clientX - r.left, y = e.clientY - r.top;
+      let best = null, bestD = Infinity;
+      for (const p of state.placed) {
+        const d = Math.hypot(p.x - x, p.y - y);
+        if (d <= p.r + 3 && d < bestD) { best = p.item; bestD = d; }
+      }
+      return best;
+    }
+
+    function bindPointer(chartEl) {
+      if (state.onPointer) return;
+      state.onPointer = (e) => safeRun("badge_pointer", () => {
+        const it = hitTest(e);
+        if (e.type === "click") {
+          const same = it && state.pinned && state.pinned.time === it.time && state.pinned.side === it.side;
+          state.pinned = (it && !same) ? it : null;
+        } else {
+          state.hover = it;
+        }
+        showTip();
+      });
+      chartEl.addEventListener("mousemove", state.onPointer);
+      chartEl.addEventListener("click", state.onPointer);
+      chartEl.addEventListener("mouseleave", state.onPointer);
     }
 
     function normalizeSignals(signals, bars) {
@@ -373,11 +714,14 @@
       return { items, closeMap };
     }
 
-    function renderBadges(chart, candleSeries) {
-      if (!state.el) return;
+    function renderBadges() {
+      if (!state.el || !state.chart || !state.series) return;
       clear();
 
-      const timeToX = (t) => safeRun("badge_timeToX", () => chart.timeScale().timeToCoordinate(t));
+      const chart = state.chart;
+      const candleSeries = state.series;
+      const mapTime = state.mapTime || ((t) => t);
+      const timeToX = (t) => safeRun("badge_timeToX", () => chart.timeScale().timeToCoordinate(mapTime(t)));
       const priceToY = (p) => safeRun("badge_priceToY", () => candleSeries.priceToCoordinate(p));
 
       state.items.forEach((it) => {
@@ -404,6 +748,7 @@
         d.style.left = x + "px";
         d.style.top = y + "px";
         d.style.fontSize = it.isMain ? "16px" : "14px";
+        state.placed.push({ x, y, r: half, item: it });
 
         const t = document.createElement("div");
         t.className = "t";
@@ -412,30 +757,34 @@
 
         state.el.appendChild(d);
       });
+
+      showTip();
     }
 
-    function subscribeIfNeeded(chart, candleSeries) {
+    function subscribeIfNeeded(chart) {
       if (state.subscribed) return;
       state.subscribed = true;
 
       safeRun("badge_subscribe", () => {
         if (chart?.timeScale && typeof chart.timeScale().subscribeVisibleTimeRangeChange === "function") {
           chart.timeScale().subscribeVisibleTimeRangeChange(() => {
-            safeRun("badge_relayout_range", () => renderBadges(chart, candleSeries));
+            safeRun("badge_relayout_range", renderBadges);
           });
         }
         if (chart && typeof chart.subscribeCrosshairMove === "function") {
           chart.subscribeCrosshairMove(() => {
-            safeRun("badge_relayout_crosshair", () => renderBadges(chart, candleSeries));
+            safeRun("badge_relayout_crosshair", renderBadges);
           });
         }
-        window.addEventListener("resize", () => {
-          safeRun("badge_relayout_resize", () => renderBadges(chart, candleSeries));
-        });
+        state.onResize = () => {
+          safeRun("badge_relayout_resize", renderBadges);
+        };
+        window.addEventListener("resize", state.onResize);
       });
     }
 
-    function update(chart, candleSeries, chartEl, signals, bars) {
+    // extra: { mapTime (source -> display time, renko), formatTime (tooltip) }
+    function update(chart, candleSeries, chartEl, signals, bars, extra) {
       return safeRun("badge_update", () => {
         const el = ensureOverlay(chartEl);
         if (!el) return;
@@ -443,45 +792,287 @@
         const r = normalizeSignals(signals, bars);
         state.items = r.items;
         state.closeMap = r.closeMap;
-
-        renderBadges(chart, candleSeries);
-        subscribeIfNeeded(chart, candleSeries);
+        state.chart = chart;
+        state.series = candleSeries;
+        state.mapTime = (extra && extra.mapTime) || null;
+        state.formatTime = (extra && extra.formatTime) || null;
+        state.bars = Array.isArray(bars) ? bars : [];
+        if (state.pinned && !state.items.some(i => i.time === state.pinned.time && i.side === state.pinned.side)) state.pinned = null;
+
+        bindPointer(chartEl);
+        renderBadges();
+        subscribeIfNeeded(chart);
       });
     }
 
-    return { update };
-  })();
+    // select (and pin) the badge of a signal, e.g. from the signal history table
+    function pin(time, side) {
+      const it = state.items.find(i => i.time === Number(time) && (!side || i.side === side)) || null;
+      state.pinned = it;
+      showTip();
+      return !!it;
+    }
+
+    function dispose() {
+      if (state.onResize) window.removeEventListener("resize", state.onResize);
+      state.onResize = null;
+      if (state.onPointer && state.chartEl) {
+        ["mousemove", "click", "mouseleave"].forEach(t => state.chartEl.removeEventListener(t, state.onPointer));
+      }
+      state.onPointer = null;
+      if (state.el && state.el.parentNode) state.el.parentNode.removeChild(state.el);
+      state.el = null;
+      state.tip = null;
+      state.items = [];
+      state.placed = [];
+      state.hover = state.pinned = null;
+    }
+
+    return { update, pin, dispose };
+  }
 
   // -----------------------------
-  // ChartCore internal state
+  // Volume histogram + visible-range volume profile
+  // - histogram sits on its own price scale ("vol") at the bottom of the candle area
+  // - colors follow the trend coloring already applied to the bar (colorBar)
+  // - profile: volume-by-price of the visible bars, POC + value area, drawn on a canvas overlay
   // -----------------------------
-  const S = {
-    chart: null,
-    candle: null,
-    ema: null,
-    aux: null,
-    ro: null,
+  const VOLUME = {
+    scaleId: "vol",
+    height: 0.16,
+    alpha: 0.45,
+    profileBins: 24,
+    profileWidth: 0.22,   // share of plot width
+    valueArea: 0.70,
+    pocColor: "rgba(245,197,66,0.95)",
+    vaColor: "rgba(76,194,255,0.38)",
+    outColor: "rgba(200,220,255,0.16)",
+  };
+
+  // compare overlay (compare.js): own percent scale on the left axis
+  const COMPARE = {
+    scaleId: "left",
+    mainKey: "__main__",
+    mainColor: "rgba(234,240,247,0.75)",
+  };
 
-    opts: {
-      chartElId: "chart",
-      symbolElIdPrimary: "symbol",
-      symbolElIdFallback: "symbo1",
-      tfElId: "tf",
-      defaultSymbol: "TSLA",
-    },
+  function withAlpha(hex, a) {
+    const m = /^#?([0-9a-f]{6})$/i.exec(String(hex || ""));
+    if (!m) return hex;
+    const n = parseInt(m[1], 16);
+    return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${a})`;
+  }
 
-    toggles: {
-      ema: true,
-      aux: true,
-    },
+  function barVolume(b) {
+    const v = Number(b?.volume ?? b?.v);
+    return Number.isFinite(v) && v > 0 ? v : 0;
+  }
 
-    lastSnapshot: null,
-    pollInFlight: false,
-  };
+  // expects trend-colored bars (applyTrendColorsToBars / colorBar)
+  function toVolumeBar(b) {
+    return { time: b.time, value: barVolume(b), color: withAlpha(b.color || TREND_COLORS.up.body, VOLUME.alpha) };
+  }
+
+  function computeVolumeProfile(bars, bins, vaShare) {
+    let lo = Infinity, hi = -Infinity, total = 0;
+    for (const b of bars) {
+      const l = Number(b.low), h = Number(b.high);
+      if (Number.isFinite(l)) lo = Math.min(lo, l);
+      if (Number.isFinite(h)) hi = Math.max(hi, h);
+    }
+    if (!Number.isFinite(lo) || !Number.isFinite(hi) || hi <= lo) return null;
+
+    const step = (hi - lo) / bins;
+    const vols = new Array(bins).fill(0);
+
+    // spread each bar's volume over the bins its high-low range covers
+    for (const b of bars) {
+      const v = barVolume(b);
+      const l = Number(b.low), h = Number(b.high);
+      if (!v || !Number.isFinite(l) || !Number.isFinite(h)) continue;
+      total += v;
+      if (h <= l) { vols[Math.min(bins - 1, Math.floor((l - lo) / step))] += v; continue; }
+      const i0 = Math.max(0, Math.floor((l - lo) / step));
+      const i1 = Math.min(bins - 1, Math.floor((h - lo) / step));
+      for (let i = i0; i <= i1; i++) {
+        const a = Math.max(l, lo + i * step), z = Math.min(h, lo + (i + 1) * step);
+        if (z > a) vols[i] += v * (z - a) / (h - l);
+      }
+    }
+    if (!total) return null;
+
+    let poc = 0;
+    for (let i = 1; i < bins; i++) if (vols[i] > vols[poc]) poc = i;
+
+    // value area: grow from POC toward the heavier neighbour until vaShare of volume
+    let vaLo = poc, vaHi = poc, acc = vols[poc];
+    while (acc < total * vaShare && (vaLo > 0 || vaHi < bins - 1)) {
+      const down = vaLo > 0 ? vols[vaLo - 1] : -1;
+      const up = vaHi < bins - 1 ? vols[vaHi + 1] : -1;
+      if (up >= down) acc += vols[++vaHi];
+      else acc += vols[--vaLo];
+    }
+
+    return { lo, hi, step, vols, poc, vaLo, vaHi, max: vols[poc] };
+  }
+
+  function createVolumeProfileOverlay() {
+    const state = {
+      canvas: null,
+      chart: null,
+      series: null,
+      bars: [],
+      on: false,
+      subscribed: false,
+      onResize: null,
+      key: "",       // viewKey() of the last paint ("off" = hidden)
+    };
+
+    function ensureCanvas(chartEl) {
+      if (!chartEl) return null;
+      if (state.canvas && state.canvas.parentNode === chartEl) return state.canvas;
+
+      const cs = window.getComputedStyle(chartEl);
+      if (cs.position === "static") chartEl.style.position = "relative";
+
+      const c = document.createElement("canvas");
+      c.className = "darrius-vp-overlay";
+      c.style.position = "absolute";
+      c.style.left = "0";
+      c.style.top = "0";
+      c.style.width = "100%";
+      c.style.height = "100%";
+      c.style.pointerEvents = "none";
+      c.style.zIndex = "15";
+      chartEl.appendChild(c);
+      state.canvas = c;
+      return c;
+    }
+
+    // everything a paint depends on besides the bars (size, visible range, price scale);
+    // crosshair moves only repaint when it changed (e.g. a price-axis drag)
+    function viewKey(w, h, dpr) {
+      const range = state.chart ? state.chart.timeScale().getVisibleLogicalRange() : null;
+      const last = state.bars.length ? Number(state.bars[state.bars.length - 1].close) : NaN;
+      const y = (p) => (state.series && Number.isFinite(p) ? state.series.priceToCoordinate(p) : "");
+      return [w, h, dpr, range ? range.from : "", range ? range.to : "", y(last), y(last * 1.5)].join("|");
+    }
+
+    function draw() {
+      const c = state.canvas;
+      if (!c) return;
+
+      if (!state.on) {
+        if (state.key !== "off") {
+          state.key = "off";
+          c.style.display = "none";
+        }
+        return;
+      }
+
+      const r = c.parentNode ? c.parentNode.getBoundingClientRect() : null;
+      const w = Math.max(1, Math.floor(r ? r.width : 0));
+      const h = Math.max(1, Math.floor(r ? r.height : 0));
+      const dpr = Math.min(2, Math.max(1, window.devicePixelRatio || 1));
+      const key = viewKey(w, h, dpr);
+      if (key === state.key) return;
+      state.key = key;
+
+      if (c.width !== Math.floor(w * dpr)) c.width = Math.floor(w * dpr);
+      if (c.height !== Math.floor(h * dpr)) c.height = Math.floor(h * dpr);
+      c.style.display = "block";
+
+      const ctx = c.getContext("2d");
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, w, h);
+      if (!state.chart || !state.series || !state.bars.length) return;
+
+      const ts = state.chart.timeScale();
+      const range = ts.getVisibleLogicalRange();
+      const n = state.bars.length;
+      const from = Math.max(0, Math.floor(range ? range.from : 0));
+      const to = Math.min(n - 1, Math.ceil(range ? range.to : n - 1));
+      if (to < from) return;
+
+      const vp = computeVolumeProfile(state.bars.slice(from, to + 1), VOLUME.profileBins, VOLUME.valueArea);
+      if (!vp) return;
+
+      const plotW = typeof ts.width === "function" ? ts.width() : w;
+      const maxW = plotW * VOLUME.profileWidth;
+      const yOf = (p) => state.series.priceToCoordinate(p);
+
+      for (let i = 0; i < vp.vols.length; i++) {
+        const yTop = yOf(vp.lo + (i + 1) * vp.step);
+        const yBot = yOf(vp.lo + i * vp.step);
+        if (yTop == null || yBot == null) continue;
+        const bw = (vp.vols[i] / vp.max) * maxW;
+        const inVA = i >= vp.vaLo && i <= vp.vaHi;
+        ctx.fillStyle = i === vp.poc ? VOLUME.pocColor : (inVA ? VOLUME.vaColor : VOLUME.outColor);
+        ctx.globalAlpha = i === vp.poc ? 0.55 : 1;
+        ctx.fillRect(plotW - bw, Math.min(yTop, yBot) + 0.5, bw, Math.max(1, Math.abs(yBot - yTop) - 1));
+      }
+      ctx.globalAlpha = 1;
+
+      // POC line + label
+      const yPoc = yOf(vp.lo + (vp.poc + 0.5) * vp.step);
+      if (yPoc != null) {
+        ctx.strokeStyle = VOLUME.pocColor;
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        ctx.beginPath();
+        ctx.moveTo(0, Math.round(yPoc) + 0.5);
+        ctx.lineTo(plotW, Math.round(yPoc) + 0.5);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = VOLUME.pocColor;
+        ctx.font = "700 10px system-ui, -apple-system, Segoe UI, Roboto, Arial, sans-serif";
+        ctx.textAlign = "left";
+        ctx.textBaseline = "bottom";
+        ctx.fillText("POC", 6, Math.round(yPoc) - 2);
+      }
+    }
+
+    function subscribeIfNeeded(chart) {
+      if (state.subscribed) return;
+      state.subscribed = true;
+
+      safeRun("vp_subscribe", () => {
+        chart.timeScale().subscribeVisibleLogicalRangeChange(() => safeRun("vp_range", draw));
+        chart.subscribeCrosshairMove(() => safeRun("vp_crosshair", draw));
+        state.onResize = () => safeRun("vp_resize", draw);
+        window.addEventListener("resize", state.onResize);
+      });
+    }
+
+    function update(chart, series, chartEl, bars, on) {
+      return safeRun("vp_update", () => {
+        state.on = !!on;
+        if (!state.on && !state.canvas) return;
+        if (!ensureCanvas(chartEl)) return;
+        state.chart = chart;
+        state.series = series;
+        state.bars = Array.isArray(bars) ? bars : [];
+        state.key = "";
+        subscribeIfNeeded(chart);
+        draw();
+      });
+    }
+
+    function dispose() {
+      if (state.onResize) window.removeEventListener("resize", state.onResize);
+      state.onResize = null;
+      if (state.canvas && state.canvas.parentNode) state.canvas.parentNode.removeChild(state.canvas);
+      state.canvas = null;
+      state.bars = [];
+      state.key = "";
+    }
+
+    return { update, dispose };
+  }
 
   // -----------------------------
   // Time display helpers
-  // - Intraday TFs: convert to New York time
+  // - Intraday TFs: convert to the display timezone (exchange / UTC / local)
   // - 1D / 1W / 1M: show date label only, no timezone shift
   // -----------------------------
   function pad2(n) {
@@ -497,18 +1088,6 @@
     return t === "1d" || t === "1w" || t === "1m";
   }
 
-  function getCurrentTFSafe() {
-    try {
-      return normalizeTFName(
-        (S && S.lastSnapshot && S.lastSnapshot.tf) ||
-        getTF(S.opts.tfElId) ||
-        DEFAULTS.tf
-      );
-    } catch (e) {
-      return normalizeTFName(DEFAULTS.tf);
-    }
-  }
-
   function isBusinessDayObj(v) {
     return !!v && typeof v === "object" &&
       Number.isFinite(Number(v.year)) &&
@@ -564,44 +1143,53 @@
     return null;
   }
 
-  function getNYParts(date) {
+  const ZONE_FORMATTERS = new Map();   // tz -> Intl.DateTimeFormat
+
+  function getZoneParts(date, tz) {
     if (!(date instanceof Date) || Number.isNaN(date.getTime())) return null;
 
-    const parts = new Intl.DateTimeFormat(DISPLAY_LOCALE, {
-      timeZone: DISPLAY_TIMEZONE,
-      year: "numeric",
-      month: "2-digit",
-      day: "2-digit",
-      hour: "2-digit",
-      minute: "2-digit",
-      hour12: false,
-    }).formatToParts(date);
+    const zone = tz || DISPLAY_TIMEZONE;
+    let fmt = ZONE_FORMATTERS.get(zone);
+    if (!fmt) {
+      fmt = new Intl.DateTimeFormat(DISPLAY_LOCALE, {
+        timeZone: zone,
+        year: "numeric",
+        month: "2-digit",
+        day: "2-digit",
+        hour: "2-digit",
+        minute: "2-digit",
+        hourCycle: "h23",
+      });
+      ZONE_FORMATTERS.set(zone, fmt);
+    }
 
     const map = {};
-    for (const p of parts) {
+    for (const p of fmt.formatToParts(date)) {
       if (p.type !== "literal") map[p.type] = p.value;
     }
     return map;
   }
 
-  function formatDisplayTimeByTF(time) {
-    const tf = getCurrentTFSafe();
+  function getNYParts(date) {
+    return getZoneParts(date, DISPLAY_TIMEZONE);
+  }
+
+  function formatDisplayTimeByTF(time, tf, tz) {
 
     // ✅ 1D / 1W / 1M: date label only, NO timezone shift
     if (isDateOnlyTF(tf)) {
       return extractDateLabel(time);
     }
 
-    // ✅ intraday: New York time
+    // ✅ intraday: display timezone (default New York)
     const d = toIntradayDate(time);
-    const p = getNYParts(d);
+    const p = getZoneParts(d, tz);
     if (!p) return "";
 
     return `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute}`;
   }
 
-  function formatTickByTF(time) {
-    const tf = getCurrentTFSafe();
+  function formatTickByTF(time, tf, tz) {
 
     // ✅ 1D / 1W / 1M: date label only
     if (isDateOnlyTF(tf)) {
@@ -610,129 +1198,255 @@
 
     // ✅ intraday: HH:mm
     const d = toIntradayDate(time);
-    const p = getNYParts(d);
+    const p = getZoneParts(d, tz);
     if (!p) return "";
 
     return `${p.hour}:${p.minute}`;
   }
 
   // -----------------------------
-  // Ensure chart (v4/v5 compatible)
+  // Display timezone + exchange session calendars
+  // - "exchange": the symbol's session calendar timezone; "utc"; "local" (browser)
+  // - Intraday TFs: pre-market / after-hours / closed shading + day separators
+  //   (trading day of the calendar, e.g. FX rolls at 17:00 New York)
   // -----------------------------
-  function ensureChart() {
-    if (S.chart && S.candle) return true;
+  const DISPLAY = {
+    tzMode: "exchange",
+    sessions: true,
+    event: "darrius:displayChanged",
+  };
 
-    const LW = window.LightweightCharts;
-    if (!LW) {
-      console.error("[ChartCore] LightweightCharts missing. Add CDN script before chart.core.js");
-      return false;
-    }
+  const TZ_MODES = ["exchange", "utc", "local"];
 
-    const el = $(S.opts.chartElId);
-    if (!el) {
-      console.error("[ChartCore] Missing chart container #" + S.opts.chartElId);
-      return false;
-    }
+  // minutes from midnight in the calendar timezone
+  const SESSION_CALENDARS = {
+    us: { tz: "America/New_York", label: "ET", pre: [240, 570], regular: [570, 960], post: [960, 1200], weekdays: true, dayStart: 0 },
+    fx: { tz: "America/New_York", label: "ET", regular: [0, 1440], weekdays: true, dayStart: 1020 },
+    crypto: { tz: "UTC", label: "UTC", regular: [0, 1440], weekdays: false, dayStart: 0 },
+  };
 
-    const chart = LW.createChart(el, {
-      layout: { background: { color: "transparent" }, textColor: "#d1d4dc" },
-      grid: { vertLines: { color: "transparent" }, horzLines: { color: "transparent" } },
+  const SESSION_STYLE = {
+    pre: "rgba(76,194,255,0.07)",
+    post: "rgba(167,139,250,0.07)",
+    closed: "rgba(255,255,255,0.035)",
+    separator: "rgba(255,255,255,0.14)",
+  };
 
-      localization: {
-        locale: "en-US",
-        timeFormatter: (time) => formatDisplayTimeByTF(time),
-      },
+  const FIAT = ["USD", "EUR", "JPY", "GBP", "CHF", "AUD", "CAD", "NZD", "CNH", "CNY", "HKD", "SGD", "XAU", "XAG"];
 
-      timeScale: {
-        timeVisible: true,
-        secondsVisible: false,
-        tickMarkFormatter: (time) => {
-          try {
-            return formatTickByTF(time);
-          } catch (e) {
-            return "";
-          }
-        },
-      },
+  function sessionKindFor(symbol) {
+    const sym = normSymbol(symbol);
+    const meta = safeRun("session_meta", () => window.SymbolSearch && window.SymbolSearch.getMeta(sym));
+    const type = String(meta?.type || "").toLowerCase();
+    if (type === "crypto") return "crypto";
+    if (type === "forex") return "fx";
+    if (type) return "us";
+
+    const pair = sym.split("/");
+    if (pair.length === 2) return (FIAT.includes(pair[0]) && FIAT.includes(pair[1])) ? "fx" : "crypto";
+    return "us";
+  }
+
+  function localTimezone() {
+    return safeRun("local_tz", () => Intl.DateTimeFormat().resolvedOptions().timeZone) || "UTC";
+  }
+
+  function resolveDisplayZone(symbol) {
+    if (DISPLAY.tzMode === "utc") return "UTC";
+    if (DISPLAY.tzMode === "local") return localTimezone();
+    return SESSION_CALENDARS[sessionKindFor(symbol)].tz;
+  }
 
-      rightPriceScale: { borderVisible: false },
-      crosshair: { mode: 1 },
+  function setDisplayOptions(opts) {
+    const o = opts || {};
+    if (TZ_MODES.includes(o.tz)) DISPLAY.tzMode = o.tz;
+    if ("sessions" in o) DISPLAY.sessions = !!o.sessions;
+    safeRun("emit_display", () => {
+      window.dispatchEvent(new CustomEvent(DISPLAY.event, { detail: getDisplayOptions() }));
     });
+    return getDisplayOptions();
+  }
 
-    let candle;
-    if (typeof chart.addCandlestickSeries === "function") {
-      candle = chart.addCandlestickSeries({
-        upColor: TREND_COLORS.up.body,
-        downColor: TREND_COLORS.down.body,
-        wickUpColor: TREND_COLORS.up.wick,
-        wickDownColor: TREND_COLORS.down.wick,
-        borderVisible: false,
-      });
-    } else if (typeof chart.addSeries === "function" && LW.CandlestickSeries) {
-      candle = chart.addSeries(LW.CandlestickSeries, {
-        upColor: TREND_COLORS.up.body,
-        downColor: TREND_COLORS.down.body,
-        wickUpColor: TREND_COLORS.up.wick,
-        wickDownColor: TREND_COLORS.down.wick,
-        borderVisible: false,
-      });
-    } else {
-      console.error("[ChartCore] Candlestick series API missing");
-      return false;
+  function getDisplayOptions() {
+    return { tz: DISPLAY.tzMode, sessions: DISPLAY.sessions, local: localTimezone() };
+  }
+
+  // -> { session: "pre" | "regular" | "post" | "closed", day: <trading-day key> }
+  function sessionInfo(time, cal) {
+    const p = getZoneParts(new Date(Number(time) * 1000), cal.tz);
+    if (!p) return null;
+
+    const minute = Number(p.hour) * 60 + Number(p.minute);
+    const rolled = cal.dayStart && minute >= cal.dayStart ? 1 : 0;
+    const day = Date.UTC(Number(p.year), Number(p.month) - 1, Number(p.day) + rolled);
+    const wd = new Date(day).getUTCDay();
+
+    const inside = (r) => !!r && minute >= r[0] && minute < r[1];
+    let session = "closed";
+    if (!(cal.weekdays && (wd === 0 || wd === 6))) {
+      if (inside(cal.regular)) session = "regular";
+      else if (inside(cal.pre)) session = "pre";
+      else if (inside(cal.post)) session = "post";
     }
 
-    function addLine(opts) {
-      if (typeof chart.addLineSeries === "function") return chart.addLineSeries(opts);
-      if (typeof chart.addSeries === "function" && LW.LineSeries) return chart.addSeries(LW.LineSeries, opts);
-      throw new Error("line_api_missing");
+    return { session, day };
+  }
+
+  function createSessionOverlay() {
+    const state = {
+      canvas: null,
+      chart: null,
+      bars: [],
+      kind: "",
+      cal: null,
+      on: false,
+      cache: new Map(),   // "<kind>|<time>" -> sessionInfo
+      subscribed: false,
+      onResize: null,
+    };
+
+    function ensureCanvas(chartEl) {
+      if (!chartEl) return null;
+      if (state.canvas && state.canvas.parentNode === chartEl) return state.canvas;
+
+      const cs = window.getComputedStyle(chartEl);
+      if (cs.position === "static") chartEl.style.position = "relative";
+
+      const c = document.createElement("canvas");
+      c.className = "darrius-session-overlay";
+      c.style.position = "absolute";
+      c.style.left = "0";
+      c.style.top = "0";
+      c.style.width = "100%";
+      c.style.height = "100%";
+      c.style.pointerEvents = "none";
+      c.style.zIndex = "4";
+      chartEl.appendChild(c);
+      state.canvas = c;
+      return c;
     }
 
-    const ema = addLine({ lineWidth: 2, color: LINE_COLORS.ema });
-    const aux = addLine({ lineWidth: 2, color: LINE_COLORS.aux });
+    function infoAt(t) {
+      const key = `${state.kind}|${t}`;
+      let info = state.cache.get(key);
+      if (!info) {
+        info = sessionInfo(t, state.cal);
+        if (state.cache.size > 20000) state.cache.clear();
+        state.cache.set(key, info);
+      }
+      return info;
+    }
 
-    safeRun("applyLineColors", () => {
-      ema.applyOptions ? ema.applyOptions({ color: LINE_COLORS.ema }) : null;
-      aux.applyOptions ? aux.applyOptions({ color: LINE_COLORS.aux }) : null;
-    });
+    function draw() {
+      const c = state.canvas;
+      if (!c) return;
+
+      const r = c.parentNode ? c.parentNode.getBoundingClientRect() : null;
+      const w = Math.max(1, Math.floor(r ? r.width : 0));
+      const h = Math.max(1, Math.floor(r ? r.height : 0));
+      const dpr = Math.min(2, Math.max(1, window.devicePixelRatio || 1));
+      c.width = Math.floor(w * dpr);
+      c.height = Math.floor(h * dpr);
+      c.style.display = state.on ? "block" : "none";
+
+      const ctx = c.getContext("2d");
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      ctx.clearRect(0, 0, w, h);
+      if (!state.on || !state.chart || !state.cal || !state.bars.length) return;
+
+      const ts = state.chart.timeScale();
+      const range = ts.getVisibleLogicalRange();
+      const n = state.bars.length;
+      const from = Math.max(0, Math.floor(range ? range.from : 0));
+      const to = Math.min(n - 1, Math.ceil(range ? range.to : n - 1));
+      if (to < from) return;
+
+      const plotW = typeof ts.width === "function" ? ts.width() : w;
+      const plotH = Math.max(1, h - (typeof ts.height === "function" ? ts.height() : 0));
+      const half = Math.max(0.5, Number(ts.options?.().barSpacing || 6) / 2);
+
+      let prevDay = null;
+      ctx.strokeStyle = SESSION_STYLE.separator;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([3, 4]);
+
+      for (let i = from; i <= to; i++) {
+        const info = infoAt(Number(state.bars[i].time));
+        const x = ts.logicalToCoordinate(i);
+        if (!info || x == null) continue;
+
+        if (info.session !== "regular") {
+          const x0 = Math.max(0, x - half);
+          const x1 = Math.min(plotW, x + half);
+          if (x1 > x0) {
+            ctx.fillStyle = SESSION_STYLE[info.session];
+            ctx.fillRect(x0, 0, x1 - x0, plotH);
+          }
+        }
 
-    function fit() {
-      const r = el.getBoundingClientRect();
-      chart.applyOptions({
-        width: Math.max(1, Math.floor(r.width)),
-        height: Math.max(1, Math.floor(r.height)),
-      });
-      chart.timeScale().fitContent();
+        if (prevDay != null && info.day !== prevDay) {
+          const xs = Math.round(x - half) + 0.5;
+          ctx.beginPath();
+          ctx.moveTo(xs, 0);
+          ctx.lineTo(xs, plotH);
+          ctx.stroke();
+        }
+        prevDay = info.day;
+      }
+      ctx.setLineDash([]);
     }
 
-    S.ro = new ResizeObserver(() => fit());
-    S.ro.observe(el);
-    window.addEventListener("resize", fit);
+    function subscribeIfNeeded(chart) {
+      if (state.subscribed) return;
+      state.subscribed = true;
 
-    S.chart = chart;
-    S.candle = candle;
-    S.ema = ema;
-    S.aux = aux;
+      safeRun("session_subscribe", () => {
+        chart.timeScale().subscribeVisibleLogicalRangeChange(() => safeRun("session_range", draw));
+        state.onResize = () => safeRun("session_resize", draw);
+        window.addEventListener("resize", state.onResize);
+      });
+    }
 
-    return true;
-  }
+    // bars: the displayed bars (logical index = array index); on: intraday + shading enabled
+    function update(chart, chartEl, bars, symbol, on) {
+      return safeRun("session_update", () => {
+        state.on = !!on;
+        if (!state.on && !state.canvas) return;
+        if (!ensureCanvas(chartEl)) return;
+        state.chart = chart;
+        state.kind = sessionKindFor(symbol);
+        state.cal = SESSION_CALENDARS[state.kind];
+        state.bars = Array.isArray(bars) ? bars : [];
+        subscribeIfNeeded(chart);
+        draw();
+      });
+    }
+
+    function dispose() {
+      if (state.onResize) window.removeEventListener("resize", state.onResize);
+      state.onResize = null;
+      if (state.canvas && state.canvas.parentNode) state.canvas.parentNode.removeChild(state.canvas);
+      state.canvas = null;
+      state.bars = [];
+      state.cache.clear();
+    }
 
-  function readSymbolFromUI() {
-    const symEl = getElBy2(S.opts.symbolElIdPrimary, S.opts.symbolElIdFallback);
-    const v = symEl ? symEl.value : "";
-    return normSymbol(v || S.opts.defaultSymbol || DEFAULTS.symbol);
+    return { update, dispose };
   }
 
   // -----------------------------
   // Network: fetch snapshot
   // -----------------------------
-  async function fetchSnapshot(symbol, tf, limit) {
+  async function fetchSnapshot(symbol, tf, limit, extra) {
     const source = readSourceFromUI();
+    const before = extra && extra.before;
 
     const url =
       `${API_BASE}/api/market/snapshot?symbol=${encodeURIComponent(symbol)}` +
       `&tf=${encodeURIComponent(tf)}` +
       `&limit=${encodeURIComponent(String(limit || DEFAULTS.limit))}` +
-      (source ? `&source=${encodeURIComponent(source)}` : "");
+      (source ? `&source=${encodeURIComponent(source)}` : "") +
+      (before ? `&before=${encodeURIComponent(String(before))}` : "");
 
     console.log("[ChartCore] FETCH", url);
 
@@ -762,134 +1476,1613 @@
     }
   }
 
-  function renderSnapshot(symbol, tf, rawSnap) {
-    const snap = normalizeSnapshot(rawSnap);
-    if (!snap.ok) throw new Error("snapshot_not_ok");
-
-    updateMetaBadge(snap);
-
-    let bars = snap.bars || [];
-    if (!bars.length) throw new Error("no_bars");
+  // -----------------------------
+  // Live stream (WS -> SSE -> polling fallback)
+  // - Only patches the tail: series.update() for last/new bars
+  // - Polling asks for the full default window (not just the last bars) so
+  //   server-side EMA/AUX keep their warm-up and every bar since the last poll is merged
+  // - Reconnect with exponential backoff; after N failed attempts
+  //   the next transport in TRANSPORTS is tried
+  // - State is mirrored into #dataSourceBadge
+  // -----------------------------
+  const STREAM = {
+    wsPath: "/api/market/stream",
+    ssePath: "/api/market/stream/sse",
+    pollMs: 15000,
+    backoffBaseMs: 1000,
+    backoffMaxMs: 30000,
+    maxFailsPerTransport: 3,
+  };
 
-    bars = applyTrendColorsToBars(bars);
+  const TRANSPORTS = ["ws", "sse", "poll"];
 
-    S.candle.setData(bars);
+  function transportAvailable(t) {
+    if (t === "ws") return typeof window.WebSocket === "function";
+    if (t === "sse") return typeof window.EventSource === "function";
+    return true;
+  }
 
-    const last = bars[bars.length - 1];
-    setTopText(symbol, last && last.close);
+  function streamQuery(st) {
+    return `symbol=${encodeURIComponent(st.symbol)}` +
+      `&tf=${encodeURIComponent(st.tf)}` +
+      (st.source ? `&source=${encodeURIComponent(st.source)}` : "");
+  }
 
-    const tgEMA = $("tgEMA");
-    const tgAux = $("tgAux");
-    if (tgEMA) S.toggles.ema = !!tgEMA.checked;
-    if (tgAux) S.toggles.aux = !!tgAux.checked;
+  function openWS(query, h) {
+    const ws = new WebSocket(`${API_BASE.replace(/^http/i, "ws")}${STREAM.wsPath}?${query}`);
+    let dropped = false;
+    const drop = () => { if (!dropped) { dropped = true; h.onDrop(); } };
+
+    ws.onopen = () => h.onOpen();
+    ws.onmessage = (ev) => h.onMessage(ev.data);
+    ws.onerror = drop;
+    ws.onclose = drop;
+
+    return {
+      close() {
+        dropped = true;
+        ws.onopen = ws.onmessage = ws.onerror = ws.onclose = null;
+        ws.close();
+      },
+    };
+  }
 
-    const emaSeries = snap.ema_series || [];
-    const auxSeries = snap.aux_series || [];
+  function openSSE(query, h) {
+    const es = new EventSource(`${API_BASE}${STREAM.ssePath}?${query}`);
+    let dropped = false;
+
+    es.onopen = () => h.onOpen();
+    es.onmessage = (ev) => h.onMessage(ev.data);
+    es.addEventListener("bar", (ev) => h.onMessage(ev.data));
+    // EventSource retries on its own; we take over so backoff stays in one place
+    es.onerror = () => {
+      if (dropped) return;
+      dropped = true;
+      es.close();
+      h.onDrop();
+    };
 
-    if (S.toggles.ema && emaSeries.length) S.ema.setData(emaSeries);
-    else S.ema.setData([]);
+    return {
+      close() {
+        dropped = true;
+        es.close();
+      },
+    };
+  }
 
-    if (S.toggles.aux && auxSeries.length) S.aux.setData(auxSeries);
-    else S.aux.setData([]);
+  function normalizeStreamMessage(msg) {
+    if (typeof msg === "string") msg = safeRun("stream_parse", () => JSON.parse(msg));
+    if (!msg || typeof msg !== "object") return null;
 
-    const markers = mapSignalsToMarkers(snap.signals || []);
-    setSeriesMarkersCompat(S.candle, markers);
+    const d = (msg.data && typeof msg.data === "object") ? msg.data : msg;
+    if (d.type === "ping" || d.type === "heartbeat") return null;
 
-    const snapshot = {
-      ok: true,
-      symbol,
-      tf,
+    const bars = Array.isArray(d.bars) ? d.bars : (d.bar ? [d.bar] : []);
+    return {
       bars,
-      ema_series: emaSeries,
-      aux_series: auxSeries,
-      signals: snap.signals || [],
-      meta: snap.meta || {},
-      source: snap.source || "backend",
-      ts: Date.now(),
+      signals: Array.isArray(d.signals) ? d.signals : [],
+      ema: Array.isArray(d.ema) ? d.ema : (Array.isArray(d.ema_series) ? d.ema_series : []),
+      aux: Array.isArray(d.aux) ? d.aux : (Array.isArray(d.aux_series) ? d.aux_series : []),
     };
+  }
 
-    S.lastSnapshot = snapshot;
-    window.__DARRIUS_CHART_STATE__ = snapshot;
+  // merge {time,...} points into the tail of arr; older-than-last points are ignored
+  function mergeTail(arr, incoming, onPoint) {
+    const out = arr.slice();
+    let touched = false;
+
+    incoming
+      .filter(p => Number.isFinite(Number(p?.time)))
+      .sort((a, b) => Number(a.time) - Number(b.time))
+      .forEach((p) => {
+        const t = Number(p.time);
+        const lastIdx = out.length - 1;
+        const lastT = lastIdx >= 0 ? Number(out[lastIdx].time) : -Infinity;
+        if (t < lastT) return;
+
+        const i = (t === lastT) ? lastIdx : out.length;
+        out[i] = onPoint(Object.assign({}, p, { time: t }), out[i - 1], i);
+        touched = true;
+      });
 
-    window.DarriusChart = {
-      timeToX: (t) => safeRun("timeToX", () => S.chart.timeScale().timeToCoordinate(t)),
-      priceToY: (p) => safeRun("priceToY", () => S.candle.priceToCoordinate(p)),
-      getSnapshot: () => (window.__DARRIUS_CHART_STATE__ || null),
+    return touched ? out : arr;
+  }
 
-      formatDisplayTime: (t) => formatDisplayTimeByTF(t),
-      formatDisplayDate: (t) => extractDateLabel(t),
-    };
+  // -----------------------------
+  // Scroll-back history (before=<time> cursor)
+  // - Triggered when the visible logical range nears the first bar
+  // - Older page is merged + deduped by timestamp, viewport is kept
+  // -----------------------------
+  const HISTORY = {
+    edgeBars: 15,
+    pageLimit: 600,
+  };
 
-    safeRun("badgeOverlay", () => {
-      const chartEl = $(S.opts.chartElId);
-      BadgeOverlay.update(S.chart, S.candle, chartEl, snapshot.signals, snapshot.bars);
+  function mergeByTime(older, current, keyFn) {
+    const m = new Map();
+    (older || []).forEach(p => {
+      const t = Number(p?.time);
+      if (Number.isFinite(t)) m.set(keyFn ? keyFn(p) : t, p);
+    });
+    (current || []).forEach(p => {
+      const t = Number(p?.time);
+      if (Number.isFinite(t)) m.set(keyFn ? keyFn(p) : t, p);
     });
+    return Array.from(m.values()).sort((a, b) => Number(a.time) - Number(b.time));
+  }
+
+  // -----------------------------
+  // Bar replay (signal review without hindsight)
+  // - Everything after the replay cursor is cut from the published snapshot, so
+  //   badges, indicators, pulse and the Mutant panel only ever see revealed bars
+  // - Stream + scroll-back history are paused while replaying
+  // -----------------------------
+  const REPLAY = {
+    stepMs: { 1: 1000, 5: 200, 20: 50 },   // speed -> ms per bar
+    minBars: 20,
+    event: "darrius:replayChanged",
+  };
 
-    safeRun("emit", () => {
-      window.dispatchEvent(new CustomEvent("darrius:chartUpdated", { detail: snapshot }));
+  function cutSnapshot(full, idx) {
+    const bars = full.bars.slice(0, idx + 1);
+    const cut = Number(bars[bars.length - 1].time);
+    const upTo = (arr) => (arr || []).filter(p => Number(p?.time) <= cut);
+    return Object.assign({}, full, {
+      bars,
+      ema_series: upTo(full.ema_series),
+      aux_series: upTo(full.aux_series),
+      signals: upTo(full.signals),
     });
   }
 
-  async function load() {
-    if (S.pollInFlight) return;
-    if (!ensureChart()) return;
+  function fmtAge(ms) {
+    const m = Math.round(ms / 60000);
+    if (m < 1) return "just now";
+    if (m < 60) return `${m}m ago`;
+    const h = Math.round(m / 60);
+    return h < 48 ? `${h}h ago` : `${Math.round(h / 24)}d ago`;
+  }
 
-    S.pollInFlight = true;
-    try {
-      const symbol = readSymbolFromUI();
-      const tf = getTF(S.opts.tfElId);
-      const limit = DEFAULTS.limit;
+  // -----------------------------
+  // Export: LW canvas + glow badges + Mutant panel + watermark
+  // -----------------------------
+  const EXPORT = {
+    bg: "#0B0F17",
+    panelBg: "rgba(255,255,255,0.03)",
+    padding: 14,
+    headerH: 36,
+    footerH: 26,
+    gap: 10,
+    dprCap: 2,
+    font: "system-ui, -apple-system, Segoe UI, Roboto, Arial, \"PingFang SC\", \"Microsoft YaHei\", sans-serif",
+  };
 
-      const ds = readSourceFromUI();
-      setHint(`Loading snapshot… / 加载中… (source=${ds || "default"})`);
+  function nyStamp(date) {
+    const p = getNYParts(date);
+    return p ? `${p.year}-${p.month}-${p.day} ${p.hour}:${p.minute} ET` : "";
+  }
 
-      const raw = await fetchSnapshot(symbol, tf, limit);
-      renderSnapshot(symbol, tf, raw);
+  // badges are DOM nodes; redraw them from their computed layout
+  function drawBadgesTo(ctx, chartEl, ox, oy) {
+    const overlay = chartEl.querySelector(".darrius-sig-overlay");
+    if (!overlay) return;
+
+    overlay.querySelectorAll(".darrius-badge").forEach((d) => {
+      const x = parseFloat(d.style.left);
+      const y = parseFloat(d.style.top);
+      const size = parseFloat(d.style.width);
+      if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(size)) return;
+
+      const isBuy = d.classList.contains("buy");
+
+      ctx.save();
+      ctx.shadowColor = isBuy ? BADGE_STYLE.buyGlow : BADGE_STYLE.sellGlow;
+      ctx.shadowBlur = 12;
+      ctx.beginPath();
+      ctx.arc(ox + x, oy + y, size / 2, 0, Math.PI * 2);
+      ctx.fillStyle = isBuy ? BADGE_STYLE.buyBg : BADGE_STYLE.sellBg;
+      ctx.fill();
+
+      ctx.shadowBlur = 0;
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = BADGE_STYLE.ring;
+      ctx.stroke();
+
+      ctx.fillStyle = isBuy ? BADGE_STYLE.buyText : BADGE_STYLE.sellText;
+      ctx.font = `800 ${d.style.fontSize || "14px"} ${EXPORT.font}`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.fillText(d.textContent || "", ox + x, oy + y);
+      ctx.restore();
+    });
+  }
 
-      return true;
-    } catch (e) {
-      const msg = (e && e.message) ? e.message : String(e);
-      console.error("[ChartCore] LOAD_FAIL", msg, e);
-      setHint(`Snapshot failed · ${msg}`);
-      return false;
-    } finally {
-      S.pollInFlight = false;
-    }
-  }
-
-  function applyToggles() {
-    if (S.lastSnapshot && S.lastSnapshot.bars) {
-      renderSnapshot(
-        S.lastSnapshot.symbol || readSymbolFromUI(),
-        S.lastSnapshot.tf || getTF(S.opts.tfElId),
-        S.lastSnapshot
-      );
-    } else {
-      load();
-    }
+  function canvasToBlob(canvas) {
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error("export_blob_failed"))), "image/png");
+    });
   }
 
-  function exportPNG() {
-    alert("导出 PNG：建议用浏览器截图或后续加入 html2canvas。");
+  function exportFileName(sym, tf) {
+    const p = getNYParts(new Date()) || {};
+    return `DarriusAI_${sym}_${tf}_${p.year}${p.month}${p.day}-${p.hour}${p.minute}.png`;
   }
 
-  function init(opts) {
-    S.opts = Object.assign({}, S.opts, (opts || {}));
-    if (!S.opts.defaultSymbol) S.opts.defaultSymbol = DEFAULTS.symbol;
+  // =========================================================================
+  // ChartCore instance factory
+  // - The page's main chart is the "primary" instance (window.ChartCore);
+  //   only it publishes window.DarriusChart, writes DarriusStore
+  //   (symbol / tf / snapshot / dataSource) and fires darrius:chartUpdated.
+  // - Extra panes (chart.layout.js) come from ChartCore.create(opts) and
+  //   fire darrius:paneUpdated { id, snapshot } instead.
+  // =========================================================================
+  function createChartCore(initOpts) {
+    // -----------------------------
+    // ChartCore internal state
+    // -----------------------------
+    const S = {
+      chart: null,
+      candle: null,
+      ema: null,
+      aux: null,
+      volume: null,
+      ro: null,
+      fit: null,
+      size: { w: 0, h: 0 },
+      badges: createBadgeOverlay(),
+      profile: createVolumeProfileOverlay(),
+      sessions: createSessionOverlay(),
+      onDisplay: null,
+      source: "",          // data source of the latest load()
+      offSource: null,     // store dataSource unsubscribe
+      sourceBadge: "",
+
+      opts: Object.assign({
+        id: "main",
+        primary: true,
+        chartElId: "chart",
+        symbolElIdPrimary: "symbol",
+        symbolElIdFallback: "symbo1",
+        tfElId: "tf",
+        hintElId: "hintText",
+        symTextElId: "symText",
+        priceTextElId: "priceText",
+        sourceBadgeElId: "dataSourceBadge",
+        defaultSymbol: "TSLA",
+        stream: true,
+        chartType: "candles",
+        renkoBox: 0,      // 0 = ATR box
+      }, initOpts || {}),
+
+      chartType: "candles",
+      renkoBox: 0,
+      display: null,      // deriveDisplay() result for the current chart type
+
+      toggles: {
+        ema: true,
+        aux: true,
+        vol: true,
+        vp: false,
+      },
+
+      // client-side indicators (indicators.js): key -> { kind, scaleId, series, levels }
+      indicators: new Map(),
+      onIndicators: null,
 
-    ensureChart();
+      // bar replay: full = snapshot being replayed, idx = last revealed bar
+      replay: { on: false, full: null, idx: 0, speed: 1, timer: null },
+
+      // compare overlay (compare.js, primary only): SYMBOL | COMPARE.mainKey -> line series
+      compare: new Map(),
+      mainMargins: null,   // candle scaleMargins (layoutScales), shared by the compare scale
+      onCompare: null,
+
+      // price lines other modules own on the main series: group -> { specs, lines }
+      priceLines: new Map(),
+
+      lastSnapshot: null,
+      pollInFlight: false,
+      loadSeq: 0,
+
+      history: {
+        loading: false,
+        exhausted: false,
+      },
 
-    safeRun("bindDataSource", () => {
-      const ds = $("dataSource");
-      if (ds && !ds.__chartcoreBound) {
-        ds.__chartcoreBound = true;
-        ds.addEventListener("change", () => load());
+      stream: {
+        key: "",
+        symbol: "",
+        tf: "",
+        source: "",
+        transportIdx: 0,
+        transport: "",
+        handle: null,
+        timer: null,
+        fails: 0,
+        status: "idle",
+        statusDetail: "",
+      },
+    };
+
+    function setHint(msg) {
+      safeRun("hint", () => {
+        const el = $(S.opts.hintElId);
+        if (el) el.textContent = msg;
+      });
+    }
+
+    function setTopText(sym, lastClose) {
+      safeRun("topText", () => {
+        const symEl = $(S.opts.symTextElId);
+        const pxEl = $(S.opts.priceTextElId);
+        if (symEl) symEl.textContent = sym;
+        if (pxEl && lastClose != null) pxEl.textContent = Number(lastClose).toFixed(2);
+        setHint("Market snapshot loaded · 已加载市场快照");
+      });
+    }
+
+    // -----------------------------
+    // ✅ MINIMAL META BADGE
+    // -----------------------------
+    function updateMetaBadge(snap) {
+      try {
+        const meta = (snap && snap.meta) || {};
+        const p = String(meta.provider || meta.effective_source || snap.source || "").toLowerCase();
+        if (p === "demo") S.sourceBadge = "DEMO";
+        else if (p === "twelve") S.sourceBadge = `DELAYED ${meta.delayed_minutes || 15}m`;
+        if (S.opts.primary && S.sourceBadge) storeSet("dataSource", { source: readSourceFromUI(), badge: S.sourceBadge });
+        renderSourceBadge();
+      } catch (e) {}
+    }
+
+    // data source + stream state share one badge: "DELAYED 15m · LIVE · WS"
+    function renderSourceBadge() {
+      safeRun("sourceBadge", () => {
+        const el = $(S.opts.sourceBadgeElId);
+        if (!el) return;
+        const base = S.sourceBadge || (S.opts.primary ? safeRun("store_badge", () => store().get("dataSource").badge) : "");
+        const parts = [base, streamLabel()].filter(Boolean);
+        el.textContent = parts.length ? parts.join(" · ") : "—";
+        el.dataset.stream = S.stream.status || "idle";
+      });
+    }
+
+    function displayZone() {
+      return resolveDisplayZone((S.lastSnapshot && S.lastSnapshot.symbol) || readSymbolFromUI());
+    }
+
+    // fresh closures on every call: re-applying them makes the chart repaint its labels
+    function timeLocalization() {
+      return {
+        locale: "en-US",
+        timeFormatter: (time) => formatDisplayTimeByTF(time, getCurrentTFSafe(), displayZone()),
+      };
+    }
+
+    function timeTickOptions() {
+      return {
+        tickMarkFormatter: (time) => {
+          try {
+            return formatTickByTF(time, getCurrentTFSafe(), displayZone());
+          } catch (e) {
+            return "";
+          }
+        },
+      };
+    }
+
+    function renderSessions() {
+      const snap = S.lastSnapshot;
+      if (!snap) return;
+      safeRun("sessions", () => {
+        // shading follows bar positions, so not for renko bricks or date-only TFs
+        const on = DISPLAY.sessions && !isDateOnlyTF(snap.tf) && !(S.display && S.display.mapTime);
+        S.sessions.update(S.chart, $(S.opts.chartElId), S.display ? S.display.data : snap.bars, snap.symbol, on);
+      });
+    }
+
+    function applyDisplayOptions() {
+      if (!S.chart) return;
+      safeRun("display_apply", () => {
+        S.chart.applyOptions({ localization: timeLocalization(), timeScale: timeTickOptions() });
+      });
+      renderSessions();
+    }
+
+    function getCurrentTFSafe() {
+      try {
+        return normalizeTFName(
+          (S && S.lastSnapshot && S.lastSnapshot.tf) ||
+          getTF(S.opts.tfElId) ||
+          DEFAULTS.tf
+        );
+      } catch (e) {
+        return normalizeTFName(DEFAULTS.tf);
       }
-    });
+    }
+
+    // -----------------------------
+    // Ensure chart (v4/v5 compatible)
+    // -----------------------------
+    function addTrendLines(chart) {
+      const ema = addSeriesCompat(chart, "addLineSeries", "LineSeries", { lineWidth: 2, color: LINE_COLORS.ema });
+      const aux = addSeriesCompat(chart, "addLineSeries", "LineSeries", { lineWidth: 2, color: LINE_COLORS.aux });
+      return (ema && aux) ? { ema, aux } : null;
+    }
+
+    function ensureChart() {
+      if (S.chart && S.candle) return true;
+
+      const LW = window.LightweightCharts;
+      if (!LW) {
+        console.error("[ChartCore] LightweightCharts missing. Add CDN script before chart.core.js");
+        return false;
+      }
+
+      const el = $(S.opts.chartElId);
+      if (!el) {
+        console.error("[ChartCore] Missing chart container #" + S.opts.chartElId);
+        return false;
+      }
+
+      const chart = LW.createChart(el, {
+        layout: { background: { color: "transparent" }, textColor: "#d1d4dc" },
+        grid: { vertLines: { color: "transparent" }, horzLines: { color: "transparent" } },
+
+        localization: timeLocalization(),
+
+        timeScale: Object.assign({
+          timeVisible: true,
+          secondsVisible: false,
+        }, timeTickOptions()),
+
+        rightPriceScale: { borderVisible: false },
+        crosshair: { mode: 1 },
+      });
+
+      const candle = addMainSeries(chart, S.chartType);
+      if (!candle) {
+        console.error("[ChartCore] Main series API missing (" + S.chartType + ")");
+        return false;
+      }
+
+      const volume = (typeof chart.addHistogramSeries === "function")
+        ? chart.addHistogramSeries({ priceScaleId: VOLUME.scaleId, priceFormat: { type: "volume" }, priceLineVisible: false, lastValueVisible: false })
+        : chart.addSeries(LW.HistogramSeries, { priceScaleId: VOLUME.scaleId, priceFormat: { type: "volume" }, priceLineVisible: false, lastValueVisible: false });
+
+      const lines = addTrendLines(chart);
+      if (!lines) {
+        console.error("[ChartCore] Line series API missing");
+        return false;
+      }
+      const { ema, aux } = lines;
+
+      // size only: fitContent() here would pull the range back to bar 0 on every resize,
+      // which the scroll-back subscription below reads as "load older history"
+      function fit() {
+        const r = el.getBoundingClientRect();
+        const width = Math.max(1, Math.floor(r.width));
+        const height = Math.max(1, Math.floor(r.height));
+        if (width === S.size.w && height === S.size.h) return;
+        S.size = { w: width, h: height };
+        chart.applyOptions({ width, height });
+      }
+
+      safeRun("history_subscribe", () => {
+        chart.timeScale().subscribeVisibleLogicalRangeChange((range) => {
+          if (range && range.from < HISTORY.edgeBars) loadOlder();
+        });
+      });
+
+      S.ro = new ResizeObserver(() => fit());
+      S.ro.observe(el);
+      window.addEventListener("resize", fit);
+      S.fit = fit;
+
+      S.chart = chart;
+      S.candle = candle;
+      S.ema = ema;
+      S.aux = aux;
+      S.volume = volume;
+
+      return true;
+    }
+
+    function readSymbolFromUI() {
+      const symEl = getElBy2(S.opts.symbolElIdPrimary, S.opts.symbolElIdFallback);
+      const v = symEl ? symEl.value : "";
+      return normSymbol(v || S.opts.defaultSymbol || DEFAULTS.symbol);
+    }
+
+    // main series + volume + EMA/AUX + markers, in the current chart type
+    // (bars: trend-colored snapshot bars)
+    function paintSeries(bars, emaSeries, auxSeries, signals) {
+      S.display = deriveDisplay(bars, S.chartType, S.renkoBox);
+      const mapTime = S.display.mapTime;
+
+      S.candle.setData(S.display.data);
+      S.volume.setData(S.toggles.vol ? S.display.volBars.map(toVolumeBar) : []);
+
+      if (S.toggles.ema && emaSeries.length) S.ema.setData(remapPoints(emaSeries, mapTime));
+      else S.ema.setData([]);
+
+      if (S.toggles.aux && auxSeries.length) S.aux.setData(remapPoints(auxSeries, mapTime));
+      else S.aux.setData([]);
+
+      setSeriesMarkersCompat(S.candle, mapSignalsToMarkers(signals, mapTime));
+    }
+
+    // extra: fields merged into the published snapshot (e.g. replay cursor)
+    function renderSnapshot(symbol, tf, rawSnap, extra) {
+      const snap = normalizeSnapshot(rawSnap);
+      if (!snap.ok) throw new Error("snapshot_not_ok");
+
+      updateMetaBadge(snap);
+
+      let bars = snap.bars || [];
+      if (!bars.length) throw new Error("no_bars");
+
+      bars = applyTrendColorsToBars(bars);
+
+      const last = bars[bars.length - 1];
+      setTopText(symbol, last && last.close);
+
+      const tgEMA = $("tgEMA");
+      const tgAux = $("tgAux");
+      const tgVol = $("tgVol");
+      const tgVP = $("tgVP");
+      if (tgEMA) S.toggles.ema = !!tgEMA.checked;
+      if (tgAux) S.toggles.aux = !!tgAux.checked;
+      if (tgVol) S.toggles.vol = !!tgVol.checked;
+      if (tgVP) S.toggles.vp = !!tgVP.checked;
+
+      const emaSeries = snap.ema_series || [];
+      const auxSeries = snap.aux_series || [];
+
+      paintSeries(bars, emaSeries, auxSeries, snap.signals || []);
+
+      const snapshot = {
+        ok: true,
+        symbol,
+        tf,
+        bars,
+        ema_series: emaSeries,
+        aux_series: auxSeries,
+        signals: snap.signals || [],
+        meta: snap.meta || {},
+        source: snap.source || "backend",
+        ts: Date.now(),
+      };
+      if (extra) Object.assign(snapshot, extra);
+
+      publishSnapshot(snapshot);
+    }
+
+    // -----------------------------
+    // Client-side indicators (window.DarriusIndicators)
+    // overlay -> main price scale; pane -> own scale stacked under the candles
+    // -----------------------------
+    // candles on top, volume at the bottom of the candle area, indicator panes below
+    function layoutScales(paneIds) {
+      const k = paneIds.length;
+      const h = k <= 1 ? 0.22 : k === 2 ? 0.18 : 0.15;
+      const panes = k * h;
+      const vol = S.toggles.vol ? VOLUME.height : 0;
+
+      S.mainMargins = (k || vol)
+        ? { top: 0.06, bottom: panes + vol * 0.6 + 0.03 }
+        : { top: 0.1, bottom: 0.1 };
+
+      safeRun("ind_scales", () => {
+        S.candle.priceScale().applyOptions({ scaleMargins: S.mainMargins });
+        if (S.compare.size) S.chart.priceScale(COMPARE.scaleId).applyOptions({ scaleMargins: S.mainMargins });
+        if (S.volume) {
+          S.chart.priceScale(VOLUME.scaleId).applyOptions({
+            scaleMargins: { top: 1 - panes - vol - 0.01, bottom: panes + (k ? 0.02 : 0) },
+            borderVisible: false,
+          });
+        }
+        paneIds.forEach((scaleId, i) => {
+          S.chart.priceScale(scaleId).applyOptions({
+            scaleMargins: { top: 1 - (i + 1) * h + 0.02, bottom: i * h },
+            borderVisible: false,
+          });
+        });
+      });
+    }
+
+    function addIndicatorSeries(kind, opts) {
+      const LW = window.LightweightCharts;
+      if (kind === "hist") {
+        if (typeof S.chart.addHistogramSeries === "function") return S.chart.addHistogramSeries(opts);
+        return S.chart.addSeries(LW.HistogramSeries, opts);
+      }
+      if (typeof S.chart.addLineSeries === "function") return S.chart.addLineSeries(opts);
+      return S.chart.addSeries(LW.LineSeries, opts);
+    }
+
+    function removeIndicator(key) {
+      const it = S.indicators.get(key);
+      if (!it) return;
+      safeRun("ind_remove", () => S.chart.removeSeries(it.series));
+      S.indicators.delete(key);
+    }
+
+    // live ticks only touch the tail: indicators are causal, so points before the last
+    // painted one are unchanged and series.update() is enough (no full setData per tick)
+    function setIndicatorData(it, data, live) {
+      const n = it.count || 0;
+      const patch = live && n > 0 && data.length >= n &&
+        data[0].time === it.firstTime && data[n - 1].time === it.lastTime;
+
+      if (patch) {
+        for (let i = n - 1; i < data.length; i++) it.series.update(data[i]);
+      } else {
+        it.series.setData(data);
+      }
+
+      it.count = data.length;
+      it.firstTime = data.length ? data[0].time : null;
+      it.lastTime = data.length ? data[data.length - 1].time : null;
+    }
+
+    function renderIndicators() {
+      const I = window.DarriusIndicators;
+      if (!S.chart || !S.candle) return;
+
+      safeRun("indicators", () => {
+        const bars = (S.lastSnapshot && S.lastSnapshot.bars) || [];
+        const live = !!(S.lastSnapshot && S.lastSnapshot.live);
+        const active = I ? I.active() : [];
+        const paneIds = active.filter(a => a.place === "pane").map(a => `ind_${a.id}`);
+        const keep = new Set();
+
+        for (const a of active) {
+          const scaleId = a.place === "pane" ? `ind_${a.id}` : "right";
+          const outs = I.compute(a.id, bars);
+
+          outs.forEach((o, n) => {
+            const key = `${a.id}:${n}`;
+            keep.add(key);
+
+            let it = S.indicators.get(key);
+            if (it && (it.kind !== o.kind || it.scaleId !== scaleId)) { removeIndicator(key); it = null; }
+            if (!it) {
+              const series = addIndicatorSeries(o.kind, {
+                color: o.color,
+                lineWidth: 1,
+                priceScaleId: scaleId,
+                priceLineVisible: false,
+                lastValueVisible: a.place === "pane",
+                crosshairMarkerVisible: false,
+              });
+              const levels = n === outs.length - 1
+                ? (a.levels || []).map(price => series.createPriceLine({
+                  price, color: "rgba(255,255,255,0.25)", lineWidth: 1, lineStyle: 2, axisLabelVisible: false,
+                }))
+                : [];
+              it = { kind: o.kind, scaleId, series, levels };
+              S.indicators.set(key, it);
+            }
+
+            it.series.applyOptions({ color: o.color });
+            setIndicatorData(it, remapPoints(o.data, S.display && S.display.mapTime), live);
+          });
+        }
+
+        for (const key of Array.from(S.indicators.keys())) {
+          if (!keep.has(key)) removeIndicator(key);
+        }
+
+        layoutScales(paneIds);
+      });
+    }
+
+    // -----------------------------
+    // Compare overlay (window.DarriusCompare)
+    // lines on their own percent scale (left axis, same margins as the candles), so
+    // every series reads as change from its first visible bar while the right scale,
+    // EMA/AUX, indicator overlays and price lines stay in price
+    // the main symbol's close is drawn on that scale too, as the baseline to compare to
+    // -----------------------------
+    function compareLine(key, color, title, mainLine) {
+      let series = S.compare.get(key);
+      if (!series) {
+        series = addSeriesCompat(S.chart, "addLineSeries", "LineSeries", {
+          color,
+          lineWidth: mainLine ? 1 : 2,
+          lineStyle: mainLine ? 2 : 0,
+          priceScaleId: COMPARE.scaleId,
+          priceLineVisible: false,
+          crosshairMarkerVisible: false,
+          title,
+        });
+        if (!series) return null;
+        S.compare.set(key, series);
+      }
+      series.applyOptions({ color });
+      return series;
+    }
+
+    function renderCompare() {
+      const C = window.DarriusCompare;
+      if (!S.opts.primary || !S.chart || !S.candle) return;
+
+      safeRun("compare", () => {
+        const bars = (S.lastSnapshot && S.lastSnapshot.bars) || [];
+        const items = C ? C.active(bars.map(b => Number(b.time))) : [];
+        const mapTime = S.display && S.display.mapTime;
+        const keep = new Set();
+
+        if (items.length) {
+          keep.add(COMPARE.mainKey);
+          const main = compareLine(COMPARE.mainKey, COMPARE.mainColor, S.lastSnapshot.symbol, true);
+          if (main) main.setData(remapPoints(bars.map(b => ({ time: b.time, value: Number(b.close) })), mapTime));
+        }
+
+        for (const c of items) {
+          keep.add(c.symbol);
+          const series = compareLine(c.symbol, c.color, c.symbol, false);
+          if (series) series.setData(remapPoints(c.data, mapTime));
+        }
+
+        for (const [key, series] of Array.from(S.compare)) {
+          if (keep.has(key)) continue;
+          safeRun("compare_remove", () => S.chart.removeSeries(series));
+          S.compare.delete(key);
+        }
+
+        const LW = window.LightweightCharts || {};
+        const modes = LW.PriceScaleMode || { Normal: 0, Percentage: 2 };
+        S.chart.priceScale(COMPARE.scaleId).applyOptions({
+          visible: S.compare.size > 0,
+          mode: modes.Percentage,
+          borderVisible: false,
+          scaleMargins: S.mainMargins || { top: 0.1, bottom: 0.1 },
+        });
+      });
+    }
+
+    function clearCompare() {
+      for (const series of S.compare.values()) safeRun("compare_remove", () => S.chart.removeSeries(series));
+      S.compare.clear();
+    }
+
+    function displayMapTime() {
+      return (S.display && S.display.mapTime) || ((t) => t);
+    }
+
+    function publishSnapshot(snapshot) {
+      S.lastSnapshot = snapshot;
+
+      renderIndicators();
+      renderCompare();
+
+      safeRun("badgeOverlay", () => {
+        const chartEl = $(S.opts.chartElId);
+        S.badges.update(S.chart, S.candle, chartEl, snapshot.signals, snapshot.bars, {
+          mapTime: displayMapTime(),
+          formatTime: (t) => formatDisplayTimeByTF(t, snapshot.tf, displayZone()),
+        });
+      });
+
+      renderSessions();
+
+      // profile slices by visible logical index -> needs bars aligned with the displayed series
+      safeRun("volumeProfile", () => {
+        S.profile.update(S.chart, S.candle, $(S.opts.chartElId), S.display ? S.display.volBars : snapshot.bars, S.toggles.vp);
+      });
+
+      if (!S.opts.primary) {
+        safeRun("emit_pane", () => {
+          window.dispatchEvent(new CustomEvent("darrius:paneUpdated", { detail: { id: S.opts.id, snapshot } }));
+        });
+        return;
+      }
+
+      storeSet("snapshot", snapshot);
+
+      window.DarriusChart = {
+        timeToX: (t) => safeRun("timeToX", () => S.chart.timeScale().timeToCoordinate(displayMapTime()(t))),
+        priceToY: (p) => safeRun("priceToY", () => S.candle.priceToCoordinate(p)),
+        getSnapshot: () => (S.lastSnapshot || null),
+
+        // chart type: displayed bars may not be the snapshot bars (renko)
+        chartType: S.chartType,
+        mapTime: (t) => displayMapTime()(t),
+        displayTimes: () => (S.display ? S.display.times.slice() : null),
+
+        formatDisplayTime: (t) => formatDisplayTimeByTF(t, getCurrentTFSafe(), displayZone()),
+        displayZone,
+        formatDisplayDate: (t) => extractDateLabel(t),
+      };
+
+      safeRun("emit", () => {
+        window.dispatchEvent(new CustomEvent("darrius:chartUpdated", { detail: snapshot }));
+      });
+    }
 
-    load();
+    function streamLabel() {
+      const st = S.stream;
+      if (st.status === "live") {
+        return st.transport === "poll"
+          ? `POLL ${Math.round(STREAM.pollMs / 1000)}s`
+          : `LIVE · ${st.transport.toUpperCase()}`;
+      }
+      if (st.status === "connecting") return "CONNECTING…";
+      if (st.status === "reconnecting") return `RECONNECTING ${st.statusDetail}`.trim();
+      if (st.status === "offline") return "OFFLINE";
+      return "";
+    }
+
+    function setStreamStatus(status, detail) {
+      S.stream.status = status;
+      S.stream.statusDetail = detail || "";
+      renderSourceBadge();
+    }
+
+    function openPoll(h) {
+      let timer = null;
+      let closed = false;
+      let opened = false;
+
+      async function tick() {
+        if (closed) return;
+        if (document.hidden) { timer = setTimeout(tick, STREAM.pollMs); return; }
+
+        try {
+          const raw = await fetchSnapshot(S.stream.symbol, S.stream.tf, DEFAULTS.limit);
+          if (closed) return;
+          const snap = normalizeSnapshot(raw);
+          if (!snap.ok) throw new Error("snapshot_not_ok");
+          if (!opened) { opened = true; h.onOpen(); }
+          h.onMessage({ bars: snap.bars, signals: snap.signals, ema: snap.ema_series, aux: snap.aux_series });
+          timer = setTimeout(tick, STREAM.pollMs);
+        } catch (e) {
+          if (!closed) h.onDrop();
+        }
+      }
+
+      tick();
+
+      return {
+        close() {
+          closed = true;
+          clearTimeout(timer);
+        },
+      };
+    }
+
+    function stopStream() {
+      const st = S.stream;
+      st.key = "";
+      clearTimeout(st.timer);
+      st.timer = null;
+
+      const h = st.handle;
+      st.handle = null;
+      if (h) safeRun("stream_close", () => h.close());
+
+      setStreamStatus("idle");
+    }
+
+    function startStream(symbol, tf) {
+      stopStream();
+      if (!S.opts.stream) return;
+
+      symbol = symbol || S.lastSnapshot?.symbol;
+      tf = tf || S.lastSnapshot?.tf;
+      if (!symbol || !tf) return;
+
+      const st = S.stream;
+      st.key = `${symbol}|${tf}|${Date.now()}`;
+      st.symbol = symbol;
+      st.tf = tf;
+      st.source = readSourceFromUI();
+      st.transportIdx = 0;
+      st.fails = 0;
+
+      connectStream(st.key);
+    }
+
+    function connectStream(key) {
+      const st = S.stream;
+      if (st.key !== key) return;
+
+      while (st.transportIdx < TRANSPORTS.length - 1 && !transportAvailable(TRANSPORTS[st.transportIdx])) {
+        st.transportIdx += 1;
+      }
+      st.transport = TRANSPORTS[st.transportIdx];
+      if (!st.fails) setStreamStatus("connecting");
+
+      const h = {
+        onOpen: () => {
+          if (st.key !== key) return;
+          st.fails = 0;
+          setStreamStatus("live");
+        },
+        onMessage: (data) => {
+          if (st.key !== key) return;
+          safeRun("stream_message", () => handleStreamMessage(data));
+        },
+        onDrop: () => {
+          if (st.key !== key) return;
+          st.handle = null;
+          scheduleReconnect(key);
+        },
+      };
+
+      const q = streamQuery(st);
+      st.handle = safeRun("stream_open", () => {
+        if (st.transport === "ws") return openWS(q, h);
+        if (st.transport === "sse") return openSSE(q, h);
+        return openPoll(h);
+      });
+
+      if (!st.handle) scheduleReconnect(key);
+    }
+
+    function scheduleReconnect(key) {
+      const st = S.stream;
+      if (st.key !== key) return;
+
+      st.fails += 1;
+
+      if (st.fails >= STREAM.maxFailsPerTransport && st.transportIdx < TRANSPORTS.length - 1) {
+        console.warn("[ChartCore] stream: falling back from", st.transport);
+        st.transportIdx += 1;
+        st.fails = 0;
+        connectStream(key);
+        return;
+      }
+
+      const delay = Math.min(STREAM.backoffMaxMs, STREAM.backoffBaseMs * Math.pow(2, st.fails - 1));
+      setStreamStatus(navigator.onLine === false ? "offline" : "reconnecting", `${Math.ceil(delay / 1000)}s`);
+
+      clearTimeout(st.timer);
+      st.timer = setTimeout(() => connectStream(key), delay);
+    }
+
+    function handleStreamMessage(data) {
+      if (S.replay.on) return;
+      const patch = normalizeStreamMessage(data);
+      const snap = S.lastSnapshot;
+      if (!patch || !snap || !Array.isArray(snap.bars) || !snap.bars.length) return;
+
+      // plain candles / OHLC bars update in place; derived types (HA, line/area, renko)
+      // depend on history, so they are re-derived from the merged bars below
+      const inPlace = S.chartType === "candles" || S.chartType === "bars";
+
+      const bars = mergeTail(snap.bars, patch.bars, (b, prev) => {
+        const colored = colorBar(b, prev ? Number(prev.close) : null);
+        if (inPlace) {
+          S.candle.update(colored);
+          if (S.toggles.vol) S.volume.update(toVolumeBar(colored));
+        }
+        return colored;
+      });
+
+      const emaSeries = mergeTail(snap.ema_series || [], patch.ema, (p) => {
+        if (inPlace && S.toggles.ema) S.ema.update(p);
+        return p;
+      });
+      const auxSeries = mergeTail(snap.aux_series || [], patch.aux, (p) => {
+        if (inPlace && S.toggles.aux) S.aux.update(p);
+        return p;
+      });
+
+      const known = new Set((snap.signals || []).map(s => `${Number(s?.time)}|${normSide(s)}`));
+      const fresh = patch.signals.filter(s => normSide(s) && !known.has(`${Number(s?.time)}|${normSide(s)}`));
+      const signals = fresh.length ? (snap.signals || []).concat(fresh) : (snap.signals || []);
+
+      if (bars === snap.bars && !fresh.length && emaSeries === snap.ema_series && auxSeries === snap.aux_series) return;
+
+      if (!inPlace) {
+        paintSeries(bars, emaSeries, auxSeries, signals);
+      } else {
+        S.display = deriveDisplay(bars, S.chartType, S.renkoBox);
+        if (fresh.length) setSeriesMarkersCompat(S.candle, mapSignalsToMarkers(signals));
+      }
+
+      const last = bars[bars.length - 1];
+      safeRun("topText_live", () => {
+        const pxEl = $(S.opts.priceTextElId);
+        if (pxEl && last && last.close != null) pxEl.textContent = Number(last.close).toFixed(2);
+      });
+
+      publishSnapshot(Object.assign({}, snap, {
+        bars,
+        ema_series: emaSeries,
+        aux_series: auxSeries,
+        signals,
+        ts: Date.now(),
+        live: true,
+      }));
+    }
+
+    async function loadOlder() {
+      const h = S.history;
+      const snap = S.lastSnapshot;
+      if (h.loading || h.exhausted || S.pollInFlight || S.replay.on) return;
+      if (!snap || !Array.isArray(snap.bars) || !snap.bars.length) return;
+
+      const seq = S.loadSeq;
+      const firstTime = Number(snap.bars[0].time);
+      if (!Number.isFinite(firstTime)) return;
+
+      h.loading = true;
+      setHint("Loading older bars… / 加载更早历史…");
+
+      try {
+        const raw = await fetchSnapshot(snap.symbol, snap.tf, HISTORY.pageLimit, { before: firstTime });
+        if (seq !== S.loadSeq) return;
+
+        const page = normalizeSnapshot(raw);
+        if (!page.ok) throw new Error("snapshot_not_ok");
+
+        const cur = S.lastSnapshot;
+        const curFirst = Number(cur.bars[0].time);
+        const olderBars = (page.bars || []).filter(b => Number(b?.time) < curFirst);
+        if (!olderBars.length) {
+          h.exhausted = true;
+          setHint("Reached start of history · 已到最早历史");
+          return;
+        }
+
+        const bars = mergeByTime(olderBars, cur.bars);
+        const added = bars.length - cur.bars.length;
+        const sigKey = (s) => `${Number(s?.time)}|${normSide(s)}`;
+
+        const range = safeRun("history_range", () => S.chart.timeScale().getVisibleLogicalRange());
+
+        renderSnapshot(cur.symbol, cur.tf, Object.assign({}, cur, {
+          bars,
+          ema_series: mergeByTime(page.ema_series, cur.ema_series),
+          aux_series: mergeByTime(page.aux_series, cur.aux_series),
+          signals: mergeByTime(page.signals, cur.signals, sigKey),
+        }));
+
+        if (range && added > 0) {
+          safeRun("history_keepViewport", () => {
+            S.chart.timeScale().setVisibleLogicalRange({ from: range.from + added, to: range.to + added });
+          });
+        }
+
+        setHint(`Loaded ${added} older bars · 已加载 ${added} 根历史K线`);
+      } catch (e) {
+        const msg = (e && e.message) ? e.message : String(e);
+        console.warn("[ChartCore] HISTORY_FAIL", msg);
+        setHint(`History failed · ${msg}`);
+      } finally {
+        h.loading = false;
+      }
+    }
+
+    // Latest call wins: an older in-flight load is discarded via loadSeq,
+    // so flipping TFs is never blocked by a slow revalidation.
+    async function load() {
+      if (!ensureChart()) return;
+      if (S.replay.on) endReplay(false);
+
+      S.pollInFlight = true;
+      S.loadSeq += 1;
+      S.history.loading = false;
+      S.history.exhausted = false;
+
+      const seq = S.loadSeq;
+      let cached = null;
+
+      try {
+        const symbol = readSymbolFromUI();
+        const tf = getTF(S.opts.tfElId);
+        const limit = DEFAULTS.limit;
+
+        const ds = readSourceFromUI();
+        S.source = ds;
+        setHint(`Loading snapshot… / 加载中… (source=${ds || "default"})`);
+
+        if (S.opts.primary) {
+          storeSet("symbol", symbol);
+          storeSet("tf", tf);
+          storeSet("dataSource", { source: ds, badge: safeRun("store_badge", () => store().get("dataSource").badge) });
+        }
+
+        stopStream();
+
+        // stale-while-revalidate: paint cached snapshot first
+        const cache = window.SnapshotCache || null;
+        const cacheKey = cache ? cache.makeKey(symbol, tf, ds) : "";
+        cached = cache ? await cache.get(cacheKey) : null;
+        if (seq !== S.loadSeq) return false;
+
+        if (cached) {
+          safeRun("renderCached", () => renderSnapshot(symbol, tf, cached.raw));
+          setHint(`Cached ${fmtAge(cached.ageMs)} · revalidating… / 缓存快照 · 后台刷新中…`);
+        }
+
+        const raw = await fetchSnapshot(symbol, tf, limit);
+        if (seq !== S.loadSeq) return false;
+
+        renderSnapshot(symbol, tf, raw);
+        if (cache) cache.put(cacheKey, raw);
+
+        startStream(symbol, tf);
+
+        return true;
+      } catch (e) {
+        if (seq !== S.loadSeq) return false;
+        const msg = (e && e.message) ? e.message : String(e);
+        console.error("[ChartCore] LOAD_FAIL", msg, e);
+        if (cached && S.lastSnapshot) {
+          setHint(`Offline · showing cache from ${fmtAge(cached.ageMs)} · ${msg}`);
+          return true;
+        }
+        setHint(`Snapshot failed · ${msg}`);
+        return false;
+      } finally {
+        if (seq === S.loadSeq) S.pollInFlight = false;
+      }
+    }
+
+    function applyToggles() {
+      if (S.replay.on) {
+        renderReplay();
+        return;
+      }
+      if (S.lastSnapshot && S.lastSnapshot.bars) {
+        renderSnapshot(
+          S.lastSnapshot.symbol || readSymbolFromUI(),
+          S.lastSnapshot.tf || getTF(S.opts.tfElId),
+          S.lastSnapshot
+        );
+      } else {
+        load();
+      }
+    }
+
+    // Price lines (e.g. the Risk Copilot plan) live on the main series; specs are kept so
+    // a chart-type rebuild can put them back on the new series.
+    function drawPriceLines(group) {
+      const entry = S.priceLines.get(group);
+      if (!entry || !S.candle) return;
+      entry.lines = entry.specs
+        .filter(p => p && Number.isFinite(Number(p.price)))
+        .map(p => S.candle.createPriceLine({
+          price: Number(p.price),
+          color: p.color || "rgba(234,240,247,.6)",
+          lineWidth: p.lineWidth || 1,
+          lineStyle: p.lineStyle != null ? p.lineStyle : 2,
+          axisLabelVisible: p.axisLabelVisible !== false,
+          title: p.title || "",
+        }));
+    }
+
+    function setPriceLines(group, specs) {
+      const key = String(group || "");
+      if (!key) return;
+      const prev = S.priceLines.get(key);
+      if (prev && S.candle) prev.lines.forEach(l => safeRun("priceLine_remove", () => S.candle.removePriceLine(l)));
+
+      if (!Array.isArray(specs) || !specs.length) {
+        S.priceLines.delete(key);
+        return;
+      }
+      S.priceLines.set(key, { specs: specs.slice(), lines: [] });
+      safeRun("priceLine_add", () => drawPriceLines(key));
+    }
+
+    // center the chart on a (source) time, keep the zoom, and pin its signal badge
+    function scrollToTime(time, side) {
+      if (!S.chart || !S.display || !S.display.times.length) return false;
+
+      const t = Number(displayMapTime()(Number(time)));
+      const T = S.display.times;
+      let idx = 0;
+      for (let lo = 0, hi = T.length - 1; lo <= hi;) {
+        const mid = (lo + hi) >> 1;
+        if (T[mid] <= t) { idx = mid; lo = mid + 1; } else hi = mid - 1;
+      }
+
+      return !!safeRun("scrollToTime", () => {
+        const ts = S.chart.timeScale();
+        const r = ts.getVisibleLogicalRange();
+        const span = r ? Math.max(20, r.to - r.from) : 120;
+        ts.setVisibleLogicalRange({ from: idx - span / 2, to: idx + span / 2 });
+
+        const d = S.display.data[idx];
+        const px = Number(d && (d.close != null ? d.close : d.value));
+        if (Number.isFinite(px) && typeof S.chart.setCrosshairPosition === "function") {
+          S.chart.setCrosshairPosition(px, T[idx], S.candle);
+        }
+        if (side) S.badges.pin(time, side);
+        return true;
+      });
+    }
+
+    // -----------------------------
+    // Bar replay
+    // -----------------------------
+    function replayState() {
+      const r = S.replay;
+      const total = r.full ? r.full.bars.length : 0;
+      return {
+        on: r.on,
+        playing: !!r.timer,
+        speed: r.speed,
+        idx: r.idx,
+        total,
+        time: (r.on && total) ? Number(r.full.bars[r.idx].time) : null,
+      };
+    }
+
+    function emitReplay() {
+      if (!S.opts.primary) return;
+      safeRun("emit_replay", () => {
+        window.dispatchEvent(new CustomEvent(REPLAY.event, { detail: replayState() }));
+      });
+    }
+
+    function renderReplay() {
+      const r = S.replay;
+      if (!r.on || !r.full) return;
+      const st = replayState();
+      renderSnapshot(r.full.symbol, r.full.tf, cutSnapshot(r.full, r.idx), {
+        replay: { idx: st.idx, total: st.total, time: st.time },
+      });
+      setHint(`Replay · 回放 ${st.idx + 1}/${st.total} · ${formatDisplayTimeByTF(st.time, r.full.tf, displayZone())}`);
+    }
+
+    // fromTime: first hidden bar is the one after the last bar at-or-before it
+    // (missing -> start half way through the loaded bars)
+    function startReplay(fromTime) {
+      const full = S.replay.on ? S.replay.full : S.lastSnapshot;
+      if (!full || !Array.isArray(full.bars) || full.bars.length <= REPLAY.minBars) {
+        setHint(`Replay needs more than ${REPLAY.minBars} bars · 回放需要更多K线`);
+        return false;
+      }
+
+      const bars = full.bars;
+      let idx = Math.floor(bars.length / 2);
+      const t = Number(fromTime);
+      if (Number.isFinite(t) && t > 0) {
+        idx = -1;
+        for (let i = 0; i < bars.length; i++) {
+          if (Number(bars[i].time) <= t) idx = i; else break;
+        }
+      }
+      idx = Math.max(REPLAY.minBars - 1, Math.min(bars.length - 1, idx));
+
+      pauseReplay();
+      stopStream();
+      S.replay.on = true;
+      S.replay.full = full;
+      S.replay.idx = idx;
+
+      renderReplay();
+      emitReplay();
+      return true;
+    }
+
+    function stepReplay(n) {
+      const r = S.replay;
+      if (!r.on) return false;
+      const next = Math.max(REPLAY.minBars - 1, Math.min(r.full.bars.length - 1, r.idx + (Number(n) || 1)));
+      const moved = next !== r.idx;
+      r.idx = next;
+      if (moved) renderReplay();
+      if (r.idx >= r.full.bars.length - 1) pauseReplay();
+      emitReplay();
+      return moved;
+    }
+
+    function playReplay(speed) {
+      const r = S.replay;
+      if (!r.on) return false;
+      if (REPLAY.stepMs[speed]) r.speed = Number(speed);
+      clearInterval(r.timer);
+      r.timer = null;
+      if (r.idx >= r.full.bars.length - 1) { emitReplay(); return false; }
+      r.timer = setInterval(() => safeRun("replay_tick", () => stepReplay(1)), REPLAY.stepMs[r.speed]);
+      emitReplay();
+      return true;
+    }
+
+    function pauseReplay() {
+      const r = S.replay;
+      if (!r.timer) return;
+      clearInterval(r.timer);
+      r.timer = null;
+      emitReplay();
+    }
+
+    // restore: repaint the full snapshot and resume streaming (false when a new load takes over)
+    function endReplay(restore) {
+      const r = S.replay;
+      if (!r.on) return;
+      clearInterval(r.timer);
+      const full = r.full;
+      S.replay = { on: false, full: null, idx: 0, speed: r.speed, timer: null };
+
+      if (restore !== false && full) {
+        safeRun("replay_restore", () => renderSnapshot(full.symbol, full.tf, full));
+        setHint("Replay ended · 回放结束");
+        startStream(full.symbol, full.tf);
+      }
+      emitReplay();
+    }
+
+    // Switching between series kinds (candle/bar/line/area) replaces the main series;
+    // EMA/AUX and indicator series are re-added after it so they keep drawing on top.
+    function setChartType(type, opts) {
+      const next = normChartType(type);
+      const prevKind = CHART_TYPES[S.chartType].series;
+      if (opts && opts.renkoBox != null) S.renkoBox = Math.max(0, Number(opts.renkoBox) || 0);
+      S.chartType = next;
+
+      if (S.chart && S.candle && CHART_TYPES[next].series !== prevKind) {
+        const ok = safeRun("chartType_rebuild", () => {
+          const main = addMainSeries(S.chart, next);
+          if (!main) throw new Error("series_api_missing");
+
+          for (const key of Array.from(S.indicators.keys())) removeIndicator(key);
+          clearCompare();
+          [S.candle, S.ema, S.aux].forEach(sr => S.chart.removeSeries(sr));
+
+          const lines = addTrendLines(S.chart);
+          S.candle = main;
+          S.ema = lines.ema;
+          S.aux = lines.aux;
+          for (const group of S.priceLines.keys()) drawPriceLines(group);
+          return true;
+        });
+        if (!ok) setHint(`Chart type unavailable · ${next}`);
+      }
+
+      if (S.lastSnapshot) applyToggles();
+      return S.chartType;
+    }
+
+    function composeExportCanvas() {
+      if (!S.chart || typeof S.chart.takeScreenshot !== "function") throw new Error("chart_not_ready");
+
+      const chartEl = $(S.opts.chartElId);
+      if (!chartEl) throw new Error("chart_missing");
+
+      const snap = S.lastSnapshot || {};
+      const sym = snap.symbol || readSymbolFromUI();
+      const tf = snap.tf || getTF(S.opts.tfElId);
+      const sourceText = ($(S.opts.sourceBadgeElId)?.textContent || S.sourceBadge || "").trim();
+
+      const shot = S.chart.takeScreenshot();
+      const cr = chartEl.getBoundingClientRect();
+      const cw = Math.max(1, Math.round(cr.width));
+      const ch = Math.max(1, Math.round(cr.height));
+
+      const mutant = S.opts.primary ? document.querySelector('#mutantPanel canvas[data-darrius-mutant="1"]') : null;
+      const mr = mutant ? mutant.getBoundingClientRect() : null;
+      const mh = (mr && mr.height) ? Math.round(mr.height) : 0;
+
+      const pad = EXPORT.padding;
+      const W = cw + pad * 2;
+      const H = EXPORT.headerH + ch + (mh ? EXPORT.gap + mh : 0) + EXPORT.footerH;
+      const dpr = Math.min(EXPORT.dprCap, Math.max(1, window.devicePixelRatio || 1));
+
+      const out = document.createElement("canvas");
+      out.width = Math.floor(W * dpr);
+      out.height = Math.floor(H * dpr);
+
+      const ctx = out.getContext("2d");
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+      ctx.fillStyle = EXPORT.bg;
+      ctx.fillRect(0, 0, W, H);
+
+      // header: symbol · TF (left), data-source badge (right)
+      ctx.textBaseline = "middle";
+      ctx.fillStyle = "#EAF0F7";
+      ctx.font = `900 14px ${EXPORT.font}`;
+      ctx.textAlign = "left";
+      const last = (snap.bars || [])[(snap.bars || []).length - 1];
+      const px = last && Number.isFinite(Number(last.close)) ? `  ${Number(last.close).toFixed(2)}` : "";
+      ctx.fillText(`${sym} · ${tf}${px}`, pad, EXPORT.headerH / 2);
+
+      if (sourceText) {
+        ctx.font = `800 11px ${EXPORT.font}`;
+        ctx.textAlign = "right";
+        ctx.fillStyle = "#A2B0C2";
+        ctx.fillText(sourceText, W - pad, EXPORT.headerH / 2);
+      }
+
+      // chart + badges
+      const chartY = EXPORT.headerH;
+      ctx.drawImage(shot, pad, chartY, cw, ch);
+      chartEl.querySelectorAll("canvas.darrius-session-overlay, canvas.darrius-vp-overlay, canvas.darrius-div-overlay, canvas.darrius-draw-overlay").forEach((c) => {
+        if (c.style.display !== "none") ctx.drawImage(c, pad, chartY, cw, ch);
+      });
+      drawBadgesTo(ctx, chartEl, pad, chartY);
+
+      // faint centered watermark on the plot
+      ctx.save();
+      ctx.globalAlpha = 0.07;
+      ctx.fillStyle = "#ffffff";
+      ctx.font = `900 ${Math.max(28, Math.round(cw / 14))}px ${EXPORT.font}`;
+      ctx.textAlign = "center";
+      ctx.fillText(`DarriusAI · ${sym} ${tf}`, pad + cw / 2, chartY + ch / 2);
+      ctx.restore();
+
+      // Mutant sub-panel
+      if (mh) {
+        const my = chartY + ch + EXPORT.gap;
+        ctx.fillStyle = EXPORT.panelBg;
+        ctx.fillRect(pad, my, mr.width, mh);
+        ctx.drawImage(mutant, pad, my, mr.width, mh);
+      }
+
+      // footer: brand (left), NY timestamp (right)
+      const fy = H - EXPORT.footerH / 2;
+      ctx.font = `700 11px ${EXPORT.font}`;
+      ctx.fillStyle = "rgba(234,240,247,.62)";
+      ctx.textAlign = "left";
+      ctx.fillText("DarriusAI · darrius.ai · Not investment advice", pad, fy);
+      ctx.textAlign = "right";
+      ctx.fillText(nyStamp(new Date()), W - pad, fy);
+
+      return { canvas: out, sym, tf };
+    }
+
+    async function exportPNG() {
+      try {
+        const r = composeExportCanvas();
+        const blob = await canvasToBlob(r.canvas);
+
+        const a = document.createElement("a");
+        a.href = URL.createObjectURL(blob);
+        a.download = exportFileName(r.sym, r.tf);
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(a.href), 4000);
+
+        setHint("Exported PNG · 已导出图片");
+        return true;
+      } catch (e) {
+        console.error("[ChartCore] EXPORT_FAIL", e);
+        alert("导出失败：" + (e && e.message ? e.message : e));
+        return false;
+      }
+    }
+
+    async function copyImage() {
+      try {
+        if (!navigator.clipboard || typeof window.ClipboardItem !== "function") {
+          alert("当前浏览器不支持复制图片，已改为下载 PNG。");
+          return exportPNG();
+        }
+
+        const r = composeExportCanvas();
+        // pass the promise directly (Safari requires ClipboardItem inside the user gesture)
+        await navigator.clipboard.write([new window.ClipboardItem({ "image/png": canvasToBlob(r.canvas) })]);
+
+        setHint("Image copied · 图片已复制到剪贴板");
+        return true;
+      } catch (e) {
+        console.error("[ChartCore] COPY_IMAGE_FAIL", e);
+        alert("复制图片失败：" + (e && e.message ? e.message : e));
+        return false;
+      }
+    }
+
+    function init(opts) {
+      S.opts = Object.assign({}, S.opts, (opts || {}));
+      if (!S.opts.defaultSymbol) S.opts.defaultSymbol = DEFAULTS.symbol;
+      if (!S.chart) {
+        S.chartType = normChartType(S.opts.chartType);
+        S.renkoBox = Math.max(0, Number(S.opts.renkoBox) || 0);
+      }
+
+      ensureChart();
+
+      if (!S.onIndicators) {
+        S.onIndicators = () => {
+          // params / colors changed: repaint whole series
+          for (const it of S.indicators.values()) it.count = 0;
+          renderIndicators();
+        };
+        window.addEventListener("darrius:indicatorsChanged", S.onIndicators);
+      }
+
+      if (!S.onDisplay) {
+        S.onDisplay = () => applyDisplayOptions();
+        window.addEventListener(DISPLAY.event, S.onDisplay);
+      }
+
+      if (S.opts.primary && !S.onCompare) {
+        S.onCompare = () => renderCompare();
+        window.addEventListener("darrius:compareChanged", S.onCompare);
+      }
+
+      // #dataSource is written to the store by boot.js: reload when the source differs from ours
+      safeRun("bindDataSource", () => {
+        if (store() && !S.offSource) {
+          S.offSource = store().subscribe("dataSource", (v) => { if (v.source !== S.source) load(); }, { immediate: false });
+        }
+      });
+
+      load();
+    }
+
+    function destroy() {
+      clearInterval(S.replay.timer);
+      S.replay = { on: false, full: null, idx: 0, speed: 1, timer: null };
+      stopStream();
+      S.loadSeq += 1;
+      S.badges.dispose();
+      S.profile.dispose();
+      if (S.onIndicators) window.removeEventListener("darrius:indicatorsChanged", S.onIndicators);
+      S.onIndicators = null;
+      S.indicators.clear();
+      if (S.onDisplay) window.removeEventListener(DISPLAY.event, S.onDisplay);
+      S.onDisplay = null;
+      S.sessions.dispose();
+      if (S.onCompare) window.removeEventListener("darrius:compareChanged", S.onCompare);
+      S.onCompare = null;
+      if (S.offSource) S.offSource();
+      S.offSource = null;
+      S.compare.clear();
+      S.priceLines.clear();
+      if (S.ro) S.ro.disconnect();
+      if (S.fit) window.removeEventListener("resize", S.fit);
+      if (S.chart) safeRun("chart_remove", () => S.chart.remove());
+      S.chart = S.candle = S.ema = S.aux = S.volume = S.ro = S.fit = null;
+      S.size = { w: 0, h: 0 };
+      S.lastSnapshot = null;
+      S.display = null;
+    }
+
+    return {
+      id: S.opts.id,
+      init,
+      load,
+      loadOlder,
+      applyToggles,
+      setChartType,
+      scrollToTime,
+      setPriceLines,
+      replay: {
+        start: startReplay,
+        step: stepReplay,
+        play: playReplay,
+        pause: pauseReplay,
+        stop: () => endReplay(true),
+        state: replayState,
+        EVENT: REPLAY.event,
+      },
+      getChartType: () => ({ type: S.chartType, renkoBox: S.renkoBox, box: S.display ? S.display.box : null }),
+      exportPNG,
+      copyImage,
+      startStream,
+      stopStream,
+      destroy,
+      getChart: () => S.chart,
+      getMainSeries: () => S.candle,
+      mapTime: (t) => displayMapTime()(t),
+      getSnapshot: () => S.lastSnapshot,
+      getOptions: () => Object.assign({}, S.opts),
+    };
   }
 
-  window.ChartCore = { init, load, applyToggles, exportPNG };
+  const primary = createChartCore({ id: "main", primary: true });
+
+  window.ChartCore = Object.assign({}, primary, {
+    create: (opts) => createChartCore(Object.assign({ primary: false }, opts || {})),
+    fetchSnapshot,
+    normalizeSnapshot,
+    setDisplayOptions,
+    getDisplayOptions,
+    signalStats,
+    readSource: readSourceFromUI,
+    fmtSignedPct,
+    fmtPrice,
+  });
 
 })();
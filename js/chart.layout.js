@@ -0,0 +1,347 @@
+/* chart.layout.js (multi-chart layout grid) v2026.10.19
+ * 1x1 / 2x2 / 1x3 layouts inside #chartWrap.
+ *
+ * - Cell 0 always hosts the primary ChartCore (#chart, Mutant, Pulse follow it)
+ * - Extra cells are ChartCore.create() instances with their own Symbol/TF pickers
+ * - Crosshair and visible time range are linked across all panes
+ *   (nearest bar at-or-before the hovered time on panes with another TF)
+ * - Layout (mode + per-pane symbol/TF + link flags) saved in localStorage
+ *
+ * Safety:
+ * - Never throws
+ * - Extra panes are only opened while entitled (DarriusStore entitlement); losing it closes
+ *   them (the saved layout comes back once entitled again)
+ */
+(() => {
+  'use strict';
+
+  function safe(fn) { try { return fn(); } catch { return null; } }
+  const $ = (id) => document.getElementById(id);
+  const store = () => window.DarriusStore || null;
+
+  const CFG = {
+    storageKey: 'darrius_layout_v1',
+    modes: {
+      '1x1': { cells: 1, cols: 1, rows: 1 },
+      '2x2': { cells: 4, cols: 2, rows: 2 },
+      '1x3': { cells: 3, cols: 3, rows: 1 },
+    },
+    defaultPaneTfs: ['1h', '4h', '1w'],
+    tfOptions: ['5m', '15m', '30m', '1h', '4h', '1d', '1w', '1M'],
+  };
+
+  const STATE = {
+    mode: '1x1',
+    panes: [],        // [{ idx, core, cell, symEl, tfEl }]
+    cells: [],
+    link: { crosshair: true, time: true },
+    syncing: false,
+    subs: [],         // [{ chart, onMove, onRange }]
+    mainWired: false,
+  };
+
+  // -------- persistence --------
+  function loadSaved() {
+    return safe(() => JSON.parse(localStorage.getItem(CFG.storageKey) || 'null')) || null;
+  }
+
+  function save() {
+    safe(() => {
+      localStorage.setItem(CFG.storageKey, JSON.stringify({
+        mode: STATE.mode,
+        link: STATE.link,
+        panes: STATE.panes.map(p => ({ symbol: p.symEl.value, tf: p.tfEl.value })),
+      }));
+    });
+  }
+
+  function isLocked() {
+    const s = store();
+    return !(s && s.get('entitlement').entitled);
+  }
+
+  function mainSymbol() {
+    return String(($('symbol') || $('symbo1'))?.value || 'TSLA').trim().toUpperCase() || 'TSLA';
+  }
+
+  // -------- DOM --------
+  function el(tag, cls, text) {
+    const e = document.createElement(tag);
+    if (cls) e.className = cls;
+    if (text != null) e.textContent = text;
+    return e;
+  }
+
+  function buildPaneCell(idx, preset) {
+    const cell = el('div', 'paneCell');
+    const head = el('div', 'paneHead');
+
+    const symEl = el('input', 'paneSym');
+    symEl.id = `paneSym_${idx}`;
+    symEl.value = (preset && preset.symbol) || mainSymbol();
+    symEl.spellcheck = false;
+
+    const tfEl = el('select', 'paneTf');
+    tfEl.id = `paneTf_${idx}`;
+    for (const tf of CFG.tfOptions) {
+      const o = el('option', '', tf);
+      o.value = tf;
+      tfEl.appendChild(o);
+    }
+    tfEl.value = (preset && preset.tf) || CFG.defaultPaneTfs[(idx - 1) % CFG.defaultPaneTfs.length];
+
+    const px = el('span', 'panePx', '—');
+    px.id = `panePx_${idx}`;
+    const src = el('span', 'paneSrc', '');
+    src.id = `paneSrc_${idx}`;
+    const hint = el('span', 'paneHint', '');
+    hint.id = `paneHint_${idx}`;
+
+    head.appendChild(symEl);
+    head.appendChild(tfEl);
+    head.appendChild(px);
+    head.appendChild(src);
+    head.appendChild(hint);
+
+    const body = el('div', 'paneChart');
+    body.id = `paneChart_${idx}`;
+
+    cell.appendChild(head);
+    cell.appendChild(body);
+    return { cell, symEl, tfEl };
+  }
+
+  function buildMainCell() {
+    const cell = el('div', 'paneCell main');
+    const head = el('div', 'paneHead');
+    head.appendChild(el('span', 'paneTag', 'Main · 主图'));
+    cell.appendChild(head);
+    const body = el('div', 'paneChart');
+    cell.appendChild(body);
+    return { cell, body };
+  }
+
+  // -------- sync --------
+  function allCharts() {
+    const out = [];
+    const main = safe(() => window.ChartCore.getChart());
+    if (main) out.push({ chart: main, core: window.ChartCore, snap: () => window.ChartCore.getSnapshot() });
+    for (const p of STATE.panes) {
+      const c = safe(() => p.core.getChart());
+      if (c) out.push({ chart: c, core: p.core, snap: () => p.core.getSnapshot() });
+    }
+    return out;
+  }
+
+  // nearest bar with time <= t (bars are sorted ascending)
+  function barAtOrBefore(bars, t) {
+    if (!Array.isArray(bars) || !bars.length) return null;
+    let lo = 0, hi = bars.length - 1, hit = null;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (Number(bars[mid].time) <= t) { hit = bars[mid]; lo = mid + 1; }
+      else hi = mid - 1;
+    }
+    return hit;
+  }
+
+  function unsubscribeAll() {
+    for (const s of STATE.subs) {
+      safe(() => s.chart.unsubscribeCrosshairMove(s.onMove));
+      safe(() => s.chart.timeScale().unsubscribeVisibleTimeRangeChange(s.onRange));
+    }
+    STATE.subs = [];
+    STATE.mainWired = false;
+  }
+
+  function wireSync() {
+    unsubscribeAll();
+    if (STATE.mode === '1x1') return;
+
+    const charts = allCharts();
+    STATE.mainWired = !!safe(() => window.ChartCore.getChart());
+    for (const src of charts) {
+      const onMove = (param) => {
+        if (STATE.syncing || !STATE.link.crosshair) return;
+        STATE.syncing = true;
+        safe(() => {
+          const t = Number(param && param.time);
+          for (const dst of charts) {
+            if (dst === src) continue;
+            if (!Number.isFinite(t)) { safe(() => dst.chart.clearCrosshairPosition()); continue; }
+            const b = barAtOrBefore(dst.snap()?.bars, t);
+            if (!b) { safe(() => dst.chart.clearCrosshairPosition()); continue; }
+            // main series is looked up per move: it is replaced when the chart type changes
+            safe(() => dst.chart.setCrosshairPosition(Number(b.close), dst.core.mapTime(b.time), dst.core.getMainSeries()));
+          }
+        });
+        STATE.syncing = false;
+      };
+
+      const onRange = (range) => {
+        if (STATE.syncing || !STATE.link.time || !range) return;
+        STATE.syncing = true;
+        for (const dst of charts) {
+          if (dst === src) continue;
+          safe(() => dst.chart.timeScale().setVisibleRange(range));
+        }
+        STATE.syncing = false;
+      };
+
+      safe(() => src.chart.subscribeCrosshairMove(onMove));
+      safe(() => src.chart.timeScale().subscribeVisibleTimeRangeChange(onRange));
+      STATE.subs.push({ chart: src.chart, onMove, onRange });
+    }
+  }
+
+  // -------- layout --------
+  function teardown() {
+    unsubscribeAll();
+
+    for (const p of STATE.panes) safe(() => p.core.destroy());
+    STATE.panes = [];
+
+    const wrap = $('chartWrap');
+    const chart = $('chart');
+    if (wrap && chart && chart.parentNode !== wrap) wrap.insertBefore(chart, wrap.firstChild);
+
+    for (const c of STATE.cells) safe(() => c.remove());
+    STATE.cells = [];
+
+    if (wrap) {
+      wrap.classList.remove('layoutGrid');
+      wrap.style.gridTemplateColumns = '';
+      wrap.style.gridTemplateRows = '';
+    }
+  }
+
+  // keepSaved: leave the persisted layout as it was (entitlement lost: restored once it is back)
+  function setMode(mode, presets, keepSaved) {
+    return safe(() => {
+      if (!CFG.modes[mode]) mode = '1x1';
+      if (mode !== '1x1' && isLocked()) {
+        const hint = $('hintText');
+        if (hint) hint.textContent = 'Locked: subscribe to unlock multi-chart layouts · 订阅后解锁多图布局';
+        syncButtons();
+        return false;
+      }
+
+      const keep = (presets || STATE.panes.map(p => ({ symbol: p.symEl.value, tf: p.tfEl.value })));
+      teardown();
+      STATE.mode = mode;
+
+      const spec = CFG.modes[mode];
+      const wrap = $('chartWrap');
+      const chart = $('chart');
+
+      if (spec.cells > 1 && wrap && chart && window.ChartCore && typeof window.ChartCore.create === 'function') {
+        wrap.classList.add('layoutGrid');
+        wrap.style.gridTemplateColumns = `repeat(${spec.cols}, minmax(0, 1fr))`;
+        wrap.style.gridTemplateRows = `repeat(${spec.rows}, minmax(0, 1fr))`;
+
+        const main = buildMainCell();
+        main.body.appendChild(chart);
+        wrap.appendChild(main.cell);
+        STATE.cells.push(main.cell);
+
+        for (let i = 1; i < spec.cells; i++) {
+          const b = buildPaneCell(i, keep[i - 1]);
+          wrap.appendChild(b.cell);
+          STATE.cells.push(b.cell);
+
+          const core = window.ChartCore.create({
+            id: `pane${i}`,
+            chartElId: `paneChart_${i}`,
+            symbolElIdPrimary: `paneSym_${i}`,
+            symbolElIdFallback: `paneSym_${i}`,
+            tfElId: `paneTf_${i}`,
+            hintElId: `paneHint_${i}`,
+            symTextElId: '',
+            priceTextElId: `panePx_${i}`,
+            sourceBadgeElId: `paneSrc_${i}`,
+            defaultSymbol: mainSymbol(),
+          });
+
+          const pane = { idx: i, core, cell: b.cell, symEl: b.symEl, tfEl: b.tfEl };
+          const reload = () => {
+            if (isLocked()) return;
+            b.symEl.value = String(b.symEl.value || '').trim().toUpperCase();
+            core.load().then(() => wireSync());
+            save();
+          };
+          b.symEl.addEventListener('keydown', (e) => { if (e.key === 'Enter') reload(); });
+          b.symEl.addEventListener('change', reload);
+          b.tfEl.addEventListener('change', reload);
+
+          STATE.panes.push(pane);
+          core.init();
+        }
+      }
+
+      syncButtons();
+      wireSync();
+      if (!keepSaved) save();
+      return true;
+    });
+  }
+
+  function syncButtons() {
+    safe(() => {
+      document.querySelectorAll('.layoutBtn').forEach((b) => {
+        b.classList.toggle('active', b.dataset.layout === STATE.mode);
+      });
+      const lc = $('layoutLinkCrosshair');
+      const lt = $('layoutLinkTime');
+      if (lc) lc.checked = !!STATE.link.crosshair;
+      if (lt) lt.checked = !!STATE.link.time;
+    });
+  }
+
+  function restore() {
+    const saved = loadSaved();
+    if (!saved) return;
+    if (saved.link) STATE.link = Object.assign({}, STATE.link, saved.link);
+    syncButtons();
+    if (saved.mode && saved.mode !== '1x1' && saved.mode !== STATE.mode && !isLocked()) {
+      setMode(saved.mode, saved.panes || []);
+    }
+  }
+
+  function start() {
+    safe(() => {
+      document.querySelectorAll('.layoutBtn').forEach((b) => {
+        b.addEventListener('click', () => setMode(b.dataset.layout));
+      });
+      $('layoutLinkCrosshair')?.addEventListener('change', (e) => { STATE.link.crosshair = !!e.target.checked; save(); });
+      $('layoutLinkTime')?.addEventListener('change', (e) => { STATE.link.time = !!e.target.checked; save(); });
+    });
+
+    // after boot.js has created the primary chart
+    setTimeout(restore, 0);
+
+    // entitlement usually resolves after boot; retry restoring then. Lost (expiry / another
+    // user): back to 1x1 so extra panes stop streaming, saved layout kept for the next restore
+    safe(() => {
+      store()?.subscribe('entitlement', (ent) => {
+        if (ent.entitled) restore();
+        else if (STATE.mode !== '1x1') setMode('1x1', null, true);
+      }, { immediate: false });
+    });
+
+    // primary chart may be created after the grid (first load)
+    safe(() => {
+      window.addEventListener('darrius:chartUpdated', () => {
+        if (STATE.mode !== '1x1' && !STATE.mainWired) wireSync();
+      });
+    });
+  }
+
+  window.ChartLayout = {
+    setMode,
+    getMode: () => STATE.mode,
+    getPanes: () => STATE.panes.map(p => p.core),
+  };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+  else start();
+})();
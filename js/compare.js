@@ -0,0 +1,359 @@
+/* compare.js (compare-symbol overlay) v2026.10.19
+ * Other symbols on the main chart as percent-change lines (e.g. TSLA vs QQQ / SPY).
+ *
+ * - Data: ChartCore.fetchSnapshot(sym, tf, limit), i.e. the same path and TF as the main chart
+ * - Aligned on the main chart's bar times (last close at-or-before each bar, nothing before
+ *   the first compare bar), so gaps / different sessions never shift the lines
+ * - ChartCore owns the line series (own percent scale on the left axis next to a main-close
+ *   baseline -> change from the first visible bar; the price scale stays in price) and
+ *   re-renders on `darrius:compareChanged`
+ * - Scroll-back: when the main chart loads older bars, compare series fetch the matching
+ *   older page (before=<first compare bar>)
+ * - Live: when the main chart's last bar moves past the newest compare bar, a short tail
+ *   (CFG.tailLimit bars) is fetched once per new main bar and merged by time
+ * - Legend (#compareLegend): color · symbol · % over the visible range · × remove
+ *
+ * Safety:
+ * - Never throws
+ * - No fetch while not entitled (DarriusStore entitlement)
+ */
+(() => {
+  'use strict';
+
+  function safe(fn) { try { return fn(); } catch { return null; } }
+  const $ = (id) => document.getElementById(id);
+  const store = () => window.DarriusStore || null;
+
+  const CFG = {
+    storageKey: 'darrius_compare_v1',
+    event: 'darrius:compareChanged',
+    maxItems: 4,
+    limit: 600,
+    tailLimit: 5,        // bars per live catch-up fetch
+    colors: ['#ff9f43', '#a78bfa', '#38bdf8', '#f472b6'],
+    mainColor: '#eaf0f7',
+  };
+
+  const STATE = {
+    list: [],            // [{ symbol, color }]
+    data: new Map(),     // SYMBOL -> { bars: [{ time, close }], err, loading, exhausted, tailFor }
+    key: '',             // main SYMBOL|tf the data belongs to
+    symbol: '',
+    tf: '',
+    times: [],           // main bar times
+    mainCloses: [],      // [{ time, value }] for the legend
+    seq: 0,
+    subscribed: false,
+    raf: 0,
+  };
+
+  const norm = (s) => String(s || '').trim().toUpperCase();
+
+  // -------- persistence --------
+  function loadList() {
+    const arr = safe(() => JSON.parse(localStorage.getItem(CFG.storageKey) || 'null'));
+    STATE.list = Array.isArray(arr)
+      ? arr.filter(x => x && x.symbol).map(x => ({ symbol: norm(x.symbol), color: String(x.color || '') })).slice(0, CFG.maxItems)
+      : [];
+    STATE.list.forEach((c, i) => { if (!/^#[0-9a-f]{6}$/i.test(c.color)) c.color = CFG.colors[i % CFG.colors.length]; });
+  }
+
+  function saveList() {
+    safe(() => localStorage.setItem(CFG.storageKey, JSON.stringify(STATE.list)));
+  }
+
+  function isLocked() {
+    const s = store();
+    return !(s && s.get('entitlement').entitled);
+  }
+
+  function emitChanged() {
+    safe(() => window.dispatchEvent(new CustomEvent(CFG.event, { detail: active() })));
+  }
+
+  // -------- alignment --------
+  // main times ascending, bars ascending -> [{ time, value }] on main times
+  function align(times, bars) {
+    const out = [];
+    if (!times.length || !bars || !bars.length) return out;
+    let j = -1;
+    for (const t of times) {
+      while (j + 1 < bars.length && bars[j + 1].time <= t) j++;
+      if (j >= 0) out.push({ time: t, value: bars[j].close });
+    }
+    return out;
+  }
+
+  // times: main bar times to align on (ChartCore passes the snapshot it is about to publish)
+  function active(times) {
+    const T = Array.isArray(times) ? times : STATE.times;
+    return STATE.list
+      .map(c => {
+        const d = STATE.data.get(c.symbol);
+        return { symbol: c.symbol, color: c.color, data: d ? align(T, d.bars) : [] };
+      })
+      .filter(c => c.data.length);
+  }
+
+  // -------- data --------
+  async function fetchOne(sym) {
+    const CC = window.ChartCore;
+    if (!CC || typeof CC.fetchSnapshot !== 'function' || !STATE.tf) return;
+
+    const seq = STATE.seq;
+    STATE.data.set(sym, Object.assign({}, STATE.data.get(sym), { loading: true, err: '' }));
+    renderLegend();
+
+    try {
+      const raw = await CC.fetchSnapshot(sym, STATE.tf, Math.min(CFG.limit, Math.max(50, STATE.times.length)));
+      if (seq !== STATE.seq) return;
+      const snap = CC.normalizeSnapshot(raw);
+      const bars = (snap.bars || [])
+        .map(b => ({ time: Number(b.time), close: Number(b.close) }))
+        .filter(b => Number.isFinite(b.time) && Number.isFinite(b.close))
+        .sort((a, b) => a.time - b.time);
+      if (!bars.length) throw new Error('no bars');
+      STATE.data.set(sym, { bars, err: '', loading: false });
+    } catch (e) {
+      if (seq !== STATE.seq) return;
+      STATE.data.set(sym, { bars: [], err: String(e && e.message || e), loading: false });
+    }
+
+    if (!STATE.list.some(c => c.symbol === sym)) return;
+    emitChanged();
+    renderLegend();
+  }
+
+  // main chart scrolled back past the first compare bar: fetch one older page
+  async function fetchOlder(sym) {
+    const CC = window.ChartCore;
+    const d = STATE.data.get(sym);
+    if (!CC || !d || d.loading || d.exhausted || !d.bars || !d.bars.length) return;
+    const first = d.bars[0].time;
+    if (!STATE.times.length || STATE.times[0] >= first) return;
+
+    const seq = STATE.seq;
+    STATE.data.set(sym, Object.assign({}, d, { loading: true }));
+
+    let older = [];
+    try {
+      const raw = await CC.fetchSnapshot(sym, STATE.tf, CFG.limit, { before: first });
+      if (seq !== STATE.seq) return;
+      older = (CC.normalizeSnapshot(raw).bars || [])
+        .map(b => ({ time: Number(b.time), close: Number(b.close) }))
+        .filter(b => Number.isFinite(b.time) && Number.isFinite(b.close) && b.time < first)
+        .sort((a, b) => a.time - b.time);
+    } catch {
+      if (seq !== STATE.seq) return;
+    }
+
+    // nothing older (or the page failed): stop asking until the main symbol / TF changes
+    const cur = STATE.data.get(sym) || d;
+    STATE.data.set(sym, Object.assign({}, cur, {
+      bars: older.concat(cur.bars || []),
+      loading: false,
+      exhausted: !older.length,
+    }));
+
+    if (!STATE.list.some(c => c.symbol === sym)) return;
+    if (older.length) emitChanged();
+    renderLegend();
+  }
+
+  // main chart moved past the newest compare bar (live bars): fetch a short tail and merge it
+  // by time; at most once per new main bar (tailFor = the main bar time it was fetched for)
+  async function fetchTail(sym) {
+    const CC = window.ChartCore;
+    const d = STATE.data.get(sym);
+    if (!CC || !d || d.loading || !d.bars || !d.bars.length) return;
+    const mainLast = STATE.times[STATE.times.length - 1];
+    if (!(mainLast > d.bars[d.bars.length - 1].time) || d.tailFor === mainLast) return;
+
+    const seq = STATE.seq;
+    STATE.data.set(sym, Object.assign({}, d, { tailFor: mainLast }));
+
+    let tail = [];
+    try {
+      const raw = await CC.fetchSnapshot(sym, STATE.tf, CFG.tailLimit);
+      if (seq !== STATE.seq) return;
+      tail = (CC.normalizeSnapshot(raw).bars || [])
+        .map(b => ({ time: Number(b.time), close: Number(b.close) }))
+        .filter(b => Number.isFinite(b.time) && Number.isFinite(b.close));
+    } catch {
+      return;
+    }
+    if (!tail.length) return;
+
+    const cur = STATE.data.get(sym) || d;
+    const byTime = new Map((cur.bars || []).map(b => [b.time, b]));
+    tail.forEach(b => byTime.set(b.time, b));
+    STATE.data.set(sym, Object.assign({}, cur, { bars: [...byTime.values()].sort((a, b) => a.time - b.time) }));
+
+    if (!STATE.list.some(c => c.symbol === sym)) return;
+    emitChanged();
+    renderLegend();
+  }
+
+  function fetchAll() {
+    if (isLocked()) return;
+    return Promise.all(STATE.list.map(c => fetchOne(c.symbol)));
+  }
+
+  // -------- list ops --------
+  function add(sym) {
+    sym = norm(sym);
+    if (!/^[A-Z0-9][A-Z0-9.\-/=^:]{0,19}$/.test(sym)) return false;
+    if (sym === STATE.symbol || STATE.list.some(c => c.symbol === sym) || STATE.list.length >= CFG.maxItems) return false;
+
+    const used = new Set(STATE.list.map(c => c.color));
+    const color = CFG.colors.find(c => !used.has(c)) || CFG.colors[STATE.list.length % CFG.colors.length];
+    STATE.list.push({ symbol: sym, color });
+    saveList();
+    renderLegend();
+    if (!isLocked()) fetchOne(sym);
+    return true;
+  }
+
+  function remove(sym) {
+    sym = norm(sym);
+    STATE.list = STATE.list.filter(c => c.symbol !== sym);
+    STATE.data.delete(sym);
+    saveList();
+    emitChanged();
+    renderLegend();
+  }
+
+  function clear() {
+    STATE.list = [];
+    STATE.data.clear();
+    saveList();
+    emitChanged();
+    renderLegend();
+  }
+
+  // -------- legend --------
+  // % change over the visible time range (matches the percent price scale)
+  function visibleChange(points, range) {
+    if (!points || !points.length) return NaN;
+    let first = null, last = null;
+    for (const p of points) {
+      if (range && p.time < range.from) continue;
+      if (range && p.time > range.to) break;
+      if (!first) first = p;
+      last = p;
+    }
+    return (first && last && first.value) ? (last.value / first.value - 1) : NaN;
+  }
+
+  function fmtPct(v) {
+    return Number.isFinite(v) ? `${v >= 0 ? '+' : ''}${(v * 100).toFixed(2)}%` : '—';
+  }
+
+  function renderLegend() {
+    safe(() => {
+      const box = $('compareItems');
+      const legend = $('compareLegend');
+      if (!box || !legend) return;
+
+      const range = safe(() => window.ChartCore.getChart().timeScale().getVisibleRange());
+      box.innerHTML = '';
+      legend.classList.toggle('on', STATE.list.length > 0);
+      if (!STATE.list.length) return;
+
+      const chip = (sym, color, text, removable, title) => {
+        const el = document.createElement('span');
+        el.className = 'cmpChip';
+        el.dataset.sym = sym;
+        el.title = title || sym;
+        el.innerHTML = '<i></i><b></b><span class="cmpPct"></span>' + (removable ? '<button class="cmpDel" title="Remove · 移除">×</button>' : '');
+        el.querySelector('i').style.background = color;
+        el.querySelector('b').textContent = sym;
+        el.querySelector('.cmpPct').textContent = text;
+        box.appendChild(el);
+        return el;
+      };
+
+      if (STATE.symbol) chip(STATE.symbol, CFG.mainColor, fmtPct(visibleChange(STATE.mainCloses, range)), false);
+
+      for (const c of STATE.list) {
+        const d = STATE.data.get(c.symbol) || {};
+        const text = d.loading ? '…' : d.err ? '!' : fmtPct(visibleChange(align(STATE.times, d.bars), range));
+        const el = chip(c.symbol, c.color, text, true, d.err ? `${c.symbol} · ${d.err}` : c.symbol);
+        el.classList.toggle('stale', !!d.err);
+      }
+    });
+  }
+
+  function scheduleLegend() {
+    if (STATE.raf) return;
+    STATE.raf = requestAnimationFrame(() => { STATE.raf = 0; renderLegend(); });
+  }
+
+  function subscribeIfNeeded() {
+    if (STATE.subscribed) return;
+    const chart = safe(() => window.ChartCore.getChart());
+    if (!chart) return;
+    STATE.subscribed = true;
+    safe(() => chart.timeScale().subscribeVisibleTimeRangeChange(scheduleLegend));
+  }
+
+  // -------- main chart --------
+  function onChartUpdated(e) {
+    const snap = e && e.detail;
+    if (!snap || !snap.symbol || !Array.isArray(snap.bars)) return;
+
+    STATE.times = snap.bars.map(b => Number(b.time)).filter(Number.isFinite);
+    STATE.mainCloses = snap.bars.map(b => ({ time: Number(b.time), value: Number(b.close) }));
+    subscribeIfNeeded();
+
+    const key = `${norm(snap.symbol)}|${snap.tf || ''}`;
+    if (key !== STATE.key) {
+      STATE.key = key;
+      STATE.symbol = norm(snap.symbol);
+      STATE.tf = snap.tf || '';
+      STATE.seq += 1;
+      STATE.data.clear();
+      fetchAll();
+    } else if (!isLocked()) {
+      STATE.list.forEach(c => { fetchOlder(c.symbol); fetchTail(c.symbol); });
+    }
+    renderLegend();
+  }
+
+  function start() {
+    loadList();
+    renderLegend();
+
+    safe(() => {
+      const input = $('compareInput');
+      input?.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        if (add(input.value)) input.value = '';
+        else input.select?.();
+      });
+
+      $('compareItems')?.addEventListener('click', (e) => {
+        const del = e.target.closest('.cmpDel');
+        if (del) remove(del.closest('.cmpChip').dataset.sym);
+      });
+
+      window.addEventListener('darrius:chartUpdated', onChartUpdated);
+      store()?.subscribe('entitlement', () => {
+        if (!isLocked() && STATE.list.some(c => !(STATE.data.get(c.symbol) || {}).bars?.length)) fetchAll();
+      }, { immediate: false });
+    });
+  }
+
+  window.DarriusCompare = {
+    add,
+    remove,
+    clear,
+    list: () => STATE.list.map(c => Object.assign({}, c)),
+    active,
+    refresh: fetchAll,
+    EVENT: CFG.event,
+  };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+  else start();
+})();
@@ -0,0 +1,49 @@
+/* compute.worker.js (derivation worker) v2026.10.19
+ * Runs DarriusCompute jobs (js/darrius.compute.js) off the main thread.
+ *
+ * Messages in:
+ * - { type: 'init', lib }  -> importScripts(lib) (the page's own darrius.compute.js URL, same ?v=)
+ * - { type: 'run', id, stream, from, bars, jobs } -> stream bars = kept bars[0, from) + bars
+ * Messages out:
+ * - { type: 'result', id, results }  ({ job name: result | null })
+ * - { type: 'resync', id }           (from > 0 but the stream is unknown: the page sends it whole)
+ *
+ * Safety:
+ * - A failing job gives null (runJobs), never an unanswered request
+ * - At most MAX_STREAMS series kept (least recently used dropped)
+ */
+(() => {
+  'use strict';
+
+  const MAX_STREAMS = 8;
+  const STREAMS = new Map();   // stream -> bars
+
+  function onRun(m) {
+    let bars = STREAMS.get(m.stream);
+    if (m.from > 0) {
+      if (!bars || bars.length < m.from) {
+        self.postMessage({ type: 'resync', id: m.id });
+        return;
+      }
+      bars.length = m.from;
+      for (const b of m.bars || []) bars.push(b);
+    } else {
+      bars = Array.isArray(m.bars) ? m.bars : [];
+    }
+
+    STREAMS.delete(m.stream);
+    STREAMS.set(m.stream, bars);
+    while (STREAMS.size > MAX_STREAMS) STREAMS.delete(STREAMS.keys().next().value);
+
+    self.postMessage({ type: 'result', id: m.id, results: self.DarriusCompute.runJobs(bars, m.jobs) });
+  }
+
+  self.onmessage = (e) => {
+    const m = e.data || {};
+    if (m.type === 'init') {
+      if (!self.DarriusCompute) importScripts(m.lib);
+      return;
+    }
+    if (m.type === 'run') onRun(m);
+  };
+})();
@@ -0,0 +1,255 @@
+/* confluence.js (multi-timeframe confluence matrix) v2026.10.19
+ * The main chart's symbol on 15m / 1h / 4h / 1D / 1W side by side, so a signal can be
+ * confirmed without clicking through every TF button.
+ *
+ * - Per TF: latest signal (B / S / eB / eS) and its age in bars, pulse label (same scoring as
+ *   the gauge), Mutant state (that TF's DarriusMutant settings); computed in the compute worker
+ * - Row bias = (signal + pulse + mutant) / 3, each voting +1 / 0 / -1 (early signals ±0.5)
+ * - Alignment score = mean row bias x 100 (-100 all bearish … +100 all bullish)
+ * - All TFs are fetched in parallel when the main symbol changes, then every CFG.cycleMs
+ * - Click a cell -> that TF loads on the main chart (through the #tfQuick buttons)
+ *
+ * Safety:
+ * - Never throws
+ * - No fetch while not entitled (DarriusStore entitlement, the main Load button's gate)
+ * - Pauses while the tab is hidden
+ */
+(() => {
+  'use strict';
+
+  function safe(fn) { try { return fn(); } catch { return null; } }
+  const $ = (id) => document.getElementById(id);
+  // js/darrius.store.js; missing store -> no state (locked, no snapshot), never a throw
+  const store = () => window.DarriusStore || null;
+
+  const CFG = {
+    tfs: [
+      { tf: '15m', label: '15m' },
+      { tf: '1h', label: '1h' },
+      { tf: '4h', label: '4h' },
+      { tf: '1d', label: '1D' },
+      { tf: '1w', label: '1W' },
+    ],
+    limit: 300,
+    cycleMs: 120000,
+    alignThr: 50,
+  };
+
+  const STATE = {
+    symbol: '',
+    tf: '',
+    rows: new Map(),   // tf -> { side, isMain, age, time, pulse, mutant, bias, err, loading }
+    seq: 0,
+    ts: 0,
+    timer: null,
+  };
+
+  const norm = (s) => String(s || '').trim().toUpperCase();
+
+  // entitlement (subscription.js), the gate upgrade.guard.js puts on the Load button
+  function isLocked() {
+    const s = store();
+    return !(s && s.get('entitlement').entitled);
+  }
+
+  // -------- per TF --------
+  const SIGNAL_VOTE = { B: 1, eB: 0.5, S: -1, eS: -0.5 };
+  const PULSE_VOTE = { Bullish: 1, Bearish: -1 };
+
+  // last Mutant value against that TF's thresholds (presets / per-TF overrides)
+  function mutantState(m, P) {
+    const pts = (m && m.pts) || [];
+    const v = pts.length ? Number(pts[pts.length - 1].v) : NaN;
+    if (!Number.isFinite(v)) return '';
+    return v >= P.posThr ? 'Bullish' : v <= P.negThr ? 'Bearish' : 'Neutral';
+  }
+
+  // signal stats, pulse and Mutant in the compute worker (one stream per TF) -> Promise<row>
+  function summarize(sym, snap, tf) {
+    const M = window.DarriusMutant;
+    const P = M && typeof M.paramsFor === 'function' ? M.paramsFor(tf) : null;
+    const jobs = { signals: snap.signals || [], pulse: true };
+    if (P) jobs.mutant = P;
+
+    return window.DarriusCompute.run(`confluence:${tf}`, `${sym}|${tf}`, snap.bars, jobs).then((res) => {
+      const stats = res.signals || [];
+      const sig = stats.length ? stats[stats.length - 1] : null;
+      const pulse = res.pulse ? res.pulse.label : '';
+      const mutant = P ? safe(() => mutantState(res.mutant, P)) || '' : '';
+
+      const votes = [sig ? SIGNAL_VOTE[sig.side] : 0, PULSE_VOTE[pulse] || 0, PULSE_VOTE[mutant] || 0];
+      return {
+        side: sig ? sig.side : '',
+        isMain: !!(sig && sig.isMain),
+        age: sig ? sig.barsSince : null,
+        time: sig ? sig.time : null,
+        pulse,
+        mutant,
+        bias: votes.reduce((a, v) => a + v, 0) / votes.length,
+        err: '',
+        loading: false,
+      };
+    });
+  }
+
+  async function fetchTF(sym, tf, seq) {
+    const CC = window.ChartCore;
+    if (!CC || typeof CC.fetchSnapshot !== 'function') return;
+    STATE.rows.set(tf, Object.assign({}, STATE.rows.get(tf), { loading: true }));
+    renderRow(tf);
+
+    let row;
+    try {
+      const snap = CC.normalizeSnapshot(await CC.fetchSnapshot(sym, tf, CFG.limit));
+      if (!Array.isArray(snap.bars) || !snap.bars.length) throw new Error('no bars');
+      row = await summarize(sym, snap, tf);
+    } catch (e) {
+      row = Object.assign({}, STATE.rows.get(tf), { err: String(e && e.message || e), loading: false });
+    }
+    if (seq !== STATE.seq) return;
+    STATE.rows.set(tf, row);
+    renderRow(tf);
+    renderScore();
+  }
+
+  async function refresh() {
+    if (!STATE.symbol || isLocked() || document.hidden) return;
+    const seq = STATE.seq;
+    await Promise.all(CFG.tfs.map(t => fetchTF(STATE.symbol, t.tf, seq)));
+    if (seq === STATE.seq) STATE.ts = Date.now();
+  }
+
+  // -------- alignment --------
+  function alignment() {
+    const rows = CFG.tfs.map(t => STATE.rows.get(t.tf)).filter(r => r && !r.err && !r.loading && Number.isFinite(r.bias));
+    if (!rows.length) return null;
+    const score = Math.round((rows.reduce((a, r) => a + r.bias, 0) / rows.length) * 100);
+    return {
+      score,
+      bull: rows.filter(r => r.bias > 0).length,
+      bear: rows.filter(r => r.bias < 0).length,
+      total: rows.length,
+      label: score >= CFG.alignThr ? 'Aligned bull · 多头共振'
+        : score <= -CFG.alignThr ? 'Aligned bear · 空头共振'
+        : 'Mixed · 分歧',
+    };
+  }
+
+  // -------- render --------
+  const toneOf = (v) => (v > 0 ? 'up' : v < 0 ? 'down' : '');
+
+  function renderScore() {
+    safe(() => {
+      const el = $('confScore');
+      if (!el) return;
+      const a = alignment();
+      el.textContent = a ? `${a.score > 0 ? '+' : ''}${a.score} · ${a.label}` : (isLocked() ? 'Locked · 未解锁' : '—');
+      el.className = 'small ' + (a ? toneOf(Math.abs(a.score) >= CFG.alignThr ? a.score : 0) : '');
+      el.title = a ? `${a.bull} bull / ${a.bear} bear of ${a.total} TFs` : '';
+    });
+  }
+
+  function renderRow(tf) {
+    safe(() => {
+      const tr = document.querySelector(`#confTable tr[data-tf="${tf}"]`);
+      if (!tr) return;
+      const r = STATE.rows.get(tf) || {};
+      const cells = tr.querySelectorAll('td');
+
+      const sigText = r.side ? `${r.side}${r.age != null ? ` · ${r.age}` : ''}` : '—';
+      cells[1].textContent = r.loading && !r.side ? '…' : sigText;
+      cells[1].className = toneOf(SIGNAL_VOTE[r.side] || 0) + (r.isMain ? ' main' : '');
+      cells[1].title = r.time ? `${safe(() => window.DarriusChart.formatDisplayTime(r.time)) || ''} · ${r.age} bars ago` : '';
+
+      cells[2].textContent = r.pulse || '—';
+      cells[2].className = toneOf(PULSE_VOTE[r.pulse] || 0);
+      cells[3].textContent = r.mutant || '—';
+      cells[3].className = toneOf(PULSE_VOTE[r.mutant] || 0);
+
+      const bias = cells[4];
+      bias.textContent = Number.isFinite(r.bias) ? `${r.bias > 0 ? '+' : ''}${Math.round(r.bias * 100)}` : '—';
+      bias.className = toneOf(r.bias);
+
+      tr.classList.toggle('stale', !!r.err);
+      tr.classList.toggle('active', tf === STATE.tf);
+      tr.title = r.err ? `${tf} · ${r.err}` : `Load ${tf} · 加载 ${tf}`;
+    });
+  }
+
+  function render() {
+    safe(() => {
+      const body = $('confBody');
+      if (!body) return;
+      body.innerHTML = '';
+      for (const t of CFG.tfs) {
+        const tr = document.createElement('tr');
+        tr.dataset.tf = t.tf;
+        tr.innerHTML = '<th></th><td>—</td><td>—</td><td>—</td><td>—</td>';
+        tr.querySelector('th').textContent = t.label;
+        body.appendChild(tr);
+        renderRow(t.tf);
+      }
+      renderScore();
+    });
+  }
+
+  function openTF(tf) {
+    safe(() => {
+      const btn = document.querySelector(`#tfQuick .tfBtn[data-tf="${tf}"]`);
+      if (btn) { btn.click(); return; }
+      const sel = $('tf');
+      if (sel) sel.value = tf;
+      $('loadBtn')?.click();
+    });
+  }
+
+  // -------- main chart --------
+  function onChartUpdated(e) {
+    const snap = e && e.detail;
+    if (!snap || !snap.symbol) return;
+
+    const sym = norm(snap.symbol);
+    const tf = snap.tf || '';
+    if (tf !== STATE.tf) {
+      STATE.tf = tf;
+      CFG.tfs.forEach(t => renderRow(t.tf));
+    }
+    if (sym === STATE.symbol) return;
+
+    STATE.symbol = sym;
+    STATE.seq += 1;
+    STATE.rows.clear();
+    safe(() => { $('confSymbol').textContent = sym; });
+    render();
+    refresh();
+  }
+
+  function start() {
+    render();
+
+    safe(() => {
+      $('confTable')?.addEventListener('click', (e) => {
+        const tr = e.target.closest('tr[data-tf]');
+        if (tr && !isLocked()) openTF(tr.dataset.tf);
+      });
+      $('confRefresh')?.addEventListener('click', refresh);
+
+      window.addEventListener('darrius:chartUpdated', onChartUpdated);
+      store()?.subscribe('entitlement', () => { renderScore(); refresh(); }, { immediate: false });
+      document.addEventListener('visibilitychange', () => {
+        if (!document.hidden && Date.now() - STATE.ts > CFG.cycleMs) refresh();
+      });
+    });
+
+    STATE.timer = setInterval(refresh, CFG.cycleMs);
+  }
+
+  window.DarriusConfluence = {
+    refresh,
+    rows: () => CFG.tfs.map(t => Object.assign({ tf: t.tf }, STATE.rows.get(t.tf))),
+    alignment,
+  };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+  else start();
+})();
@@ -0,0 +1,713 @@
+/* darrius.compute.js (shared derivations + compute worker client) v2026.10.19
+ * The heavy per-snapshot math, DOM-free so the same file runs on the page and inside
+ * js/compute.worker.js (importScripts):
+ * - Market Pulse: derivePulseScore / scoreToLabel / scoreToSplit / deriveNetInflow
+ * - Signals: signalStats / latestSignal (ChartCore.signalStats is this one)
+ * - Risk Copilot: normRiskOpts / deriveRisk (anchored on the newest of opts.signals)
+ * - Darrius Mutant: computeMutantFromCandles / trendStates / detectDivergences
+ * - Backtest: runBacktest (backtest.js keeps the settings + card)
+ * - JOBS: name -> (bars, opts) => result; runJobs(bars, { name: opts, ... }) runs several at once.
+ *   A new derivation = one more entry here, then DarriusCompute.run(..., { name: opts })
+ *
+ * Page side: DarriusCompute.run(stream, key, bars, jobs, { live }) -> Promise<{ name: result }>
+ * - One shared worker; it keeps the bars of each stream (e.g. 'main' = the main chart)
+ * - live (snapshot.live: only the last bar updated / bars appended): the page posts what changed
+ *   since its last message (the last bar, new bar = 2 bars)
+ * - Anything else (a new load, scroll-back, a provider correction under the same times) or a new
+ *   key (e.g. SYMBOL|tf) -> the whole series is sent again
+ *
+ * Safety:
+ * - Never throws (a failing job gives null)
+ * - No Worker (file://, CSP, old browser) or a worker error -> the same jobs run on the main thread
+ */
+(() => {
+  'use strict';
+
+  function safe(fn) { try { return fn(); } catch { return null; } }
+  const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+
+  // -------- Market Pulse --------
+  // 1) Momentum + slope score (0..100)
+  function derivePulseScore(candles) {
+    if (!candles || candles.length < 30) return null;
+
+    const n = 20;
+    const seg = candles.slice(-n);
+    const lastB = candles[candles.length - 1];
+    const prevB = candles[candles.length - 2];
+
+    const lastC = Number(lastB?.close ?? lastB?.c);
+    const prevC = Number(prevB?.close ?? prevB?.c);
+    const firstC = Number(seg[0]?.close ?? seg[0]?.c);
+
+    if (!Number.isFinite(lastC) || !Number.isFinite(prevC) || !Number.isFinite(firstC)) return null;
+
+    const r1 = (lastC - prevC) / (prevC || lastC);
+    const r20 = (lastC - firstC) / (firstC || lastC);
+
+    // simple slope via linear regression on closes
+    let sx=0, sy=0, sxx=0, sxy=0;
+    for (let i=0;i<seg.length;i++){
+      const x=i;
+      const y=Number(seg[i]?.close ?? seg[i]?.c);
+      if (!Number.isFinite(y)) continue;
+      sx+=x; sy+=y; sxx+=x*x; sxy+=x*y;
+    }
+    const denom = (n*sxx - sx*sx) || 1;
+    const slope = (n*sxy - sx*sy) / denom;
+    const slopeN = slope / (lastC || 1);
+
+    // score normalize
+    const raw = (slopeN*200) + (r20*80) + (r1*40);
+    // map raw roughly into 0..100
+    const score = clamp(50 + raw*3.5, 0, 100);
+    return Math.round(score);
+  }
+
+  // 2) Regime label from score
+  function scoreToLabel(score) {
+    if (!Number.isFinite(score)) return 'Neutral';
+    if (score >= 60) return 'Bullish';
+    if (score <= 40) return 'Bearish';
+    return 'Neutral';
+  }
+
+  // 3) Percent split (Bull/Bear/Neutral) from score
+  function scoreToSplit(score) {
+    if (!Number.isFinite(score)) return { bull: 0.33, bear: 0.33, neu: 0.34 };
+
+    // center 50 is neutral peak
+    const d = Math.abs(score - 50);           // 0..50
+    const neu = clamp(1 - (d / 50) * 0.9, 0.10, 0.95);
+
+    // remaining goes to bull/bear by direction
+    const rest = 1 - neu;
+    let bull = rest * (score >= 50 ? 0.75 : 0.25);
+    let bear = rest - bull;
+
+    // normalize safety
+    const s = bull + bear + neu;
+    bull /= s; bear /= s;
+
+    return { bull, bear, neu };
+  }
+
+  // 4) Net inflow (simple volume up - volume down over last 20 bars)
+  function deriveNetInflow(candles) {
+    if (!candles || candles.length < 5) return null;
+    const seg = candles.slice(-20);
+    let upV = 0, dnV = 0;
+
+    for (const b of seg) {
+      const o = Number(b?.open ?? b?.o);
+      const c = Number(b?.close ?? b?.c);
+      const v = Number(b?.volume ?? b?.v ?? 0);
+      if (!Number.isFinite(o) || !Number.isFinite(c) || !Number.isFinite(v)) continue;
+      if (c >= o) upV += v; else dnV += v;
+    }
+    return upV - dnV;
+  }
+
+  // -------- Signals --------
+  // ChartCore.signalStats (badge tooltip, signal history, confluence, backtest, risk plan)
+  // - price: signal price, else the close of its bar
+  // - ret / best / worst: move since the signal in the signal's direction
+  //   (buy: up is good, sell: down is good), through the last loaded bar
+  const SIGNAL_LABELS = {
+    B: 'Buy · 买入',
+    S: 'Sell · 卖出',
+    eB: 'Early buy · 早期买入',
+    eS: 'Early sell · 早期卖出',
+  };
+
+  function normSide(s) {
+    const side = String(s?.side || s?.label || s?.text || '').trim();
+    return (side === 'B' || side === 'S' || side === 'eB' || side === 'eS') ? side : '';
+  }
+
+  function signalStats(signals, bars) {
+    const list = Array.isArray(bars) ? bars : [];
+    const closeMap = new Map();
+    for (const b of list) {
+      const t = Number(b?.time);
+      const c = Number(b?.close);
+      if (t && Number.isFinite(c)) closeMap.set(t, c);
+    }
+    const last = list.length ? Number(list[list.length - 1].close) : NaN;
+    const out = [];
+
+    (signals || []).forEach((s) => {
+      const side = normSide(s);
+      const time = Number(s?.time);
+      if (!side || !time) return;
+
+      const sp = Number(s?.price);
+      const price = Number.isFinite(sp) ? sp : closeMap.get(time);
+      const isBuy = side === 'B' || side === 'eB';
+      const dir = isBuy ? 1 : -1;
+
+      let barsSince = 0, best = NaN, worst = NaN;
+      if (Number.isFinite(price) && price) {
+        for (const b of list) {
+          if (Number(b.time) <= time) continue;
+          barsSince += 1;
+          const up = Number(b.high) / price - 1;
+          const dn = Number(b.low) / price - 1;
+          const fav = isBuy ? up : -dn;
+          const adv = isBuy ? dn : -up;
+          if (Number.isFinite(fav) && !(fav <= best)) best = fav;
+          if (Number.isFinite(adv) && !(adv >= worst)) worst = adv;
+        }
+      }
+
+      const ok = Number.isFinite(price) && price && Number.isFinite(last);
+      out.push({
+        time,
+        side,
+        label: SIGNAL_LABELS[side],
+        isBuy,
+        isMain: side === 'B' || side === 'S',
+        price: Number.isFinite(price) ? price : null,
+        last: Number.isFinite(last) ? last : null,
+        distPct: ok ? last / price - 1 : null,
+        ret: ok ? dir * (last / price - 1) : null,
+        best: Number.isFinite(best) ? best : null,
+        worst: Number.isFinite(worst) ? worst : null,
+        barsSince,
+      });
+    });
+
+    return out.sort((a, b) => a.time - b.time);
+  }
+
+  // newest signal as the risk plan's anchor
+  function latestSignal(signals, bars) {
+    if (!Array.isArray(signals) || !signals.length) return null;
+    const list = signalStats(signals, bars);
+    const s = list.length ? list[list.length - 1] : null;
+    return s ? { side: s.side, isBuy: s.isBuy, time: s.time, price: s.price } : null;
+  }
+
+  // -------- Risk Copilot --------
+  // plan from the latest signal (long on B/eB, short on S/eS; long from the last close when there
+  // is none), ATR or swing stop, 1R / 2R targets
+  const RISK_DEFAULTS = { stopMode: 'atr', atrMult: 1.5, atrLen: 14, swingLen: 10, lines: true };
+
+  function normRiskOpts(raw) {
+    const o = Object.assign({}, RISK_DEFAULTS);
+    if (!raw || typeof raw !== 'object') return o;
+    const m = Number(raw.atrMult), n = Number(raw.atrLen), w = Number(raw.swingLen);
+    if (raw.stopMode === 'atr' || raw.stopMode === 'swing') o.stopMode = raw.stopMode;
+    if (Number.isFinite(m) && m > 0) o.atrMult = clamp(m, 0.1, 10);
+    if (Number.isFinite(n) && n >= 1) o.atrLen = clamp(Math.round(n), 1, 200);
+    if (Number.isFinite(w) && w >= 2) o.swingLen = clamp(Math.round(w), 2, 200);
+    if (typeof raw.lines === 'boolean') o.lines = raw.lines;
+    return o;
+  }
+
+  // ATR(len) ending at bar i, with OHLC if available; fallback to abs(close diff)
+  function atrAt(candles, i, len) {
+    let sumTR = 0, cnt = 0;
+    for (let k = i - len + 1; k <= i; k++) {
+      const b = candles[k], p = candles[k - 1];
+      if (!b || !p) continue;
+
+      const h = Number(b?.high ?? b?.h);
+      const l = Number(b?.low  ?? b?.l);
+      const pc = Number(p?.close ?? p?.c);
+      if (Number.isFinite(h) && Number.isFinite(l) && Number.isFinite(pc)) {
+        const tr = Math.max(h - l, Math.abs(h - pc), Math.abs(l - pc));
+        sumTR += tr; cnt++;
+      } else {
+        const c1 = Number(b?.close ?? b?.c);
+        if (Number.isFinite(pc) && Number.isFinite(c1)) { sumTR += Math.abs(c1 - pc); cnt++; }
+      }
+    }
+    return cnt ? (sumTR / cnt) : NaN;
+  }
+
+  // opts.signal: the latest signal { side, isBuy, time, price } (ChartCore.signalStats) or null
+  function deriveRisk(candles, opts) {
+    if (!candles || candles.length < 20) return null;
+    const o = normRiskOpts(opts);
+
+    const L = candles.length;
+    // opts.signal (already resolved) or opts.signals (the chart's signals; newest one wins)
+    const given = opts && (opts.signal || latestSignal(opts.signals, candles));
+    const sig = given && Number.isFinite(Number(given.time)) ? given : null;
+
+    // anchor: the signal bar (last bar at-or-before the signal time), else the last bar
+    let idx = L - 1;
+    if (sig) {
+      while (idx > 0 && Number(candles[idx]?.time) > sig.time) idx--;
+    }
+    const side = sig && !sig.isBuy ? 'short' : 'long';
+    const dir = side === 'long' ? 1 : -1;
+
+    const close = Number(candles[idx]?.close ?? candles[idx]?.c);
+    const entry = sig && Number.isFinite(sig.price) ? sig.price : close;
+    if (!Number.isFinite(entry)) return null;
+
+    const atr = atrAt(candles, idx, o.atrLen);
+    const atrStop = Number.isFinite(atr) ? entry - dir * o.atrMult * atr : NaN;
+
+    // swing: lowest low (long) / highest high (short) of the last swingLen bars to the anchor,
+    // a tenth of an ATR beyond it; falls back to the ATR stop when it is on the wrong side
+    let stop = atrStop;
+    let stopMode = 'atr';
+    if (o.stopMode === 'swing') {
+      let ext = NaN;
+      for (let k = Math.max(0, idx - o.swingLen + 1); k <= idx; k++) {
+        const v = Number(side === 'long' ? (candles[k]?.low ?? candles[k]?.l) : (candles[k]?.high ?? candles[k]?.h));
+        if (!Number.isFinite(v)) continue;
+        if (!Number.isFinite(ext) || (side === 'long' ? v < ext : v > ext)) ext = v;
+      }
+      const swing = Number.isFinite(ext) ? ext - dir * (Number.isFinite(atr) ? 0.1 * atr : 0) : NaN;
+      if (Number.isFinite(swing) && (entry - swing) * dir > 0) { stop = swing; stopMode = 'swing'; }
+    }
+
+    const r = Number.isFinite(stop) ? Math.abs(entry - stop) : NaN;
+    const t1 = Number.isFinite(r) ? (entry + dir * 1.0 * r) : NaN;
+    const t2 = Number.isFinite(r) ? (entry + dir * 2.0 * r) : NaN;
+
+    // confidence: share of bars in the plan's direction over the last 20
+    const seg = candles.slice(-20);
+    let agree = 0, tot = 0;
+    for (const b of seg) {
+      const op = Number(b?.open ?? b?.o);
+      const c = Number(b?.close ?? b?.c);
+      if (!Number.isFinite(op) || !Number.isFinite(c)) continue;
+      tot++;
+      if (side === 'long' ? c >= op : c < op) agree++;
+    }
+    const confidence = tot ? agree / tot : NaN;
+
+    return {
+      side,
+      anchor: sig ? 'signal' : 'last',
+      signal: sig ? { side: sig.side, time: sig.time } : null,
+      entry, stop, t1, t2, atr, stopMode, confidence,
+    };
+  }
+
+  // -------- Darrius Mutant --------
+  // P = the full Mutant parameter set (DarriusMutant.paramsFor(tf) / its CFG)
+  function emaOnArray(vals, period) {
+    const n = Math.max(1, Math.floor(period || 3));
+    const k = 2 / (n + 1);
+    let e = null;
+    const out = new Array(vals.length);
+    for (let i = 0; i < vals.length; i++) {
+      const v = vals[i];
+      if (!Number.isFinite(v)) { out[i] = NaN; continue; }
+      e = (e == null) ? v : (v * k + e * (1 - k));
+      out[i] = e;
+    }
+    return out;
+  }
+
+  // sorted ascending: insert / drop one value (rolling p95)
+  function sortedIndex(arr, v) {
+    let lo = 0, hi = arr.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (arr[mid] < v) lo = mid + 1; else hi = mid;
+    }
+    return lo;
+  }
+
+  const p95Of = (sorted) => (sorted.length ? sorted[Math.floor(sorted.length * 0.95)] : 1);
+
+  // Candle-only mutant; lookback: bars to return (default P.lookback)
+  // Scale = p95 of |smoothed| over the P.lookback bars ending at each bar (the first bars
+  // use the first full window), so a bar reads the same in the panel (every loaded bar),
+  // alerts and confluence (the last P.lookback bars), and older history never rescales it
+  function computeMutantFromCandles(candles, lookback, P) {
+    const n0 = candles.length;
+    if (n0 < 10) return [];
+    const n = Math.min(Number(lookback) > 0 ? Number(lookback) : P.lookback, n0);
+    const start = n0 - n;
+    const win = Math.max(2, Math.floor(Number(P.lookback)) || 260);
+
+    const raw = new Array(n0).fill(0);
+    for (let i = 0; i < n0; i++) {
+      const c = Number(candles[i]?.close);
+      const p = (i >= 1) ? Number(candles[i - 1]?.close) : c;
+      if (!Number.isFinite(c) || !Number.isFinite(p) || p === 0) continue;
+      raw[i] = Math.log(c / p) * 260;
+    }
+
+    const sm = emaOnArray(raw, Math.max(3, P.smooth + 2));
+    const abs = sm.map(x => (Number.isFinite(x) ? Math.abs(x) : NaN));
+
+    const from = Math.max(0, start - win + 1);
+    const warm = abs.slice(from, from + win).filter(Number.isFinite).sort((a, b) => a - b);
+    const warmScale = Math.max(1e-9, p95Of(warm));
+
+    const sorted = [];
+    const out = new Array(n);
+    for (let i = from; i < n0; i++) {
+      if (Number.isFinite(abs[i])) sorted.splice(sortedIndex(sorted, abs[i]), 0, abs[i]);
+      const drop = i - win;
+      if (drop >= from && Number.isFinite(abs[drop])) sorted.splice(sortedIndex(sorted, abs[drop]), 1);
+      if (i < start) continue;
+
+      const scale = i - from + 1 < win ? warmScale : Math.max(1e-9, p95Of(sorted));
+      out[i - start] = { time: candles[i].time, v: Number.isFinite(sm[i]) ? clamp(sm[i] / scale, -1, 1) : 0 };
+    }
+    return out;
+  }
+
+  // hysteresis state machine over mutant values -> per-bar trend state + confirmed turning points
+  function trendStates(values, P) {
+    const enterThr = Number(P.arrowEnterThr);
+    const exitAbs = Math.abs(Number(P.arrowExitThr));
+    const need = Math.max(1, P.arrowConfirmBars | 0);
+
+    let state = 0;        // -1,0,+1
+    let pending = 0;
+    let pendingCount = 0;
+
+    const turns = [];
+    const states = new Array(values.length);
+
+    for (let i = 0; i < values.length; i++) {
+      const v = values[i];
+      states[i] = state;
+
+      let target = state;
+      if (v >= enterThr) target = +1;
+      else if (v <= -enterThr) target = -1;
+      else if (Math.abs(v) <= exitAbs) target = 0;
+
+      if (target === state) {
+        pending = 0; pendingCount = 0;
+        continue;
+      }
+
+      if (pending !== target) { pending = target; pendingCount = 1; }
+      else pendingCount++;
+
+      if (pendingCount >= need) {
+        if (pending === +1 || pending === -1) {
+          turns.push({ idx: i, dir: pending });
+        }
+        state = pending;
+        states[i] = state;
+        pending = 0; pendingCount = 0;
+      }
+    }
+
+    return { states, turns };
+  }
+
+  // swing points: strict extreme against `len` bars on the right, ties allowed on the left
+  function pivots(vals, len, isLow) {
+    const out = [];
+    for (let i = len; i < vals.length - len; i++) {
+      const v = vals[i];
+      if (!Number.isFinite(v)) continue;
+      let ok = true;
+      for (let k = i - len; k <= i + len && ok; k++) {
+        if (k === i || !Number.isFinite(vals[k])) continue;
+        ok = isLow ? (k < i ? v <= vals[k] : v < vals[k]) : (k < i ? v >= vals[k] : v > vals[k]);
+      }
+      if (ok) out.push(i);
+    }
+    return out;
+  }
+
+  // Mutant swing belonging to a price swing: its extreme within +-2 bars
+  function oscExtreme(vals, i, isLow) {
+    let best = vals[i];
+    for (let k = Math.max(0, i - 2); k <= Math.min(vals.length - 1, i + 2); k++) {
+      if (isLow ? vals[k] < best : vals[k] > best) best = vals[k];
+    }
+    return best;
+  }
+
+  // candles + their Mutant points (computeMutantFromCandles) -> divergences, oldest first
+  // { dir: 'bull' | 'bear', type: 'regular' | 'hidden', from, to: { idx, time, price, v }, confirmedTime }
+  function detectDivergences(candles, pts, P) {
+    if (P.divMode === 'off' || !pts || pts.length < P.pivotLen * 2 + 2) return [];
+
+    const start = candles.length - pts.length;
+    const lows = pts.map((_, i) => Number(candles[start + i]?.low));
+    const highs = pts.map((_, i) => Number(candles[start + i]?.high));
+    const osc = pts.map(p => p.v);
+    const out = [];
+
+    const scan = (isLow) => {
+      const price = isLow ? lows : highs;
+      const piv = pivots(price, P.pivotLen, isLow);
+      for (let k = 1; k < piv.length; k++) {
+        const a = piv[k - 1], b = piv[k];
+        if (b - a < P.divMinGap || b - a > P.divMaxGap) continue;
+
+        const ma = oscExtreme(osc, a, isLow), mb = oscExtreme(osc, b, isLow);
+        const dPrice = price[b] - price[a], dOsc = mb - ma;
+        if (!dPrice || Math.abs(dOsc) < P.divMinDelta) continue;
+
+        // lows: LL + HL = regular bull, HL + LL = hidden bull; highs: HH + LH = regular bear, LH + HH = hidden bear
+        const regular = isLow ? (dPrice < 0 && dOsc > 0) : (dPrice > 0 && dOsc < 0);
+        const hidden = isLow ? (dPrice > 0 && dOsc < 0) : (dPrice < 0 && dOsc > 0);
+        if (!regular && !(hidden && P.divMode === 'all')) continue;
+
+        out.push({
+          dir: isLow ? 'bull' : 'bear',
+          type: regular ? 'regular' : 'hidden',
+          from: { idx: a, time: pts[a].time, price: price[a], v: ma },
+          to: { idx: b, time: pts[b].time, price: price[b], v: mb },
+          confirmedTime: pts[Math.min(pts.length - 1, b + P.pivotLen)].time,
+        });
+      }
+    };
+    scan(true);
+    scan(false);
+    return out.sort((x, y) => x.to.idx - y.to.idx || x.from.idx - y.from.idx);
+  }
+
+  // -------- Backtest (backtest.js) --------
+  // o: normalized settings { feeBps, slipBps, stopAtr, targetR, early }; see backtest.js
+  const BT_ATR_LEN = 14;
+
+  function backtestAtr(bars, i, len) {
+    let sum = 0, cnt = 0;
+    for (let k = Math.max(1, i - len + 1); k <= i; k++) {
+      const b = bars[k], p = bars[k - 1];
+      const tr = Math.max(b.high - b.low, Math.abs(b.high - p.close), Math.abs(b.low - p.close));
+      if (Number.isFinite(tr)) { sum += tr; cnt++; }
+    }
+    return cnt ? sum / cnt : NaN;
+  }
+
+  // signals -> Map(bar index -> 'buy' | 'sell'); signals between bars land on the next bar
+  function signalIndex(signals, bars, early) {
+    const out = new Map();
+    let j = 0;
+    for (const s of signalStats(signals, [])) {
+      if (!early && !s.isMain) continue;
+      while (j < bars.length && bars[j].time < s.time) j++;
+      if (j >= bars.length) break;
+      // a later signal on the same bar wins (the list is time-sorted)
+      out.set(j, s.isBuy ? 'buy' : 'sell');
+    }
+    return out;
+  }
+
+  function runBacktest(rawBars, signals, o) {
+    const num = Number;
+    const bars = (Array.isArray(rawBars) ? rawBars : [])
+      .map(b => ({ time: num(b.time), open: num(b.open), high: num(b.high), low: num(b.low), close: num(b.close) }))
+      .filter(b => Number.isFinite(b.time) && Number.isFinite(b.open) && Number.isFinite(b.high) && Number.isFinite(b.low) && Number.isFinite(b.close));
+
+    const fee = o.feeBps / 10000;
+    const slip = o.slipBps / 10000;
+    const sigs = signalIndex(signals, bars, o.early);
+
+    const trades = [];
+    const equity = [];
+    let eq = 1;
+    let pos = null;        // { entryTime, entryPx, stop, target, risk, idx, eq }
+    let pending = null;    // 'buy' | 'sell' to fill at this bar's open
+
+    const close = (b, i, px, reason) => {
+      const exitPx = px * (1 - slip);
+      const ret = (exitPx * (1 - fee)) / (pos.entryPx * (1 + fee)) - 1;
+      eq = pos.eq * (1 + ret);
+      trades.push({
+        entryTime: pos.entryTime,
+        entryPx: pos.entryPx,
+        exitTime: b.time,
+        exitPx,
+        reason,
+        ret,
+        r: pos.risk ? (exitPx * (1 - fee) - pos.entryPx * (1 + fee)) / pos.risk : null,
+        bars: i - pos.idx,
+      });
+      pos = null;
+    };
+
+    for (let i = 0; i < bars.length; i++) {
+      const b = bars[i];
+
+      if (pending === 'sell' && pos) close(b, i, b.open, 'signal');
+      if (pending === 'buy' && !pos) {
+        const entryPx = b.open * (1 + slip);
+        const atr = backtestAtr(bars, i - 1, BT_ATR_LEN);
+        const risk = o.stopAtr > 0 && Number.isFinite(atr) && atr > 0 ? o.stopAtr * atr : 0;
+        pos = {
+          entryTime: b.time,
+          entryPx,
+          stop: risk ? entryPx - risk : NaN,
+          target: risk && o.targetR > 0 ? entryPx + o.targetR * risk : NaN,
+          risk,
+          idx: i,
+          eq,
+        };
+      }
+      pending = null;
+
+      if (pos && b.low <= pos.stop) close(b, i, Math.min(b.open, pos.stop), 'stop');
+      else if (pos && b.high >= pos.target) close(b, i, Math.max(b.open, pos.target), 'target');
+
+      const s = sigs.get(i);
+      if (s === 'buy' && !pos) pending = 'buy';
+      if (s === 'sell' && pos) pending = 'sell';
+
+      const mark = pos ? pos.eq * ((b.close * (1 - slip) * (1 - fee)) / (pos.entryPx * (1 + fee))) : eq;
+      equity.push({ time: b.time, value: mark });
+    }
+
+    let peak = 1, maxDD = 0;
+    for (const p of equity) {
+      if (p.value > peak) peak = p.value;
+      maxDD = Math.max(maxDD, 1 - p.value / peak);
+    }
+
+    const wins = trades.filter(t => t.ret > 0);
+    const gain = wins.reduce((a, t) => a + t.ret, 0);
+    const loss = trades.filter(t => t.ret <= 0).reduce((a, t) => a - t.ret, 0);
+    const rs = trades.map(t => t.r).filter(Number.isFinite);
+
+    return {
+      settings: o,
+      trades,
+      open: pos ? { entryTime: pos.entryTime, entryPx: pos.entryPx, stop: pos.stop, target: pos.target } : null,
+      equity,
+      count: trades.length,
+      winRate: trades.length ? wins.length / trades.length : NaN,
+      profitFactor: loss > 0 ? gain / loss : (gain > 0 ? Infinity : NaN),
+      maxDD,
+      avgR: rs.length ? rs.reduce((a, v) => a + v, 0) / rs.length : NaN,
+      net: equity.length ? equity[equity.length - 1].value - 1 : 0,
+    };
+  }
+
+  // -------- jobs --------
+  const JOBS = {
+    // gauge: score + label + split + net inflow (null below 30 bars)
+    pulse(bars) {
+      const score = derivePulseScore(bars);
+      if (!Number.isFinite(score)) return null;
+      return { score, label: scoreToLabel(score), split: scoreToSplit(score), inflow: deriveNetInflow(bars) };
+    },
+    risk: (bars, opts) => deriveRisk(bars, opts),
+    // Mutant over every bar: points, trend states, turning points, divergences
+    // (panel, alerts and confluence, each with the P of its TF)
+    mutant(bars, P) {
+      const pts = bars.length >= 10 ? computeMutantFromCandles(bars, bars.length, P) : [];
+      const tr = trendStates(pts.map(p => p.v), P);
+      return { pts, states: tr.states, turns: tr.turns, divs: detectDivergences(bars, pts, P) };
+    },
+    signals: (bars, signals) => signalStats(signals, bars),
+    backtest: (bars, opts) => runBacktest(bars, opts && opts.signals, opts && opts.settings),
+  };
+
+  function runJobs(bars, jobs) {
+    const out = {};
+    for (const [name, opts] of Object.entries(jobs || {})) {
+      const fn = JOBS[name];
+      out[name] = fn ? safe(() => fn(bars || [], opts)) : null;
+    }
+    return out;
+  }
+
+  const API = {
+    derivePulseScore, scoreToLabel, scoreToSplit, deriveNetInflow,
+    signalStats, latestSignal,
+    normRiskOpts, deriveRisk,
+    computeMutantFromCandles, trendStates, detectDivergences,
+    runBacktest,
+    JOBS, runJobs,
+  };
+  self.DarriusCompute = API;
+
+  // -------- page side: worker client --------
+  if (typeof document === 'undefined') return;
+
+  const LIB = safe(() => document.currentScript.src) || '';
+  const WORKER_SRC = 'compute.worker.js?v=20261019a';
+
+  const W = {
+    worker: null,
+    off: false,
+    seq: 0,
+    pending: new Map(),   // id -> { resolve, stream, key, bars, jobs, live }
+    streams: new Map(),   // stream -> { key, len, bars } as last posted
+  };
+
+  function ensureWorker() {
+    if (W.worker || W.off) return W.worker;
+    try {
+      if (typeof Worker !== 'function' || !LIB) throw new Error('no worker');
+      const w = new Worker(new URL(WORKER_SRC, LIB));
+      w.onmessage = onMessage;
+      w.onerror = (e) => { safe(() => e.preventDefault()); disable(); };
+      w.postMessage({ type: 'init', lib: LIB });
+      W.worker = w;
+    } catch {
+      W.off = true;
+    }
+    return W.worker;
+  }
+
+  // the worker is gone for good: finish what it still owed on the main thread
+  function disable() {
+    W.off = true;
+    safe(() => W.worker.terminate());
+    W.worker = null;
+    W.streams.clear();
+    for (const [id, p] of W.pending) {
+      W.pending.delete(id);
+      p.resolve(runJobs(p.bars, p.jobs));
+    }
+  }
+
+  // live tick: resend from the last bar posted (it may have ticked); bar times only say the
+  // series lines up, not that earlier values are unchanged, so anything else goes whole
+  function post(id) {
+    const p = W.pending.get(id);
+    if (!p || !W.worker) return;
+    const bars = p.bars;
+    const st = W.streams.get(p.stream);
+
+    let from = 0;
+    if (p.live && st && st.key === p.key) {
+      const k = Math.min(st.len, bars.length) - 1;
+      if (k >= 1 && st.bars[k - 1] && bars[k - 1] && st.bars[k - 1].time === bars[k - 1].time) from = k;
+    }
+    W.streams.set(p.stream, { key: p.key, len: bars.length, bars });
+    W.worker.postMessage({ type: 'run', id, stream: p.stream, from, bars: bars.slice(from), jobs: p.jobs });
+  }
+
+  function onMessage(e) {
+    const m = e.data || {};
+    const p = W.pending.get(m.id);
+    if (!p) return;
+    // the worker lost that stream: send it whole
+    if (m.type === 'resync') {
+      W.streams.delete(p.stream);
+      post(m.id);
+      return;
+    }
+    W.pending.delete(m.id);
+    p.resolve(m.results || {});
+  }
+
+  // stream: who the bars belong to ('main' = main chart); key: what they are (SYMBOL|tf)
+  // opts.live: the bars are a live tick of the ones last posted on this stream
+  function run(stream, key, bars, jobs, opts) {
+    const list = Array.isArray(bars) ? bars : [];
+    if (!ensureWorker()) return Promise.resolve(runJobs(list, jobs));
+
+    const id = ++W.seq;
+    return new Promise((resolve) => {
+      W.pending.set(id, { resolve, stream: String(stream), key: String(key), bars: list, jobs, live: !!(opts && opts.live) });
+      try { post(id); } catch { disable(); }
+    });
+  }
+
+  API.run = run;
+  API.usingWorker = () => !!W.worker;
+})();
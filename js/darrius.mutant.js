@@ -1,8 +1,24 @@
-/* darrius.mutant.js (UI plugin) v2026.01.23e
+/* darrius.mutant.js (UI plugin) v2026.10.19
  * Darrius Mutant indicator panel (bottom sub-panel)
- * - Robust: renders bars even if DarriusChart.timeToX is missing / returns NaN
+ * - Follows the main chart: one bar per chart bar at the chart's own x / bar spacing, redrawn on
+ *   every pan / zoom (visible logical range), data change and resize; no redraw timer
+ * - Shares the crosshair: chart hover draws the vertical line here, hovering here moves the
+ *   chart crosshair; tooltip with time, Mutant value and regime
+ * - Computed over every loaded bar (so panning into history has values), once per snapshot / settings
+ *   change, in the compute worker (darrius.compute.js: same math as computeMutantFromCandles);
+ *   each bar is scaled over the lookback bars ending at it, so the panel, alerts and confluence
+ *   read the same value and loading older history does not rescale the panel
+ * - Robust: renders bars even if the chart API is missing (evenly spaced fallback)
+ * - Settings (#mutantCard): presets (Conservative / Default / Aggressive) or custom values, for all
+ *   TFs or as a per-TF override; persisted, applied to CFG for the main chart's TF, re-rendered at once
+ *   (paramsFor(tf) gives alerts.js / confluence.js the same numbers for other TFs)
+ * - Divergences between price swing points and Mutant swings: regular (price LL + Mutant HL =
+ *   bullish, price HH + Mutant LH = bearish) and hidden (the reverse); drawn as lines on the chart
+ *   and in the panel, and emitted as `darrius:mutantDivergence` { symbol, tf, divergence } when a
+ *   new one is confirmed on the main chart (pivotLen bars after its second swing point)
  * - CLEAN arrows: only at trend-confirm / reversal-confirm turning points
  * - Fix: remove duplicate legacy canvases/titles in #mutantPanel (e.g., leftover forex.mutant)
+ * - Follows DarriusStore (darrius.store.js): snapshot -> recompute, tf -> that TF's settings
  * - Read-only; does NOT touch subscription/billing
  */
 (() => {
@@ -10,14 +26,15 @@
 
   function safe(fn) { try { return fn(); } catch (_) { return null; } }
   const $ = (id) => document.getElementById(id);
+  const store = () => window.DarriusStore || null;
 
   const CFG = {
     hostId: 'mutantPanel',
     minHeight: 84,
     dprCap: 2,
 
-    barMinW: 2,
-    barMaxW: 8,
+    barMinW: 1,
+    barMaxW: 24,
     barOpacity: 0.92,
 
     baselineAlpha: 0.18,
@@ -45,25 +62,105 @@
     arrowStroke: 'rgba(0,0,0,0.35)',             // subtle dark edge for white arrow readability
     arrowGlow: 12,
 
-    lookback: 260,
+    lookback: 260,        // scaling window (bars) for every Mutant value, panel included
     smooth: 3,
 
     posThr: 0.18,
     negThr: -0.18,
 
-    tickMs: 700,
+    crosshairColor: 'rgba(234,240,247,0.35)',
+
+    // Divergence ('all' | 'regular' | 'off')
+    divMode: 'all',
+    pivotLen: 3,          // bars on each side of a swing point
+    divMinGap: 5,         // bars between the two swing points
+    divMaxGap: 60,
+    divMinDelta: 0.05,    // smallest Mutant difference that counts
+    divBullColor: 'rgba(43,226,166,0.95)',
+    divBearColor: 'rgba(255,90,90,0.95)',
   };
 
-  function getSnapshot() {
-    if (window.DarriusChart && typeof window.DarriusChart.getSnapshot === 'function') {
-      const s = safe(() => window.DarriusChart.getSnapshot());
-      if (s) return s;
+  // ---- Settings: presets + per-TF overrides ----
+  // tunable key -> [min, max, integer]
+  const TUNABLE = {
+    lookback: [30, 2000, true],
+    smooth: [1, 20, true],
+    posThr: [0.01, 0.9],
+    negThr: [-0.9, -0.01],
+    arrowEnterThr: [0.02, 0.95],
+    arrowExitThr: [0, 0.9],
+    arrowConfirmBars: [1, 10, true],
+  };
+  const ARROW_MODES = ['turns', 'last', 'off'];
+  const DIV_MODES = ['all', 'regular', 'off'];
+
+  const BASE = Object.keys(TUNABLE).concat('arrowMode', 'divMode').reduce((o, k) => (o[k] = CFG[k], o), {});
+
+  const PRESETS = {
+    conservative: {
+      label: 'Conservative · 稳健',
+      params: { smooth: 5, posThr: 0.25, negThr: -0.25, arrowEnterThr: 0.32, arrowExitThr: 0.14, arrowConfirmBars: 3 },
+    },
+    default: { label: 'Default · 默认', params: {} },
+    aggressive: {
+      label: 'Aggressive · 激进',
+      params: { smooth: 2, posThr: 0.12, negThr: -0.12, arrowEnterThr: 0.15, arrowExitThr: 0.06, arrowConfirmBars: 1 },
+    },
+  };
+
+  const SETTINGS_KEY = 'darrius_mutant_v1';
+  const SETTINGS_EVENT = 'darrius:mutantChanged';
+
+  // all: profile for every TF; tf: TF -> profile that overrides it. profile = { preset, params }
+  const SETTINGS = { all: { preset: 'default', params: {} }, tf: {} };
+
+  function normParams(raw) {
+    const out = {};
+    if (!raw || typeof raw !== 'object') return out;
+    for (const [k, [lo, hi, int]] of Object.entries(TUNABLE)) {
+      const v = Number(raw[k]);
+      if (raw[k] == null || raw[k] === '' || !Number.isFinite(v)) continue;
+      out[k] = clamp(int ? Math.round(v) : v, lo, hi);
     }
-    if (typeof window.getChartSnapshot === 'function') {
-      const s = safe(() => window.getChartSnapshot());
-      if (s) return s;
+    if (ARROW_MODES.includes(raw.arrowMode)) out.arrowMode = raw.arrowMode;
+    if (DIV_MODES.includes(raw.divMode)) out.divMode = raw.divMode;
+    return out;
+  }
+
+  function normProfile(raw) {
+    const preset = raw && (PRESETS[raw.preset] || raw.preset === 'custom') ? raw.preset : 'default';
+    return { preset, params: normParams(raw && raw.params) };
+  }
+
+  function profileParams(profile) {
+    const p = Object.assign({}, BASE, (PRESETS[profile.preset] || {}).params, profile.params);
+    // leaving the trend must be easier than entering it
+    if (p.arrowExitThr >= p.arrowEnterThr) p.arrowExitThr = p.arrowEnterThr / 2;
+    return p;
+  }
+
+  // effective parameters for a TF (its override, else the all-TF profile)
+  function paramsFor(tf) {
+    const own = tf ? SETTINGS.tf[String(tf)] : null;
+    return profileParams(own || SETTINGS.all);
+  }
+
+  function loadSettings() {
+    const raw = safe(() => JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null'));
+    if (!raw || typeof raw !== 'object') return;
+    SETTINGS.all = normProfile(raw.all);
+    SETTINGS.tf = {};
+    if (raw.tf && typeof raw.tf === 'object') {
+      for (const [tf, prof] of Object.entries(raw.tf)) SETTINGS.tf[tf] = normProfile(prof);
     }
-    return window.__DARRIUS_CHART_STATE__ || null;
+  }
+
+  function saveSettings() {
+    safe(() => localStorage.setItem(SETTINGS_KEY, JSON.stringify(SETTINGS)));
+  }
+
+  function getSnapshot() {
+    return store() ? store().get('snapshot') : null;
   }
 
   function pickCandles(snap) {
@@ -75,52 +172,34 @@
     return [];
   }
 
-  function emaOnArray(vals, period) {
-    const n = Math.max(1, Math.floor(period || 3));
-    const k = 2 / (n + 1);
-    let e = null;
-    const out = new Array(vals.length);
-    for (let i = 0; i < vals.length; i++) {
-      const v = vals[i];
-      if (!Number.isFinite(v)) { out[i] = NaN; continue; }
-      e = (e == null) ? v : (v * k + e * (1 - k));
-      out[i] = e;
-    }
-    return out;
-  }
-
   function clamp(v, a, b) { return Math.max(a, Math.min(b, v)); }
 
-  // Candle-only fallback mutant (always available)
-  function computeMutantFromCandles(candles) {
-    const n0 = candles.length;
-    if (n0 < 10) return [];
-    const n = Math.min(CFG.lookback, n0);
-    const start = n0 - n;
-
-    const raw = new Array(n).fill(0);
-    for (let i = 0; i < n; i++) {
-      const c = Number(candles[start + i]?.close);
-      const p = (i >= 1) ? Number(candles[start + i - 1]?.close) : c;
-      if (!Number.isFinite(c) || !Number.isFinite(p) || p === 0) { raw[i] = 0; continue; }
-      raw[i] = Math.log(c / p) * 260;
-    }
-
-    const sm = emaOnArray(raw, Math.max(3, CFG.smooth + 2));
+  // ---- math: js/darrius.compute.js (shared with the compute worker) ----
+  // params: paramsFor(tf) of the candles' TF (default: the main chart's, i.e. CFG)
+  const C = window.DarriusCompute;
 
-    const absVals = sm.filter(Number.isFinite).map(x => Math.abs(x)).sort((a, b) => a - b);
-    const p95 = absVals.length ? absVals[Math.floor(absVals.length * 0.95)] : 1;
-    const scale = Math.max(1e-9, p95);
-
-    const out = new Array(n);
-    for (let i = 0; i < n; i++) {
-      out[i] = { time: candles[start + i].time, v: Number.isFinite(sm[i]) ? clamp(sm[i] / scale, -1, 1) : 0 };
-    }
-    return out;
+  // lookback: bars to return (default P.lookback; the panel uses every loaded bar)
+  function computeMutantFromCandles(candles, lookback, params) {
+    return C.computeMutantFromCandles(candles, lookback, params || CFG);
   }
 
   // ---- Canvas ----
-  const STATE = { host: null, canvas: null, ctx: null, w: 0, h: 0, dpr: 1 };
+  const STATE = {
+    host: null, canvas: null, ctx: null, w: 0, h: 0, dpr: 1,
+    tip: null,
+    chart: null,       // chart the range / crosshair subscriptions belong to
+    hoverX: null,      // crosshair x in panel coordinates
+    drawn: [],         // [{ x, i }] bars drawn last frame (hover lookup)
+    raf: 0,
+    divCanvas: null,
+    divDrawn: null,      // DATA.divs + divViewKey() of the last chart overlay paint
+    divKey: '',
+    divSeen: new Map(),  // SYMBOL|tf -> confirmedTime of the newest divergence already seen
+  };
+
+  // mutant series of the current snapshot: recomputed (compute worker) only when the bars or settings change
+  const DATA = { key: '', seq: 0, pts: [], states: [], turns: new Map(), divs: [] };
+  const DIV_EVENT = 'darrius:mutantDivergence';
 
   function ensureHost() {
     return safe(() => {
@@ -257,57 +336,156 @@
     ctx.closePath();
   }
 
-  function renderTurningArrows(ctx, drawPts, w, h) {
-    if (!CFG.showArrow || CFG.arrowMode !== 'turns' || !drawPts || drawPts.length < 3) return;
-
-    const seq = drawPts
-      .map(p => ({ x: p.x, v: p.v }))
-      .sort((a, b) => a.x - b.x);
+  // per-bar trend state (hysteresis) + confirmed turning points
+  function trendStates(values, params) {
+    return C.trendStates(values, params || CFG);
+  }
 
-    const enterThr = Number(CFG.arrowEnterThr);
-    const exitAbs = Math.abs(Number(CFG.arrowExitThr));
-    const need = Math.max(1, CFG.arrowConfirmBars | 0);
+  // confirmed turning points (shared with alerts.js via window.DarriusMutant)
+  function detectTurns(values, params) {
+    return trendStates(values, params).turns;
+  }
 
-    let state = 0;        // -1,0,+1
-    let pending = 0;
-    let pendingCount = 0;
+  // candles + their Mutant points -> divergences, oldest first
+  // { dir: 'bull' | 'bear', type: 'regular' | 'hidden', from, to: { idx, time, price, v }, confirmedTime }
+  function detectDivergences(candles, pts, params) {
+    return C.detectDivergences(candles, pts, Object.assign({}, CFG, params));
+  }
 
-    const turns = [];
+  const divColor = (d) => (d.dir === 'bull' ? CFG.divBullColor : CFG.divBearColor);
+  const divLabel = (d) => (d.type === 'hidden' ? 'H-Div' : 'Div');
 
-    for (let i = 0; i < seq.length; i++) {
-      const v = seq[i].v;
+  function renderDivergences(ctx, laid, h) {
+    if (!DATA.divs.length) return;
+    const byIdx = new Map(laid.pts.map(p => [p.i, p]));
+    const midY = h / 2;
+    const amp = h * 0.42;
 
-      let target = state;
-      if (v >= enterThr) target = +1;
-      else if (v <= -enterThr) target = -1;
-      else if (Math.abs(v) <= exitAbs) target = 0;
+    ctx.save();
+    ctx.lineWidth = 1.5;
+    ctx.font = '10px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial';
+    for (const d of DATA.divs) {
+      const a = byIdx.get(d.from.idx), b = byIdx.get(d.to.idx);
+      if (!a || !b) continue;
+      const ya = midY - d.from.v * amp, yb = midY - d.to.v * amp;
+      ctx.strokeStyle = ctx.fillStyle = divColor(d);
+      ctx.setLineDash(d.type === 'hidden' ? [4, 3] : []);
+      ctx.beginPath(); ctx.moveTo(a.x, ya); ctx.lineTo(b.x, yb); ctx.stroke();
+      ctx.textBaseline = d.dir === 'bull' ? 'top' : 'bottom';
+      ctx.fillText(divLabel(d), b.x + 3, yb + (d.dir === 'bull' ? 2 : -2));
+    }
+    ctx.restore();
+  }
 
-      if (target === state) {
-        pending = 0; pendingCount = 0;
-        continue;
+  // same divergences on the main chart, between the price swing points
+  function chartOverlay() {
+    return safe(() => {
+      const el = $(window.ChartCore.getOptions().chartElId);
+      if (!el) return null;
+      let c = STATE.divCanvas;
+      if (!c || c.parentNode !== el) {
+        c = document.createElement('canvas');
+        c.className = 'darrius-div-overlay';
+        c.style.position = 'absolute';
+        c.style.left = '0';
+        c.style.top = '0';
+        c.style.width = '100%';
+        c.style.height = '100%';
+        c.style.pointerEvents = 'none';
+        c.style.zIndex = '5';
+        el.appendChild(c);
+        STATE.divCanvas = c;
+        STATE.divKey = '';
       }
+      const r = el.getBoundingClientRect();
+      const dpr = Math.min(CFG.dprCap, Math.max(1, window.devicePixelRatio || 1));
+      const w = Math.max(1, Math.floor(r.width)), h = Math.max(1, Math.floor(r.height));
+      if (c.width !== Math.floor(w * dpr) || c.height !== Math.floor(h * dpr)) {
+        c.width = Math.floor(w * dpr);
+        c.height = Math.floor(h * dpr);
+        STATE.divKey = '';   // resizing cleared the bitmap
+      }
+      const ctx = c.getContext('2d');
+      ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+      return { ctx, w, h };
+    });
+  }
 
-      if (pending !== target) { pending = target; pendingCount = 1; }
-      else pendingCount++;
+  // everything the chart overlay depends on besides the divergences: size, time range and
+  // price scale (probed at the newest divergence), so axis drags / autoscale repaint it too
+  function divViewKey(o) {
+    const DC = window.DarriusChart;
+    const last = DATA.divs[DATA.divs.length - 1];
+    if (!last || !DC || typeof DC.timeToX !== 'function' || typeof DC.priceToY !== 'function') return `${o.w}x${o.h}`;
+    return [o.w, o.h, DC.timeToX(last.to.time), DC.priceToY(last.to.price), DC.priceToY(last.to.price * 2)].join('|');
+  }
 
-      if (pendingCount >= need) {
-        if (pending === +1 || pending === -1) {
-          turns.push({ idx: i, dir: pending });
-        }
-        state = pending;
-        pending = 0; pendingCount = 0;
+  function renderChartDivergences() {
+    safe(() => {
+      const o = chartOverlay();
+      if (!o) return;
+      const key = divViewKey(o);
+      if (DATA.divs === STATE.divDrawn && key === STATE.divKey) return;
+      STATE.divDrawn = DATA.divs;
+      STATE.divKey = key;
+      o.ctx.clearRect(0, 0, o.w, o.h);
+
+      const DC = window.DarriusChart;
+      if (!DATA.divs.length || !DC || typeof DC.timeToX !== 'function' || typeof DC.priceToY !== 'function') return;
+
+      const ctx = o.ctx;
+      ctx.save();
+      ctx.lineWidth = 1.5;
+      ctx.font = '10px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial';
+      for (const d of DATA.divs) {
+        const xa = DC.timeToX(d.from.time), xb = DC.timeToX(d.to.time);
+        const ya = DC.priceToY(d.from.price), yb = DC.priceToY(d.to.price);
+        if (![xa, xb, ya, yb].every(v => v != null && Number.isFinite(v))) continue;
+        if (Math.max(xa, xb) < 0 || Math.min(xa, xb) > o.w) continue;
+
+        // just below the lows / above the highs so the candles stay readable
+        const off = d.dir === 'bull' ? 4 : -4;
+        ctx.strokeStyle = ctx.fillStyle = divColor(d);
+        ctx.setLineDash(d.type === 'hidden' ? [4, 3] : []);
+        ctx.beginPath(); ctx.moveTo(xa, ya + off); ctx.lineTo(xb, yb + off); ctx.stroke();
+        ctx.textBaseline = d.dir === 'bull' ? 'top' : 'bottom';
+        ctx.fillText(divLabel(d), xb + 3, yb + off * 1.5);
       }
-    }
+      ctx.restore();
+    });
+  }
+
+  // new divergence on the main chart -> event (first look per symbol/TF only sets the baseline)
+  function emitDivergence(snap) {
+    safe(() => {
+      if (!snap || snap.replay) return;
+      const key = `${String(snap.symbol || '').toUpperCase()}|${snap.tf || ''}`;
+      const last = DATA.divs.length ? DATA.divs[DATA.divs.length - 1] : null;
+      const t = last ? Number(last.confirmedTime) : 0;
+      const seen = STATE.divSeen.get(key);
+      STATE.divSeen.set(key, Math.max(t, seen || 0));
+      if (seen == null || !last || !(t > seen)) return;
+
+      for (const d of DATA.divs) {
+        if (!(Number(d.confirmedTime) > seen)) continue;
+        window.dispatchEvent(new CustomEvent(DIV_EVENT, {
+          detail: { symbol: String(snap.symbol || '').toUpperCase(), tf: snap.tf || '', divergence: d },
+        }));
+      }
+    });
+  }
 
-    if (!turns.length) return;
+  // drawPts carry the confirmed turn (dir) of their bar, computed on the whole series
+  function renderTurningArrows(ctx, drawPts, w, h) {
+    if (!CFG.showArrow || CFG.arrowMode !== 'turns' || !drawPts || !drawPts.length) return;
 
     const midY = h / 2;
     const amp = h * 0.42;
     const s = CFG.arrowSize;
 
-    for (const t of turns) {
-      const p = seq[t.idx];
-      const dir = t.dir;
+    for (const p of drawPts) {
+      const dir = p.turn;
+      if (!dir) continue;
 
       const col = (dir > 0) ? CFG.arrowUpColor : CFG.arrowDownColor;
       const yTip = midY - p.v * amp;
@@ -368,77 +546,330 @@
     ctx.restore();
   }
 
+  // ---- data ----
+  function refreshData(snap) {
+    const candles = pickCandles(snap);
+    const lastB = candles.length ? candles[candles.length - 1] : null;
+    const key = `${candles.length}|${candles[0]?.time}|${lastB?.time}|${lastB?.close}`;
+    // same bars on a live tick; any other snapshot may correct earlier bars under the same times
+    if (key === DATA.key && snap && snap.live) return;
+    DATA.key = key;
+
+    const seq = ++DATA.seq;
+    C.run('main', `${snap && snap.symbol}|${snap && snap.tf}`, candles, { mutant: Object.assign({}, CFG) }, { live: snap && snap.live }).then((res) => {
+      if (seq !== DATA.seq) return;
+      const m = res.mutant || { pts: [], states: [], turns: [], divs: [] };
+      DATA.pts = m.pts;
+      DATA.states = m.states;
+      DATA.turns = new Map(m.turns.map(t => [t.idx, t.dir]));
+      DATA.divs = m.divs;
+      if (snap) emitDivergence(snap);
+      schedule();
+    });
+  }
+
+  // ---- chart geometry ----
+  // x of each bar = main chart's time scale (+ the chart's left offset inside the panel)
+  function chartGeometry() {
+    return safe(() => {
+      const CC = window.ChartCore;
+      const chart = CC && typeof CC.getChart === 'function' ? CC.getChart() : null;
+      const chartEl = $(CC.getOptions().chartElId);
+      if (!chart || !chartEl || !STATE.host) return null;
+
+      const ts = chart.timeScale();
+      const offset = chartEl.getBoundingClientRect().left - STATE.host.getBoundingClientRect().left;
+      const plotW = typeof ts.width === 'function' ? ts.width() : STATE.w;
+      const spacing = Number(ts.options().barSpacing) || 6;
+      const mapTime = (window.DarriusChart && typeof window.DarriusChart.mapTime === 'function')
+        ? window.DarriusChart.mapTime : (t) => t;
+      return { chart, ts, offset, plotW, spacing, mapTime };
+    });
+  }
+
+  function layoutPoints(data, w) {
+    const g = chartGeometry();
+    const out = [];
+
+    if (g) {
+      const lo = g.offset - g.spacing, hi = g.offset + g.plotW + g.spacing;
+      data.pts.forEach((p, i) => {
+        const x0 = g.ts.timeToCoordinate(g.mapTime(p.time));
+        if (x0 == null || !Number.isFinite(x0)) return;
+        const x = x0 + g.offset;
+        if (x < lo || x > hi) return;
+        out.push({ x, v: p.v, i, turn: data.turns.get(i) || 0 });
+      });
+      return { pts: out, barW: clamp(Math.floor(g.spacing * 0.62), CFG.barMinW, CFG.barMaxW), clip: [g.offset, g.offset + g.plotW] };
+    }
+
+    // fallback: last CFG.lookback bars evenly spaced
+    const pts = data.pts.slice(-CFG.lookback);
+    const base = data.pts.length - pts.length;
+    const leftPad = 10, rightPad = 10;
+    const usableW = Math.max(1, w - leftPad - rightPad);
+    pts.forEach((p, k) => {
+      const i = base + k;
+      out.push({ x: leftPad + (usableW * (k + 0.5) / pts.length), v: p.v, i, turn: data.turns.get(i) || 0 });
+    });
+    return { pts: out, barW: computeBarW(out.length, w), clip: [0, w] };
+  }
+
+  // ---- hover ----
+  function regimeText(v, state) {
+    const level = v >= CFG.posThr ? 'Bullish · 多头' : v <= CFG.negThr ? 'Bearish · 空头' : 'Neutral · 中性';
+    const trend = state > 0 ? 'trend ▲' : state < 0 ? 'trend ▼' : 'no trend';
+    return `${level} · ${trend}`;
+  }
+
+  function ensureTip() {
+    if (STATE.tip || !STATE.host) return STATE.tip;
+    const tip = document.createElement('div');
+    tip.className = 'mutantTip';
+    tip.style.display = 'none';
+    STATE.host.appendChild(tip);
+    STATE.tip = tip;
+    return tip;
+  }
+
+  function drawHover(ctx, laid, h) {
+    const tip = ensureTip();
+    const x = STATE.hoverX;
+    if (x == null || !laid.pts.length) { if (tip) tip.style.display = 'none'; return; }
+
+    // nearest drawn bar
+    let best = null;
+    for (const p of laid.pts) {
+      if (!best || Math.abs(p.x - x) < Math.abs(best.x - x)) best = p;
+    }
+
+    ctx.save();
+    ctx.strokeStyle = CFG.crosshairColor;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    const lx = Math.round(best && Math.abs(best.x - x) <= laid.barW + 2 ? best.x : x) + 0.5;
+    ctx.moveTo(lx, 0); ctx.lineTo(lx, h); ctx.stroke();
+    ctx.restore();
+
+    if (!tip) return;
+    if (!best || Math.abs(best.x - x) > Math.max(laid.barW, 4) + 2) { tip.style.display = 'none'; return; }
+
+    const p = DATA.pts[best.i];
+    const when = safe(() => window.DarriusChart.formatDisplayTime(p.time)) || '';
+    tip.textContent = `${when}  Mutant ${p.v >= 0 ? '+' : ''}${p.v.toFixed(2)} · ${regimeText(p.v, DATA.states[best.i])}`;
+    tip.style.color = colorFor(p.v);
+    tip.style.display = 'block';
+    const tw = tip.offsetWidth || 0;
+    tip.style.left = `${Math.round(lx + 10 + tw > STATE.w ? Math.max(0, lx - 10 - tw) : lx + 10)}px`;
+  }
+
   function render() {
     return safe(() => {
       const ctx = STATE.ctx;
       const w = STATE.w, h = STATE.h;
       if (!ctx || !w || !h) return;
 
-      const snap = getSnapshot();
-      const candles = pickCandles(snap);
-
       clear(ctx, w, h);
       drawGrid(ctx, w, h);
       drawTitle(ctx);
 
-      if (!candles || candles.length < 10) return;
-
-      const mutant = computeMutantFromCandles(candles);
-      if (!mutant || mutant.length < 2) return;
-
-      const timeToX = (window.DarriusChart && typeof window.DarriusChart.timeToX === 'function')
-        ? window.DarriusChart.timeToX : null;
-
-      const pts = mutant.map(p => ({ t: p.time, v: clamp(p.v, -1, 1) }));
-
-      let useTimeToX = false;
-      if (timeToX && pts.length) {
-        const probe = safe(() => timeToX(pts[pts.length - 1].t));
-        if (Number.isFinite(probe)) useTimeToX = true;
-      }
+      subscribeChart();
+      const data = DATA;
+      renderChartDivergences();
+      if (data.pts.length < 2) { STATE.drawn = []; drawHover(ctx, { pts: [], barW: 0 }, h); return; }
 
-      const drawPts = [];
-      if (useTimeToX) {
-        for (const p of pts) {
-          const x = safe(() => timeToX(p.t));
-          if (!Number.isFinite(x)) continue;
-          if (x < -20 || x > w + 20) continue;
-          drawPts.push({ x, v: p.v });
-        }
-      }
+      const laid = layoutPoints(data, w);
+      STATE.drawn = laid.pts;
 
-      if (!drawPts.length) {
-        const n = pts.length;
-        const leftPad = 10, rightPad = 10;
-        const usableW = Math.max(1, w - leftPad - rightPad);
-        for (let i = 0; i < n; i++) {
-          const x = leftPad + (usableW * (i + 0.5) / n);
-          drawPts.push({ x, v: pts[i].v });
-        }
-      }
-
-      const barW = computeBarW(drawPts.length, w);
       const midY = h / 2;
       const amp = h * 0.42;
 
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(laid.clip[0], 0, Math.max(0, laid.clip[1] - laid.clip[0]), h);
+      ctx.clip();
+
       // bars
-      for (const p of drawPts) {
+      for (const p of laid.pts) {
         const v = p.v;
         const y = midY - v * amp;
-        const x0 = Math.round(p.x - barW / 2);
+        const x0 = Math.round(p.x - laid.barW / 2);
         const top = Math.min(y, midY);
         const hh = Math.max(1, Math.abs(midY - y));
         ctx.fillStyle = colorFor(v);
-        ctx.fillRect(x0, top, barW, hh);
+        ctx.fillRect(x0, top, laid.barW, hh);
       }
 
+      renderDivergences(ctx, laid, h);
+
       // arrows
-      if (CFG.arrowMode === 'turns') renderTurningArrows(ctx, drawPts, w, h);
-      else if (CFG.arrowMode === 'last') renderLastArrow(ctx, drawPts, h);
+      if (CFG.arrowMode === 'turns') renderTurningArrows(ctx, laid.pts, w, h);
+      else if (CFG.arrowMode === 'last') renderLastArrow(ctx, laid.pts, h);
+      ctx.restore();
+
+      drawHover(ctx, laid, h);
     });
   }
 
+  function schedule() {
+    if (STATE.raf) return;
+    STATE.raf = requestAnimationFrame(() => { STATE.raf = 0; render(); });
+  }
+
+  // ---- main chart sync ----
+  function subscribeChart() {
+    safe(() => {
+      const chart = window.ChartCore && window.ChartCore.getChart();
+      if (!chart || chart === STATE.chart) return;
+      STATE.chart = chart;
+
+      chart.timeScale().subscribeVisibleLogicalRangeChange(schedule);
+      chart.subscribeCrosshairMove((param) => {
+        // no price-scale event in the chart API: a drag on the axis shows up here
+        renderChartDivergences();
+        const g = chartGeometry();
+        const x = param && param.point && param.time != null && g ? param.point.x + g.offset : null;
+        if (x === STATE.hoverX) return;
+        STATE.hoverX = x;
+        schedule();
+      });
+
+      const chartEl = $(window.ChartCore.getOptions().chartElId);
+      if (chartEl) safe(() => new ResizeObserver(schedule).observe(chartEl));
+    });
+  }
+
+  // hovering the panel moves the chart crosshair to the same bar
+  function bindPointer() {
+    safe(() => {
+      const host = STATE.host;
+      host.addEventListener('mousemove', (e) => {
+        const x = e.clientX - host.getBoundingClientRect().left;
+        STATE.hoverX = x;
+        schedule();
+
+        safe(() => {
+          const g = chartGeometry();
+          if (!g || typeof g.chart.setCrosshairPosition !== 'function') return;
+          const logical = g.ts.coordinateToLogical(x - g.offset);
+          const series = window.ChartCore.getMainSeries();
+          const bar = logical == null ? null : series.dataByIndex(Math.round(logical), 0);
+          if (!bar) { g.chart.clearCrosshairPosition(); return; }
+          g.chart.setCrosshairPosition(bar.close ?? bar.value, bar.time, series);
+        });
+      });
+      host.addEventListener('mouseleave', () => {
+        STATE.hoverX = null;
+        schedule();
+        safe(() => window.ChartCore.getChart().clearCrosshairPosition());
+      });
+    });
+  }
+
+  // ---- settings UI (#mutantCard) ----
+  const UI = { tf: '' };
+
+  // CFG always holds the effective parameters of the main chart's TF
+  function applyTF(tf) {
+    UI.tf = String(tf || '');
+    Object.assign(CFG, paramsFor(UI.tf));
+    DATA.key = '';
+  }
+
+  function scopeOf() {
+    return $('mutScope')?.value === 'tf' && UI.tf ? 'tf' : 'all';
+  }
+
+  function syncSettingsUI() {
+    safe(() => {
+      const scopeEl = $('mutScope');
+      if (!scopeEl) return;
+      const tfOpt = scopeEl.querySelector('option[value="tf"]');
+      if (tfOpt) tfOpt.textContent = `Only ${UI.tf || '—'} · 仅当前周期`;
+
+      const scope = scopeOf();
+      const prof = scope === 'tf' ? (SETTINGS.tf[UI.tf] || SETTINGS.all) : SETTINGS.all;
+      const P = profileParams(prof);
+
+      const preset = $('mutPreset');
+      if (preset) preset.value = prof.preset;
+      document.querySelectorAll('#mutantCard [data-mut]').forEach((el) => { el.value = String(P[el.dataset.mut]); });
+
+      const hint = $('mutHint');
+      if (hint) hint.textContent = `${UI.tf || '—'}: ${SETTINGS.tf[UI.tf] ? 'own override · 单独设置' : 'all TFs · 通用'}`;
+      const reset = $('mutReset');
+      if (reset) reset.textContent = scope === 'tf' ? 'Remove override · 移除单独设置' : 'Reset to default · 恢复默认';
+    });
+  }
+
+  // profile null = remove the TF override / back to default
+  function commitProfile(scope, profile) {
+    if (scope === 'tf') {
+      if (!UI.tf) return;
+      if (profile) SETTINGS.tf[UI.tf] = profile;
+      else delete SETTINGS.tf[UI.tf];
+    } else {
+      SETTINGS.all = profile || { preset: 'default', params: {} };
+    }
+    saveSettings();
+    applyTF(UI.tf);
+    syncSettingsUI();
+    safe(() => refreshData(getSnapshot()));
+    safe(() => window.dispatchEvent(new CustomEvent(SETTINGS_EVENT, { detail: { tf: UI.tf, params: paramsFor(UI.tf) } })));
+  }
+
+  function bindSettings() {
+    safe(() => {
+      const card = $('mutantCard');
+      if (!card) return;
+
+      $('mutScope')?.addEventListener('change', syncSettingsUI);
+      $('mutPreset')?.addEventListener('change', (e) => {
+        const v = e.target.value;
+        if (PRESETS[v]) commitProfile(scopeOf(), { preset: v, params: {} });
+      });
+      card.addEventListener('change', (e) => {
+        if (!e.target.closest('[data-mut]')) return;
+        const raw = {};
+        card.querySelectorAll('[data-mut]').forEach((el) => { raw[el.dataset.mut] = el.value; });
+        commitProfile(scopeOf(), { preset: 'custom', params: normParams(raw) });
+      });
+      $('mutReset')?.addEventListener('click', () => commitProfile(scopeOf(), null));
+    });
+  }
+
+  // main chart TF (set when its load starts, before the snapshot arrives)
+  function onTF(tf) {
+    if (!tf || tf === UI.tf) return;
+    applyTF(tf);
+    safe(() => { $('mutScope').value = SETTINGS.tf[tf] ? 'tf' : 'all'; });
+    syncSettingsUI();
+  }
+
+  function onSnapshot(snap) {
+    if (snap && snap.tf) onTF(String(snap.tf));
+    safe(() => refreshData(snap));
+    schedule();
+  }
+
+  window.DarriusMutant = {
+    computeMutantFromCandles,
+    detectTurns,
+    trendStates,
+    detectDivergences,
+    paramsFor,
+    presets: () => Object.keys(PRESETS),
+    CFG,
+    EVENT: SETTINGS_EVENT,
+    DIVERGENCE_EVENT: DIV_EVENT,
+  };
+
   function boot() {
+    loadSettings();
+    applyTF((store() && store().get('tf')) || safe(() => $('tf').value) || '');
+    bindSettings();
+    syncSettingsUI();
+
     STATE.host = ensureHost();
     if (!STATE.host) return;
 
@@ -447,13 +878,14 @@
 
     resizeCanvas();
     observeResize();
+    bindPointer();
     render();
 
     safe(() => {
-      window.addEventListener('darrius:chartUpdated', () => requestAnimationFrame(render));
+      store()?.subscribe('tf', onTF);
+      store()?.subscribe('snapshot', onSnapshot);
+      window.addEventListener('darrius:displayChanged', schedule);
     });
-
-    setInterval(render, CFG.tickMs);
   }
 
   if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', boot);
@@ -0,0 +1,142 @@
+/* darrius.store.js (shared state store / event bus) v2026.10.19
+ * One place for the page state modules used to pass around through window globals, DOM text
+ * and setInterval polls. Every key has a fixed shape (normalized on set):
+ *
+ * - symbol       'TSLA'                         main chart symbol (chart.core.js, when a load starts;
+ *                                               symbol.search.js records it in the recents)
+ * - tf           '1d' | '1M' | …                main chart TF (chart.core.js, when a load starts)
+ * - snapshot     { symbol, tf, bars, … } | null last published main chart snapshot (chart.core.js)
+ * - entitlement  { known, entitled, status, bucket, plan }   (subscription.js; known = a status came back)
+ * - identity     { userId, email }              (boot.js, from #userId / #email)
+ * - dataSource   { source, badge }              requested source + provider badge (chart.core.js;
+ *                                               boot.js on a #dataSource change -> charts reload)
+ *
+ * API (window.DarriusStore):
+ * - get(key), set(key, value) -> true when the value changed
+ * - subscribe(key, fn(value, prev), { immediate = true }) -> unsubscribe
+ *   immediate: fn runs at once with the current value, so late subscribers start in sync
+ * - Notifications run in the order the changes happened (a set inside a subscriber is queued,
+ *   not nested); an unchanged value notifies nobody
+ * - Read-only mirrors for older inline / external scripts: window.__DARRIUS_CHART_STATE__,
+ *   window.__ENTITLEMENT__, window.__DATA_SOURCE_BADGE__
+ *
+ * Safety:
+ * - Never throws (unknown key -> ignored, failing subscriber -> skipped)
+ * - Must load before every module that reads it (first script after the globals)
+ */
+(() => {
+  'use strict';
+
+  function safe(fn) { try { return fn(); } catch { return null; } }
+  const str = (v) => String(v == null ? '' : v).trim();
+
+  const TYPES = {
+    symbol: {
+      init: '',
+      norm: (v) => str(v).toUpperCase(),
+    },
+    tf: {
+      init: '',
+      norm: (v) => (str(v) === '1M' ? '1M' : str(v).toLowerCase()),
+    },
+    // by reference: a new snapshot object is a new value
+    snapshot: {
+      init: null,
+      norm: (v) => (v && typeof v === 'object' && Array.isArray(v.bars) ? v : null),
+      same: (a, b) => a === b,
+    },
+    entitlement: {
+      init: { known: false, entitled: false, status: 'unknown', bucket: '', plan: '' },
+      norm: (v) => ({
+        known: !!(v && v.known),
+        entitled: !!(v && v.entitled),
+        status: str(v && v.status).toLowerCase() || 'unknown',
+        bucket: str(v && v.bucket).toUpperCase(),
+        plan: str(v && v.plan),
+      }),
+    },
+    identity: {
+      init: { userId: '', email: '' },
+      norm: (v) => ({ userId: str(v && v.userId), email: str(v && v.email).toLowerCase() }),
+    },
+    dataSource: {
+      init: { source: '', badge: '' },
+      norm: (v) => ({ source: str(v && v.source), badge: str(v && v.badge) }),
+    },
+  };
+
+  // flat objects: equal when every field is
+  function shallowSame(a, b) {
+    if (a === b) return true;
+    if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+    const ka = Object.keys(a);
+    return ka.length === Object.keys(b).length && ka.every(k => a[k] === b[k]);
+  }
+
+  const STATE = {};
+  const SUBS = {};
+  for (const [k, t] of Object.entries(TYPES)) {
+    STATE[k] = t.init && typeof t.init === 'object' ? Object.freeze(Object.assign({}, t.init)) : t.init;
+    SUBS[k] = [];
+  }
+
+  const queue = [];
+  let flushing = false;
+
+  function flush() {
+    if (flushing) return;
+    flushing = true;
+    try {
+      while (queue.length) {
+        const { key, value, prev } = queue.shift();
+        for (const fn of SUBS[key].slice()) safe(() => fn(value, prev));
+      }
+    } finally {
+      flushing = false;
+    }
+  }
+
+  function get(key) {
+    return TYPES[key] ? STATE[key] : undefined;
+  }
+
+  function set(key, value) {
+    const t = TYPES[key];
+    if (!t) return false;
+    // a throwing normalizer falls back to the key's initial value (null is a valid snapshot)
+    let next;
+    try { next = t.norm(value); } catch { next = t.init; }
+    const prev = STATE[key];
+    if ((t.same || shallowSame)(prev, next)) return false;
+
+    STATE[key] = next && typeof next === 'object' && key !== 'snapshot' ? Object.freeze(next) : next;
+    queue.push({ key, value: STATE[key], prev });
+    flush();
+    return true;
+  }
+
+  function subscribe(key, fn, opts) {
+    if (!TYPES[key] || typeof fn !== 'function') return () => {};
+    SUBS[key].push(fn);
+    if (!opts || opts.immediate !== false) safe(() => fn(STATE[key], undefined));
+    return () => {
+      const i = SUBS[key].indexOf(fn);
+      if (i >= 0) SUBS[key].splice(i, 1);
+    };
+  }
+
+  // older readers
+  safe(() => {
+    const mirror = (name, read) => Object.defineProperty(window, name, { get: read, configurable: true });
+    mirror('__DARRIUS_CHART_STATE__', () => STATE.snapshot);
+    mirror('__ENTITLEMENT__', () => STATE.entitlement);
+    mirror('__DATA_SOURCE_BADGE__', () => STATE.dataSource.badge);
+  });
+
+  window.DarriusStore = {
+    get,
+    set,
+    subscribe,
+    keys: () => Object.keys(TYPES),
+  };
+})();
@@ -0,0 +1,598 @@
+/* drawings.js (chart drawing tools) v2026.10.19
+ * Annotation layer over the main chart (#chart): trend line, horizontal / vertical line,
+ * ray, rectangle, Fibonacci retracement, text note.
+ *
+ * - Points are stored as { t: unix time, p: price } and projected with the chart's
+ *   timeScale / priceToCoordinate (like the signal badges). Times between or beyond
+ *   bars are mapped through fractional logical indexes, so rays / shapes can reach
+ *   into the future area.
+ * - Select / drag to move (drag a handle to move one point), Delete to remove
+ * - Undo / redo (Ctrl+Z / Ctrl+Y), Esc cancels the current tool
+ * - Saved per symbol + TF in localStorage; restored when the main chart loads
+ *
+ * Safety:
+ * - Never throws
+ * - Chart panning / zooming is untouched unless a tool is active or a drawing is grabbed
+ */
+(() => {
+  'use strict';
+
+  function safe(fn) { try { return fn(); } catch { return null; } }
+  const $ = (id) => document.getElementById(id);
+
+  const CFG = {
+    chartId: 'chart',
+    storagePrefix: 'darrius_drawings_v1:',
+    color: '#4CC2FF',
+    selColor: '#F5C542',
+    fill: 'rgba(76,194,255,0.10)',
+    hitPx: 6,
+    handlePx: 4,
+    undoMax: 50,
+    fibLevels: [0, 0.236, 0.382, 0.5, 0.618, 0.786, 1],
+    font: '12px ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Arial',
+  };
+
+  // tool -> number of anchor points
+  const TOOLS = { trend: 2, hline: 1, vline: 1, ray: 2, rect: 2, fib: 2, text: 1 };
+
+  const STATE = {
+    chartEl: null,
+    canvas: null,
+    ctx: null,
+    w: 0,
+    h: 0,
+    sized: false,      // canvas matches the chart box (cleared by ResizeObserver / window resize)
+    ro: null,
+    subscribed: false,
+
+    key: '',
+    items: [],
+    times: [],
+    step: 0,
+
+    tool: null,        // null = select
+    pending: null,     // item being placed (2-point tools)
+    selected: null,    // item id
+    drag: null,        // { id, handle, start, orig, moved }
+
+    undo: [],
+    redo: [],
+  };
+
+  const chart = () => safe(() => window.ChartCore.getChart());
+  const series = () => safe(() => window.ChartCore.getMainSeries());
+  const uid = () => 'd' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+  // -------- time <-> logical index (fractional, extrapolated) --------
+  function setTimes(times) {
+    STATE.times = (times || []).map(Number).filter(Number.isFinite);
+    const T = STATE.times, n = T.length;
+    const gaps = [];
+    for (let i = Math.max(1, n - 50); i < n; i++) gaps.push(T[i] - T[i - 1]);
+    gaps.sort((a, b) => a - b);
+    STATE.step = gaps.length ? gaps[gaps.length >> 1] : 86400;
+  }
+
+  function timeToLogical(t) {
+    const T = STATE.times, n = T.length;
+    if (!n || !Number.isFinite(t)) return null;
+    if (t <= T[0]) return (t - T[0]) / STATE.step;
+    if (t >= T[n - 1]) return n - 1 + (t - T[n - 1]) / STATE.step;
+    let lo = 0, hi = n - 1;
+    while (hi - lo > 1) {
+      const mid = (lo + hi) >> 1;
+      if (T[mid] <= t) lo = mid; else hi = mid;
+    }
+    return lo + (t - T[lo]) / ((T[hi] - T[lo]) || 1);
+  }
+
+  function logicalToTime(l) {
+    const T = STATE.times, n = T.length;
+    if (!n || !Number.isFinite(l)) return null;
+    if (l <= 0) return T[0] + l * STATE.step;
+    if (l >= n - 1) return T[n - 1] + (l - (n - 1)) * STATE.step;
+    const i = Math.floor(l);
+    return T[i] + (l - i) * (T[i + 1] - T[i]);
+  }
+
+  function toXY(pt) {
+    const c = chart(), s = series();
+    if (!c || !s || !pt) return null;
+    const l = timeToLogical(pt.t);
+    const x = l == null ? null : c.timeScale().logicalToCoordinate(l);
+    const y = s.priceToCoordinate(pt.p);
+    if (x == null || y == null) return null;
+    return { x, y };
+  }
+
+  function fromXY(x, y) {
+    const c = chart(), s = series();
+    if (!c || !s) return null;
+    const l = c.timeScale().coordinateToLogical(x);
+    const p = s.coordinateToPrice(y);
+    const t = logicalToTime(l);
+    if (t == null || p == null) return null;
+    return { t, p };
+  }
+
+  // -------- persistence / history --------
+  function storageKey() { return CFG.storagePrefix + STATE.key; }
+
+  function loadItems() {
+    const arr = safe(() => JSON.parse(localStorage.getItem(storageKey()) || '[]'));
+    STATE.items = Array.isArray(arr) ? arr.filter(d => d && TOOLS[d.type] && Array.isArray(d.pts)) : [];
+  }
+
+  function saveItems() {
+    safe(() => {
+      if (!STATE.key) return;
+      if (STATE.items.length) localStorage.setItem(storageKey(), JSON.stringify(STATE.items));
+      else localStorage.removeItem(storageKey());
+    });
+  }
+
+  function checkpoint() {
+    STATE.undo.push(JSON.stringify(STATE.items));
+    if (STATE.undo.length > CFG.undoMax) STATE.undo.shift();
+    STATE.redo = [];
+  }
+
+  function undo() {
+    if (!STATE.undo.length) return;
+    STATE.redo.push(JSON.stringify(STATE.items));
+    STATE.items = JSON.parse(STATE.undo.pop());
+    STATE.selected = null;
+    saveItems();
+    render();
+    syncToolbar();
+  }
+
+  function redo() {
+    if (!STATE.redo.length) return;
+    STATE.undo.push(JSON.stringify(STATE.items));
+    STATE.items = JSON.parse(STATE.redo.pop());
+    STATE.selected = null;
+    saveItems();
+    render();
+    syncToolbar();
+  }
+
+  function commit(item) {
+    checkpoint();
+    STATE.items.push(item);
+    STATE.selected = item.id;
+    saveItems();
+    syncToolbar();
+  }
+
+  function deleteSelected() {
+    if (!STATE.selected) return;
+    checkpoint();
+    STATE.items = STATE.items.filter(d => d.id !== STATE.selected);
+    STATE.selected = null;
+    saveItems();
+    render();
+    syncToolbar();
+  }
+
+  function clearAll() {
+    if (!STATE.items.length) return;
+    checkpoint();
+    STATE.items = [];
+    STATE.selected = null;
+    saveItems();
+    render();
+    syncToolbar();
+  }
+
+  // -------- canvas --------
+  function ensureCanvas() {
+    const el = $(CFG.chartId);
+    if (!el) return null;
+    if (STATE.canvas && STATE.canvas.parentNode === el) return STATE.canvas;
+
+    if (getComputedStyle(el).position === 'static') el.style.position = 'relative';
+    const c = document.createElement('canvas');
+    c.className = 'darrius-draw-overlay';
+    c.style.position = 'absolute';
+    c.style.left = '0';
+    c.style.top = '0';
+    c.style.width = '100%';
+    c.style.height = '100%';
+    c.style.pointerEvents = 'none';
+    c.style.zIndex = '18';
+    el.appendChild(c);
+
+    STATE.chartEl = el;
+    STATE.canvas = c;
+    STATE.ctx = null;
+    STATE.sized = false;
+    bindPointer(el);
+
+    safe(() => {
+      if (STATE.ro) STATE.ro.disconnect();
+      STATE.ro = typeof ResizeObserver === 'function' ? new ResizeObserver(onResize) : null;
+      if (STATE.ro) STATE.ro.observe(el);
+    });
+    return c;
+  }
+
+  // assigning width/height resets the bitmap, so the box is only re-measured after a resize
+  function resize() {
+    const c = STATE.canvas;
+    if (!c) return false;
+    if (STATE.sized && STATE.ctx) return true;
+
+    const r = STATE.chartEl.getBoundingClientRect();
+    const dpr = Math.min(2, Math.max(1, window.devicePixelRatio || 1));
+    STATE.w = Math.max(1, Math.floor(r.width));
+    STATE.h = Math.max(1, Math.floor(r.height));
+    const w = Math.floor(STATE.w * dpr);
+    const h = Math.floor(STATE.h * dpr);
+    if (c.width !== w) c.width = w;
+    if (c.height !== h) c.height = h;
+    STATE.ctx = c.getContext('2d');
+    STATE.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    STATE.sized = true;
+    return true;
+  }
+
+  function onResize() {
+    STATE.sized = false;
+    render();
+  }
+
+  // -------- geometry --------
+  function segDist(px, py, a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    const L = dx * dx + dy * dy;
+    const u = L ? Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / L)) : 0;
+    return Math.hypot(px - (a.x + u * dx), py - (a.y + u * dy));
+  }
+
+  // extend a->b past b to the canvas edge
+  function rayEnd(a, b) {
+    const dx = b.x - a.x, dy = b.y - a.y;
+    if (!dx && !dy) return b;
+    const k = (STATE.w + STATE.h) * 4 / Math.hypot(dx, dy);
+    return { x: b.x + dx * k, y: b.y + dy * k };
+  }
+
+  function fibLines(d, A, B) {
+    const x0 = Math.min(A.x, B.x), x1 = Math.max(A.x, B.x);
+    const s = series();
+    return CFG.fibLevels.map((lv) => {
+      const price = d.pts[1].p - (d.pts[1].p - d.pts[0].p) * lv;
+      const y = s ? s.priceToCoordinate(price) : null;
+      return { lv, price, y, x0, x1 };
+    }).filter(l => l.y != null);
+  }
+
+  function textBox(d, A) {
+    const ctx = STATE.ctx;
+    ctx.font = CFG.font;
+    const w = ctx.measureText(d.text || '').width || 0;
+    return { x: A.x, y: A.y - 16, w: w + 8, h: 20 };
+  }
+
+  // -> { id, handle } | null ; handle = point index or -1 for body
+  function hitTest(x, y) {
+    for (let i = STATE.items.length - 1; i >= 0; i--) {
+      const d = STATE.items[i];
+      const P = d.pts.map(toXY);
+      if (P.some(p => !p)) continue;
+      const A = P[0], B = P[1];
+
+      for (let k = 0; k < P.length; k++) {
+        if (Math.hypot(x - P[k].x, y - P[k].y) <= CFG.hitPx + 2) return { id: d.id, handle: k };
+      }
+
+      let dist = Infinity;
+      if (d.type === 'trend') dist = segDist(x, y, A, B);
+      else if (d.type === 'ray') dist = segDist(x, y, A, rayEnd(A, B));
+      else if (d.type === 'hline') dist = Math.abs(y - A.y);
+      else if (d.type === 'vline') dist = Math.abs(x - A.x);
+      else if (d.type === 'rect') {
+        const inX = x >= Math.min(A.x, B.x) - CFG.hitPx && x <= Math.max(A.x, B.x) + CFG.hitPx;
+        const inY = y >= Math.min(A.y, B.y) - CFG.hitPx && y <= Math.max(A.y, B.y) + CFG.hitPx;
+        if (inX && inY) dist = 0;
+      } else if (d.type === 'fib') {
+        for (const l of fibLines(d, A, B)) {
+          if (x >= l.x0 - CFG.hitPx && x <= l.x1 + 60) dist = Math.min(dist, Math.abs(y - l.y));
+        }
+      } else if (d.type === 'text') {
+        const bx = textBox(d, A);
+        if (x >= bx.x && x <= bx.x + bx.w && y >= bx.y && y <= bx.y + bx.h) dist = 0;
+      }
+      if (dist <= CFG.hitPx) return { id: d.id, handle: -1 };
+    }
+    return null;
+  }
+
+  // -------- render --------
+  function drawItem(ctx, d, sel) {
+    const P = d.pts.map(toXY);
+    if (P.some(p => !p)) return;
+    const A = P[0], B = P[1];
+    const col = sel ? CFG.selColor : (d.color || CFG.color);
+
+    ctx.save();
+    ctx.strokeStyle = col;
+    ctx.fillStyle = col;
+    ctx.lineWidth = sel ? 2 : 1.5;
+    ctx.font = CFG.font;
+
+    const line = (a, b) => { ctx.beginPath(); ctx.moveTo(a.x, a.y); ctx.lineTo(b.x, b.y); ctx.stroke(); };
+
+    if (d.type === 'trend') line(A, B);
+    else if (d.type === 'ray') line(A, rayEnd(A, B));
+    else if (d.type === 'hline') {
+      line({ x: 0, y: A.y }, { x: STATE.w, y: A.y });
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'bottom';
+      ctx.fillText(Number(d.pts[0].p).toFixed(2), 6, A.y - 3);
+    } else if (d.type === 'vline') line({ x: A.x, y: 0 }, { x: A.x, y: STATE.h });
+    else if (d.type === 'rect') {
+      ctx.fillStyle = CFG.fill;
+      ctx.fillRect(Math.min(A.x, B.x), Math.min(A.y, B.y), Math.abs(B.x - A.x), Math.abs(B.y - A.y));
+      ctx.strokeRect(Math.min(A.x, B.x), Math.min(A.y, B.y), Math.abs(B.x - A.x), Math.abs(B.y - A.y));
+    } else if (d.type === 'fib') {
+      ctx.setLineDash([2, 2]);
+      line(A, B);
+      ctx.setLineDash([]);
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'bottom';
+      for (const l of fibLines(d, A, B)) {
+        ctx.globalAlpha = (l.lv === 0 || l.lv === 1) ? 1 : 0.75;
+        line({ x: l.x0, y: l.y }, { x: l.x1, y: l.y });
+        ctx.fillText(`${l.lv} (${l.price.toFixed(2)})`, l.x1 + 4, l.y + 5);
+      }
+      ctx.globalAlpha = 1;
+    } else if (d.type === 'text') {
+      const bx = textBox(d, A);
+      ctx.fillStyle = 'rgba(11,15,23,0.78)';
+      ctx.fillRect(bx.x, bx.y, bx.w, bx.h);
+      if (sel) ctx.strokeRect(bx.x, bx.y, bx.w, bx.h);
+      ctx.fillStyle = col;
+      ctx.textAlign = 'left';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(d.text || '', bx.x + 4, bx.y + bx.h / 2);
+    }
+
+    if (sel) {
+      ctx.fillStyle = '#0B0F17';
+      for (const p of P) {
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, CFG.handlePx, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      }
+    }
+    ctx.restore();
+  }
+
+  function render() {
+    safe(() => {
+      if (!ensureCanvas() || !resize()) return;
+      const ctx = STATE.ctx;
+      ctx.clearRect(0, 0, STATE.w, STATE.h);
+      for (const d of STATE.items) drawItem(ctx, d, d.id === STATE.selected);
+      if (STATE.pending) drawItem(ctx, STATE.pending, true);
+    });
+  }
+
+  // -------- pointer --------
+  function localXY(e) {
+    const src = e.touches && e.touches[0] ? e.touches[0] : (e.changedTouches && e.changedTouches[0]) || e;
+    const r = STATE.chartEl.getBoundingClientRect();
+    return { x: src.clientX - r.left, y: src.clientY - r.top };
+  }
+
+  function swallow(e) {
+    e.stopPropagation();
+    if (e.cancelable) e.preventDefault();
+  }
+
+  function onDown(e) {
+    if (e.button != null && e.button !== 0) return;
+    const { x, y } = localXY(e);
+    const pt = fromXY(x, y);
+
+    if (STATE.tool) {
+      if (!pt) return;
+      swallow(e);
+
+      if (STATE.pending) {
+        STATE.pending.pts[1] = pt;
+        const done = STATE.pending;
+        STATE.pending = null;
+        commit(done);
+        render();
+        return;
+      }
+
+      const item = { id: uid(), type: STATE.tool, pts: [pt], color: CFG.color };
+      if (TOOLS[STATE.tool] === 2) {
+        item.pts.push(Object.assign({}, pt));
+        STATE.pending = item;
+      } else {
+        if (STATE.tool === 'text') {
+          const text = safe(() => window.prompt('Text · 文本', '')) || '';
+          if (!text.trim()) return;
+          item.text = text.trim().slice(0, 120);
+        }
+        commit(item);
+      }
+      render();
+      return;
+    }
+
+    const hit = hitTest(x, y);
+    if (!hit) {
+      if (STATE.selected) { STATE.selected = null; render(); syncToolbar(); }
+      return;
+    }
+
+    swallow(e);
+    const d = STATE.items.find(it => it.id === hit.id);
+    STATE.selected = hit.id;
+    STATE.drag = { id: hit.id, handle: hit.handle, start: pt, orig: JSON.parse(JSON.stringify(d.pts)), moved: false };
+    render();
+    syncToolbar();
+  }
+
+  function onMove(e) {
+    if (!STATE.chartEl) return;
+    if (!STATE.pending && !STATE.drag) return;
+
+    const { x, y } = localXY(e);
+    const pt = fromXY(x, y);
+    if (!pt) return;
+
+    if (STATE.pending) {
+      STATE.pending.pts[1] = pt;
+      render();
+      return;
+    }
+
+    const g = STATE.drag;
+    const d = STATE.items.find(it => it.id === g.id);
+    if (!d || !g.start) return;
+    if (!g.moved) { checkpoint(); g.moved = true; }
+    if (e.cancelable) e.preventDefault();
+
+    if (g.handle >= 0) {
+      d.pts[g.handle] = pt;
+    } else {
+      const dl = (timeToLogical(pt.t) ?? 0) - (timeToLogical(g.start.t) ?? 0);
+      const dp = pt.p - g.start.p;
+      d.pts = g.orig.map(o => ({ t: logicalToTime((timeToLogical(o.t) ?? 0) + dl), p: o.p + dp }));
+    }
+    render();
+  }
+
+  function onUp() {
+    if (!STATE.drag) return;
+    if (STATE.drag.moved) saveItems();
+    STATE.drag = null;
+  }
+
+  function bindPointer(el) {
+    if (el.__drawBound) return;
+    el.__drawBound = true;
+    // capture phase: runs before the chart's own handlers so a grab does not pan
+    el.addEventListener('mousedown', onDown, true);
+    el.addEventListener('touchstart', onDown, { capture: true, passive: false });
+    el.addEventListener('mousemove', (e) => { if (STATE.pending) onMove(e); }, true);
+    window.addEventListener('mousemove', (e) => { if (STATE.drag) onMove(e); });
+    window.addEventListener('touchmove', (e) => { if (STATE.drag || STATE.pending) onMove(e); }, { passive: false });
+    window.addEventListener('mouseup', onUp);
+    window.addEventListener('touchend', onUp);
+  }
+
+  function onKey(e) {
+    const tag = String(e.target && e.target.tagName || '').toLowerCase();
+    if (tag === 'input' || tag === 'textarea' || tag === 'select' || (e.target && e.target.isContentEditable)) return;
+
+    const mod = e.ctrlKey || e.metaKey;
+    if (mod && (e.key === 'z' || e.key === 'Z') && !e.shiftKey) { e.preventDefault(); undo(); }
+    else if (mod && (e.key === 'y' || ((e.key === 'z' || e.key === 'Z') && e.shiftKey))) { e.preventDefault(); redo(); }
+    else if ((e.key === 'Delete' || e.key === 'Backspace') && STATE.selected) { e.preventDefault(); deleteSelected(); }
+    else if (e.key === 'Escape') { setTool(null); }
+  }
+
+  // -------- tools / toolbar --------
+  function setTool(tool) {
+    STATE.tool = TOOLS[tool] ? tool : null;
+    STATE.pending = null;
+    if (STATE.chartEl) STATE.chartEl.style.cursor = STATE.tool ? 'crosshair' : '';
+    render();
+    syncToolbar();
+  }
+
+  function syncToolbar() {
+    safe(() => {
+      document.querySelectorAll('#drawTools [data-tool]').forEach((b) => {
+        b.classList.toggle('active', (b.dataset.tool === 'select' && !STATE.tool) || b.dataset.tool === STATE.tool);
+      });
+      const set = (act, on) => { const b = document.querySelector(`#drawTools [data-act="${act}"]`); if (b) b.disabled = !on; };
+      set('undo', STATE.undo.length > 0);
+      set('redo', STATE.redo.length > 0);
+      set('delete', !!STATE.selected);
+      set('clear', STATE.items.length > 0);
+    });
+  }
+
+  function bindToolbar() {
+    safe(() => {
+      const bar = $('drawTools');
+      if (!bar) return;
+      bar.addEventListener('click', (e) => {
+        const b = e.target.closest('button');
+        if (!b) return;
+        if (b.dataset.tool) setTool(b.dataset.tool === 'select' ? null : b.dataset.tool);
+        else if (b.dataset.act === 'undo') undo();
+        else if (b.dataset.act === 'redo') redo();
+        else if (b.dataset.act === 'delete') deleteSelected();
+        else if (b.dataset.act === 'clear') clearAll();
+      });
+    });
+  }
+
+  // -------- chart hooks --------
+  function subscribeIfNeeded() {
+    if (STATE.subscribed) return;
+    const c = chart();
+    if (!c) return;
+    STATE.subscribed = true;
+    safe(() => c.timeScale().subscribeVisibleLogicalRangeChange(render));
+    safe(() => c.subscribeCrosshairMove(() => { if (!STATE.pending && !STATE.drag) render(); }));
+    window.addEventListener('resize', onResize);
+  }
+
+  function onChartUpdated(e) {
+    const snap = e && e.detail;
+    if (!snap || !snap.symbol) return;
+
+    // anchor to what is displayed: with renko the bricks are not the snapshot bars
+    const shown = safe(() => window.DarriusChart.displayTimes());
+    setTimes(shown || (snap.bars || []).map(b => b.time));
+    const key = `${String(snap.symbol).toUpperCase()}|${snap.tf || ''}`;
+    if (key !== STATE.key) {
+      STATE.key = key;
+      STATE.pending = null;
+      STATE.drag = null;
+      STATE.selected = null;
+      STATE.undo = [];
+      STATE.redo = [];
+      loadItems();
+      syncToolbar();
+    }
+    subscribeIfNeeded();
+    render();
+  }
+
+  function start() {
+    bindToolbar();
+    syncToolbar();
+    safe(() => {
+      window.addEventListener('darrius:chartUpdated', onChartUpdated);
+      window.addEventListener('keydown', onKey);
+    });
+  }
+
+  window.DarriusDrawings = {
+    setTool,
+    undo,
+    redo,
+    deleteSelected,
+    clear: clearAll,
+    list: () => JSON.parse(JSON.stringify(STATE.items)),
+    getKey: () => STATE.key,
+    TOOLS: Object.keys(TOOLS),
+  };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+  else start();
+})();
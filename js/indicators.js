@@ -0,0 +1,430 @@
+/* indicators.js (client-side indicator registry) v2026.10.19
+ * SMA / EMA / Bollinger / VWAP / RSI / MACD / ATR / Stochastic computed from snapshot bars.
+ *
+ * - DEFS: one entry per indicator { label, place: 'overlay' | 'pane', params, colors, levels, compute }
+ * - compute(id, bars) -> [{ kind: 'line' | 'hist', color, data: [{ time, value, color? }] }]
+ * - ChartCore owns the series (overlay on the price scale, 'pane' = own price scale
+ *   stacked under the candles via scaleMargins) and re-renders on `darrius:indicatorsChanged`
+ * - On/off, params and colors persisted with the EMA/AUX/volume toggles (tgEMA / tgAux / tgVol / tgVP)
+ *
+ * Safety:
+ * - Never throws (bad params fall back to defaults)
+ * - Pure math; no network
+ */
+(() => {
+  'use strict';
+
+  function safe(fn) { try { return fn(); } catch { return null; } }
+  const $ = (id) => document.getElementById(id);
+
+  const CFG = {
+    storageKey: 'darrius_indicators_v1',
+    event: 'darrius:indicatorsChanged',
+  };
+
+  // -------- math (arrays aligned to bars; NaN = not enough data) --------
+  const num = (v) => Number(v);
+
+  // a window holding a non-finite value is NaN; the running sum never sees it
+  function sma(vals, n) {
+    const out = new Array(vals.length).fill(NaN);
+    let sum = 0, bad = 0;
+    for (let i = 0; i < vals.length; i++) {
+      if (Number.isFinite(vals[i])) sum += vals[i]; else bad++;
+      if (i >= n) {
+        if (Number.isFinite(vals[i - n])) sum -= vals[i - n]; else bad--;
+      }
+      if (i >= n - 1 && !bad) out[i] = sum / n;
+    }
+    return out;
+  }
+
+  function ema(vals, n) {
+    const out = new Array(vals.length).fill(NaN);
+    const k = 2 / (n + 1);
+    let e = NaN, seed = 0, cnt = 0;
+    for (let i = 0; i < vals.length; i++) {
+      const v = vals[i];
+      if (!Number.isFinite(v)) continue;
+      if (!Number.isFinite(e)) {
+        seed += v; cnt++;
+        if (cnt === n) { e = seed / n; out[i] = e; }
+        continue;
+      }
+      e = v * k + e * (1 - k);
+      out[i] = e;
+    }
+    return out;
+  }
+
+  // Wilder smoothing (RSI / ATR)
+  function rma(vals, n) {
+    const out = new Array(vals.length).fill(NaN);
+    let r = NaN, seed = 0, cnt = 0;
+    for (let i = 0; i < vals.length; i++) {
+      const v = vals[i];
+      if (!Number.isFinite(v)) continue;
+      if (!Number.isFinite(r)) {
+        seed += v; cnt++;
+        if (cnt === n) { r = seed / n; out[i] = r; }
+        continue;
+      }
+      r = (r * (n - 1) + v) / n;
+      out[i] = r;
+    }
+    return out;
+  }
+
+  function stdev(vals, n, means) {
+    const out = new Array(vals.length).fill(NaN);
+    for (let i = n - 1; i < vals.length; i++) {
+      let s = 0;
+      for (let j = i - n + 1; j <= i; j++) s += (vals[j] - means[i]) ** 2;
+      out[i] = Math.sqrt(s / n);
+    }
+    return out;
+  }
+
+  function trueRange(bars) {
+    return bars.map((b, i) => {
+      const h = num(b.high), l = num(b.low);
+      if (i === 0) return h - l;
+      const pc = num(bars[i - 1].close);
+      return Math.max(h - l, Math.abs(h - pc), Math.abs(l - pc));
+    });
+  }
+
+  function rsi(closes, n) {
+    const gain = [NaN], loss = [NaN];
+    for (let i = 1; i < closes.length; i++) {
+      const d = closes[i] - closes[i - 1];
+      gain.push(Math.max(0, d));
+      loss.push(Math.max(0, -d));
+    }
+    const ag = rma(gain, n), al = rma(loss, n);
+    return ag.map((g, i) => {
+      if (!Number.isFinite(g) || !Number.isFinite(al[i])) return NaN;
+      if (al[i] === 0) return 100;
+      return 100 - 100 / (1 + g / al[i]);
+    });
+  }
+
+  function stoch(bars, kLen, smoothK, dLen) {
+    const raw = bars.map((b, i) => {
+      if (i < kLen - 1) return NaN;
+      let hi = -Infinity, lo = Infinity;
+      for (let j = i - kLen + 1; j <= i; j++) {
+        hi = Math.max(hi, num(bars[j].high));
+        lo = Math.min(lo, num(bars[j].low));
+      }
+      return hi === lo ? 50 : ((num(b.close) - lo) / (hi - lo)) * 100;
+    });
+    const k = smoothK > 1 ? smaSkip(raw, smoothK) : raw;
+    return { k, d: smaSkip(k, dLen) };
+  }
+
+  // SMA that tolerates a NaN warm-up prefix
+  function smaSkip(vals, n) {
+    const first = vals.findIndex(Number.isFinite);
+    if (first < 0) return vals.map(() => NaN);
+    const tail = sma(vals.slice(first), n);
+    return new Array(first).fill(NaN).concat(tail);
+  }
+
+  // VWAP anchored to the UTC day (intraday) or the whole loaded range (1d and above)
+  function vwap(bars, reset) {
+    const out = new Array(bars.length).fill(NaN);
+    let pv = 0, vol = 0, day = null;
+    for (let i = 0; i < bars.length; i++) {
+      const b = bars[i];
+      const t = num(b.time);
+      const d = Number.isFinite(t) ? Math.floor(t / 86400) : null;
+      if (reset && d !== day) { pv = 0; vol = 0; day = d; }
+      const tp = (num(b.high) + num(b.low) + num(b.close)) / 3;
+      const v = num(b.volume ?? b.v ?? 0);
+      if (!Number.isFinite(tp)) continue;
+      const w = Number.isFinite(v) && v > 0 ? v : 0;
+      pv += tp * w; vol += w;
+      out[i] = vol > 0 ? pv / vol : tp;
+    }
+    return out;
+  }
+
+  function toLine(bars, vals, color) {
+    const data = [];
+    for (let i = 0; i < bars.length; i++) {
+      if (Number.isFinite(vals[i])) data.push({ time: bars[i].time, value: vals[i] });
+    }
+    return { kind: 'line', color, data };
+  }
+
+  function periods(str, fallback) {
+    const out = String(str ?? '').split(/[,\s]+/).map(x => Math.floor(Number(x))).filter(n => n >= 1 && n <= 1000);
+    return out.length ? out.slice(0, 4) : fallback;
+  }
+
+  function intParam(v, d, lo, hi) {
+    const n = Math.floor(Number(v));
+    return Number.isFinite(n) && n >= lo && n <= hi ? n : d;
+  }
+
+  function isIntradayBars(bars) {
+    if (bars.length < 2) return false;
+    const dt = num(bars[bars.length - 1].time) - num(bars[bars.length - 2].time);
+    return Number.isFinite(dt) && dt < 86400;
+  }
+
+  // -------- registry --------
+  const DEFS = {
+    sma: {
+      label: 'SMA',
+      place: 'overlay',
+      params: { periods: '20,50' },
+      colors: ['#F5C542', '#B07CFF', '#FF8A3D', '#7CD3FF'],
+      compute(bars, p, c) {
+        const closes = bars.map(b => num(b.close));
+        return periods(p.periods, [20]).map((n, i) => toLine(bars, sma(closes, n), c[i % c.length]));
+      },
+    },
+    ema: {
+      label: 'EMA',
+      place: 'overlay',
+      params: { periods: '9,21' },
+      colors: ['#4CC2FF', '#FF6FB5', '#9BE15D', '#FFD166'],
+      compute(bars, p, c) {
+        const closes = bars.map(b => num(b.close));
+        return periods(p.periods, [21]).map((n, i) => toLine(bars, ema(closes, n), c[i % c.length]));
+      },
+    },
+    bb: {
+      label: 'Bollinger',
+      place: 'overlay',
+      params: { period: 20, mult: 2 },
+      colors: ['rgba(200,220,255,0.85)', 'rgba(200,220,255,0.45)'],
+      compute(bars, p, c) {
+        const n = intParam(p.period, 20, 2, 500);
+        const m = Number.isFinite(Number(p.mult)) && Number(p.mult) > 0 ? Number(p.mult) : 2;
+        const closes = bars.map(b => num(b.close));
+        const mid = sma(closes, n);
+        const sd = stdev(closes, n, mid);
+        return [
+          toLine(bars, mid, c[0]),
+          toLine(bars, mid.map((v, i) => v + m * sd[i]), c[1] || c[0]),
+          toLine(bars, mid.map((v, i) => v - m * sd[i]), c[1] || c[0]),
+        ];
+      },
+    },
+    vwap: {
+      label: 'VWAP',
+      place: 'overlay',
+      params: {},
+      colors: ['#FF9F43'],
+      compute(bars, p, c) {
+        return [toLine(bars, vwap(bars, isIntradayBars(bars)), c[0])];
+      },
+    },
+    rsi: {
+      label: 'RSI',
+      place: 'pane',
+      params: { period: 14 },
+      colors: ['#B07CFF'],
+      levels: [70, 30],
+      compute(bars, p, c) {
+        return [toLine(bars, rsi(bars.map(b => num(b.close)), intParam(p.period, 14, 2, 200)), c[0])];
+      },
+    },
+    macd: {
+      label: 'MACD',
+      place: 'pane',
+      params: { fast: 12, slow: 26, signal: 9 },
+      colors: ['#4CC2FF', '#FF8A3D', 'rgba(43,226,166,0.6)', 'rgba(255,90,90,0.6)'],
+      levels: [0],
+      compute(bars, p, c) {
+        const closes = bars.map(b => num(b.close));
+        const f = ema(closes, intParam(p.fast, 12, 1, 500));
+        const s = ema(closes, intParam(p.slow, 26, 1, 500));
+        const line = f.map((v, i) => v - s[i]);
+        const sig = ema(line, intParam(p.signal, 9, 1, 200));
+        const hist = { kind: 'hist', color: c[2], data: [] };
+        for (let i = 0; i < bars.length; i++) {
+          const h = line[i] - sig[i];
+          if (Number.isFinite(h)) hist.data.push({ time: bars[i].time, value: h, color: h >= 0 ? c[2] : c[3] });
+        }
+        return [hist, toLine(bars, line, c[0]), toLine(bars, sig, c[1])];
+      },
+    },
+    atr: {
+      label: 'ATR',
+      place: 'pane',
+      params: { period: 14 },
+      colors: ['#F5C542'],
+      compute(bars, p, c) {
+        return [toLine(bars, rma(trueRange(bars), intParam(p.period, 14, 1, 200)), c[0])];
+      },
+    },
+    stoch: {
+      label: 'Stochastic',
+      place: 'pane',
+      params: { k: 14, smooth: 3, d: 3 },
+      colors: ['#4CC2FF', '#FF8A3D'],
+      levels: [80, 20],
+      compute(bars, p, c) {
+        const r = stoch(bars, intParam(p.k, 14, 1, 200), intParam(p.smooth, 3, 1, 50), intParam(p.d, 3, 1, 50));
+        return [toLine(bars, r.k, c[0]), toLine(bars, r.d, c[1])];
+      },
+    },
+  };
+
+  // -------- settings --------
+  const STATE = {
+    toggles: { ema: true, aux: true, vol: true, vp: false },
+    items: {},   // id -> { on, params, colors }
+  };
+
+  function item(id) {
+    const def = DEFS[id];
+    const saved = STATE.items[id] || {};
+    return {
+      on: !!saved.on,
+      params: Object.assign({}, def.params, saved.params || {}),
+      colors: def.colors.map((c, i) => (saved.colors && saved.colors[i]) || c),
+    };
+  }
+
+  function loadSettings() {
+    const s = safe(() => JSON.parse(localStorage.getItem(CFG.storageKey) || 'null'));
+    if (!s) return;
+    if (s.toggles) STATE.toggles = Object.assign({}, STATE.toggles, s.toggles);
+    if (s.items && typeof s.items === 'object') STATE.items = s.items;
+  }
+
+  function saveSettings() {
+    safe(() => localStorage.setItem(CFG.storageKey, JSON.stringify({ toggles: STATE.toggles, items: STATE.items })));
+  }
+
+  function emitChanged() {
+    safe(() => window.dispatchEvent(new CustomEvent(CFG.event, { detail: active() })));
+  }
+
+  function set(id, patch) {
+    if (!DEFS[id]) return;
+    const cur = item(id);
+    STATE.items[id] = {
+      on: patch && 'on' in patch ? !!patch.on : cur.on,
+      params: Object.assign({}, cur.params, (patch && patch.params) || {}),
+      colors: (patch && patch.colors) ? cur.colors.map((c, i) => patch.colors[i] || c) : cur.colors,
+    };
+    saveSettings();
+    emitChanged();
+  }
+
+  function active() {
+    return Object.keys(DEFS)
+      .map(id => Object.assign({ id, label: DEFS[id].label, place: DEFS[id].place, levels: DEFS[id].levels || [] }, item(id)))
+      .filter(x => x.on);
+  }
+
+  function compute(id, bars) {
+    const def = DEFS[id];
+    if (!def || !Array.isArray(bars) || !bars.length) return [];
+    const it = item(id);
+    return safe(() => def.compute(bars, it.params, it.colors)) || [];
+  }
+
+  // -------- UI (#indList) --------
+  function renderUI() {
+    safe(() => {
+      const box = $('indList');
+      if (!box) return;
+      box.innerHTML = '';
+
+      for (const id of Object.keys(DEFS)) {
+        const def = DEFS[id];
+        const it = item(id);
+
+        const row = document.createElement('div');
+        row.className = 'indRow';
+        row.dataset.id = id;
+
+        const lab = document.createElement('label');
+        lab.className = 'indName';
+        const cb = document.createElement('input');
+        cb.type = 'checkbox';
+        cb.checked = it.on;
+        cb.dataset.act = 'on';
+        lab.appendChild(cb);
+        lab.appendChild(document.createTextNode(` ${def.label}`));
+        const tag = document.createElement('span');
+        tag.className = 'indPlace';
+        tag.textContent = def.place === 'pane' ? 'pane' : 'overlay';
+        lab.appendChild(tag);
+        row.appendChild(lab);
+
+        const params = document.createElement('div');
+        params.className = 'indParams';
+        for (const k of Object.keys(def.params)) {
+          const inp = document.createElement('input');
+          inp.value = String(it.params[k]);
+          inp.title = k;
+          inp.dataset.param = k;
+          inp.className = k === 'periods' ? 'wide' : '';
+          params.appendChild(inp);
+        }
+        const col = document.createElement('input');
+        col.type = 'color';
+        col.value = /^#[0-9a-f]{6}$/i.test(it.colors[0]) ? it.colors[0] : '#c8dcff';
+        col.dataset.act = 'color';
+        col.title = 'Color · 颜色';
+        params.appendChild(col);
+        row.appendChild(params);
+
+        box.appendChild(row);
+      }
+    });
+  }
+
+  function bindUI() {
+    safe(() => {
+      const box = $('indList');
+      if (box) {
+        box.addEventListener('change', (e) => {
+          const row = e.target.closest('.indRow');
+          if (!row) return;
+          const id = row.dataset.id;
+          if (e.target.dataset.act === 'on') set(id, { on: e.target.checked });
+          else if (e.target.dataset.act === 'color') set(id, { colors: [e.target.value] });
+          else if (e.target.dataset.param) set(id, { params: { [e.target.dataset.param]: e.target.value.trim() } });
+        });
+      }
+
+      // EMA/AUX/volume toggles share this store
+      for (const [key, elId] of [['ema', 'tgEMA'], ['aux', 'tgAux'], ['vol', 'tgVol'], ['vp', 'tgVP']]) {
+        const el = $(elId);
+        if (!el) continue;
+        el.checked = !!STATE.toggles[key];
+        el.addEventListener('change', () => { STATE.toggles[key] = !!el.checked; saveSettings(); });
+      }
+    });
+  }
+
+  function start() {
+    renderUI();
+    bindUI();
+  }
+
+  loadSettings();
+
+  window.DarriusIndicators = {
+    DEFS,
+    active,
+    compute,
+    set,
+    get: (id) => (DEFS[id] ? item(id) : null),
+    getToggles: () => Object.assign({}, STATE.toggles),
+    math: { sma, ema, rma, rsi, stoch, vwap, trueRange },
+    EVENT: CFG.event,
+  };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+  else start();
+})();
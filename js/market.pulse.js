@@ -7,6 +7,14 @@
  * - Fix gauge coloring: Neutral not all-red; color follows regime
  * - Fill Bull/Bear/Neutral/Net Inflow values
  * - Fill Risk Copilot values (Entry/Stop/Targets/Confidence/WinRate)
+ * - WinRate comes from the signal backtest (backtest.js), not from a formula
+ * - Risk plan follows the latest signal: long on B/eB, short on S/eS (anchored on the signal bar),
+ *   ATR x / period or swing-high/low stop, drawn as price lines on the main chart
+ * - Position sizing under Risk Copilot: equity x risk % / (entry - stop) per unit,
+ *   shares / fractional crypto / contracts x multiplier, remembered per user (email / user id)
+ * - Pulse + risk math lives in darrius.compute.js and runs in the compute worker; the panel only
+ *   re-renders when the chart publishes a snapshot or an option changes (no refresh timer)
+ * - Snapshot + identity come from DarriusStore (darrius.store.js) subscriptions
  *
  * Safety:
  * - Never throws
@@ -21,6 +29,7 @@
 
   function safe(fn) { try { return fn(); } catch { return null; } }
   const $ = (id) => document.getElementById(id);
+  const store = () => window.DarriusStore || null;
 
   const DOM = {
     // Market Pulse
@@ -38,6 +47,23 @@
     riskTargets: null,
     riskConf: null,
     riskWR: null,
+    riskMode: null,
+    riskStopMode: null,
+    riskAtrMult: null,
+    riskAtrLen: null,
+    riskSwingLen: null,
+    riskLines: null,
+
+    // Position sizing
+    sizeEquity: null,
+    sizeRiskPct: null,
+    sizeType: null,
+    sizeMult: null,
+    sizeQty: null,
+    sizeRisk: null,
+    sizeNotional: null,
+    sizeTargets: null,
+    sizeRR: null,
 
     // Waiting/status line (optional, if you have it)
     waitingLine: null,
@@ -57,6 +83,22 @@
     DOM.riskTargets = $('riskTargets');
     DOM.riskConf = $('riskConf');
     DOM.riskWR = $('riskWR');
+    DOM.riskMode = $('riskMode');
+    DOM.riskStopMode = $('riskStopMode');
+    DOM.riskAtrMult = $('riskAtrMult');
+    DOM.riskAtrLen = $('riskAtrLen');
+    DOM.riskSwingLen = $('riskSwingLen');
+    DOM.riskLines = $('riskLines');
+
+    DOM.sizeEquity = $('sizeEquity');
+    DOM.sizeRiskPct = $('sizeRiskPct');
+    DOM.sizeType = $('sizeType');
+    DOM.sizeMult = $('sizeMult');
+    DOM.sizeQty = $('sizeQty');
+    DOM.sizeRisk = $('sizeRisk');
+    DOM.sizeNotional = $('sizeNotional');
+    DOM.sizeTargets = $('sizeTargets');
+    DOM.sizeRR = $('sizeRR');
 
     // OPTIONAL: if you have a small "Waiting..." sub line, bind it by id.
     // If not present, we simply do nothing.
@@ -65,18 +107,7 @@
 
   // -------- snapshot --------
   function getSnapshot() {
-    if (window.DarriusChart && typeof window.DarriusChart.getSnapshot === 'function') {
-      const s = safe(() => window.DarriusChart.getSnapshot());
-      if (s) return s;
-    }
-    if (typeof window.getChartSnapshot === 'function') {
-      const s = safe(() => window.getChartSnapshot());
-      if (s) return s;
-    }
-    if (window.__DARRIUS_CHART_STATE__) return window.__DARRIUS_CHART_STATE__;
-    if (window.__IH_SNAPSHOT__) return window.__IH_SNAPSHOT__;
-    if (window.__CHART_SNAPSHOT__) return window.__CHART_SNAPSHOT__;
-    return null;
+    return store() ? store().get('snapshot') : null;
   }
 
   function pickCandles(snap) {
@@ -97,139 +128,102 @@
   const pct = (x, d = 0) => Number.isFinite(x) ? (x * 100).toFixed(d) + '%' : '—';
   const last = (arr) => (arr && arr.length ? arr[arr.length - 1] : null);
 
-  // -------- derived metrics (stable + intuitive) --------
-  // 1) Momentum + slope score (0..100)
-  function derivePulseScore(candles) {
-    if (!candles || candles.length < 30) return null;
-
-    const n = 20;
-    const seg = candles.slice(-n);
-    const lastB = candles[candles.length - 1];
-    const prevB = candles[candles.length - 2];
+  // -------- derived metrics (js/darrius.compute.js; the main chart's run in the compute worker) --------
+  const C = window.DarriusCompute;
+  // darrius.compute.js missing (not loaded / out of order): no gauge, no risk plan, no throw
+  if (!C) return;
+  const { derivePulseScore, scoreToLabel, scoreToSplit, deriveNetInflow, normRiskOpts } = C;
 
-    const lastC = Number(lastB?.close ?? lastB?.c);
-    const prevC = Number(prevB?.close ?? prevB?.c);
-    const firstC = Number(seg[0]?.close ?? seg[0]?.c);
+  // Risk Copilot: stop mode / ATR / swing / price lines, persisted
+  const RISK_KEY = 'darrius_risk_v1';
 
-    if (!Number.isFinite(lastC) || !Number.isFinite(prevC) || !Number.isFinite(firstC)) return null;
+  // the plan follows the latest of the chart's signals (resolved by deriveRisk, in the worker)
+  function riskInput(opts) {
+    return Object.assign(normRiskOpts(opts), { signals: (opts && opts.signals) || [] });
+  }
 
-    const r1 = (lastC - prevC) / (prevC || lastC);
-    const r20 = (lastC - firstC) / (firstC || lastC);
+  // opts.signals: the chart's signals
+  const deriveRisk = (candles, opts) => C.deriveRisk(candles, riskInput(opts));
 
-    // simple slope via linear regression on closes
-    let sx=0, sy=0, sxx=0, sxy=0;
-    for (let i=0;i<seg.length;i++){
-      const x=i;
-      const y=Number(seg[i]?.close ?? seg[i]?.c);
-      if (!Number.isFinite(y)) continue;
-      sx+=x; sy+=y; sxx+=x*x; sxy+=x*y;
-    }
-    const denom = (n*sxx - sx*sx) || 1;
-    const slope = (n*sxy - sx*sy) / denom;
-    const slopeN = slope / (lastC || 1);
-
-    // score normalize
-    const raw = (slopeN*200) + (r20*80) + (r1*40);
-    // map raw roughly into 0..100
-    const score = clamp(50 + raw*3.5, 0, 100);
-    return Math.round(score);
+  // win rate of the signals on this chart (backtest.js); null until it has closed trades
+  function backtestWinRate() {
+    const r = safe(() => window.DarriusBacktest.result());
+    return r && r.count ? { winRate: r.winRate, count: r.count } : null;
   }
 
-  // 2) Regime label from score
-  function scoreToLabel(score) {
-    if (!Number.isFinite(score)) return 'Neutral';
-    if (score >= 60) return 'Bullish';
-    if (score <= 40) return 'Bearish';
-    return 'Neutral';
+  // Position sizing: risk budget / per-unit risk, rounded to what the instrument can trade
+  const SIZING_KEY = 'darrius_sizing_v1';
+  const SIZING_DEFAULTS = { equity: 10000, riskPct: 1, type: 'shares', mult: 1 };
+  const SIZE_STEP = { shares: 1, crypto: 1e-6, contracts: 1 };
+
+  function normSizing(raw) {
+    const o = Object.assign({}, SIZING_DEFAULTS);
+    if (!raw || typeof raw !== 'object') return o;
+    const eq = Number(raw.equity), rp = Number(raw.riskPct), m = Number(raw.mult);
+    if (Number.isFinite(eq) && eq > 0) o.equity = eq;
+    if (Number.isFinite(rp) && rp > 0) o.riskPct = clamp(rp, 0.01, 100);
+    if (SIZE_STEP[raw.type]) o.type = raw.type;
+    if (Number.isFinite(m) && m > 0) o.mult = m;
+    return o;
   }
 
-  // 3) Percent split (Bull/Bear/Neutral) from score
-  function scoreToSplit(score) {
-    if (!Number.isFinite(score)) return { bull: 0.33, bear: 0.33, neu: 0.34 };
-
-    // center 50 is neutral peak
-    const d = Math.abs(score - 50);           // 0..50
-    const neu = clamp(1 - (d / 50) * 0.9, 0.10, 0.95);
-
-    // remaining goes to bull/bear by direction
-    const rest = 1 - neu;
-    let bull = rest * (score >= 50 ? 0.75 : 0.25);
-    let bear = rest - bull;
-
-    // normalize safety
-    const s = bull + bear + neu;
-    bull /= s; bear /= s;
+  // settings are kept per user (same email / user id the subscription card uses)
+  function sizingUser() {
+    const id = store() ? store().get('identity') : {};
+    return id.email || id.userId || '_';
+  }
 
-    return { bull, bear, neu };
+  function loadSizing() {
+    const all = safe(() => JSON.parse(localStorage.getItem(SIZING_KEY) || 'null')) || {};
+    return normSizing(all[sizingUser()]);
   }
 
-  // 4) Net inflow (simple volume up - volume down over last 20 bars)
-  function deriveNetInflow(candles) {
-    if (!candles || candles.length < 5) return null;
-    const seg = candles.slice(-20);
-    let upV = 0, dnV = 0;
-
-    for (const b of seg) {
-      const o = Number(b?.open ?? b?.o);
-      const c = Number(b?.close ?? b?.c);
-      const v = Number(b?.volume ?? b?.v ?? 0);
-      if (!Number.isFinite(o) || !Number.isFinite(c) || !Number.isFinite(v)) continue;
-      if (c >= o) upV += v; else dnV += v;
-    }
-    return upV - dnV;
+  function saveSizing(o) {
+    safe(() => {
+      const all = JSON.parse(localStorage.getItem(SIZING_KEY) || 'null') || {};
+      all[sizingUser()] = normSizing(o);
+      localStorage.setItem(SIZING_KEY, JSON.stringify(all));
+    });
   }
 
-  // 5) Risk Copilot: ATR-like volatility and confidence
-  function deriveRisk(candles) {
-    if (!candles || candles.length < 20) return null;
-
-    const L = candles.length;
-    const lastB = candles[L - 1];
-    const entry = Number(lastB?.close ?? lastB?.c);
-    if (!Number.isFinite(entry)) return null;
-
-    // ATR(14) with OHLC if available; fallback to abs(close diff)
-    const len = 14;
-    let sumTR = 0, cnt = 0;
-    for (let i = L - len; i < L; i++) {
-      const b = candles[i], p = candles[i - 1];
-      if (!b || !p) continue;
-
-      const h = Number(b?.high ?? b?.h);
-      const l = Number(b?.low  ?? b?.l);
-      const pc = Number(p?.close ?? p?.c);
-      if (Number.isFinite(h) && Number.isFinite(l) && Number.isFinite(pc)) {
-        const tr = Math.max(h - l, Math.abs(h - pc), Math.abs(l - pc));
-        sumTR += tr; cnt++;
-      } else {
-        const c0 = Number(p?.close ?? p?.c);
-        const c1 = Number(b?.close ?? b?.c);
-        if (Number.isFinite(c0) && Number.isFinite(c1)) { sumTR += Math.abs(c1 - c0); cnt++; }
-      }
-    }
-    const atr = cnt ? (sumTR / cnt) : NaN;
-
-    const stop = Number.isFinite(atr) ? (entry - 1.5 * atr) : NaN;
-    const r = Number.isFinite(stop) ? (entry - stop) : NaN;
-    const t1 = Number.isFinite(r) ? (entry + 1.0 * r) : NaN;
-    const t2 = Number.isFinite(r) ? (entry + 2.0 * r) : NaN;
-
-    // confidence: ratio of up bars in last 20
-    const seg = candles.slice(-20);
-    let up = 0, tot = 0;
-    for (const b of seg) {
-      const o = Number(b?.open ?? b?.o);
-      const c = Number(b?.close ?? b?.c);
-      if (!Number.isFinite(o) || !Number.isFinite(c)) continue;
-      tot++;
-      if (c >= o) up++;
-    }
-    const confidence = tot ? up / tot : NaN;
+  function deriveSizing(r, opts) {
+    const o = normSizing(opts);
+    if (!r || !Number.isFinite(r.entry) || !Number.isFinite(r.stop)) return null;
+
+    const mult = o.type === 'contracts' ? o.mult : 1;
+    const perUnit = Math.abs(r.entry - r.stop) * mult;
+    if (!(perUnit > 0)) return null;
 
-    // win rate (display only; derived, not “truth”)
-    const winRate = Number.isFinite(confidence) ? clamp(0.42 + confidence * 0.25, 0.35, 0.75) : NaN;
+    const budget = o.equity * o.riskPct / 100;
+    const step = SIZE_STEP[o.type];
+    // (epsilon: 0.3 / 0.1 must not floor to 2)
+    let qty = Math.floor(budget / perUnit / step + 1e-9) * step;
 
-    return { entry, stop, t1, t2, confidence, winRate };
+    // cash instruments cannot exceed the account; contracts are margined
+    let capped = false;
+    if (o.type !== 'contracts' && qty * r.entry > o.equity) {
+      qty = Math.floor(o.equity / r.entry / step + 1e-9) * step;
+      capped = true;
+    }
+    qty = Number(qty.toFixed(6));
+
+    const target = (t) => Number.isFinite(t)
+      ? { price: t, r: Math.abs(t - r.entry) * mult / perUnit, pnl: qty * Math.abs(t - r.entry) * mult }
+      : null;
+    const targets = [target(r.t1), target(r.t2)].filter(Boolean);
+
+    return {
+      qty,
+      type: o.type,
+      mult,
+      budget,
+      risk: qty * perUnit,
+      riskPct: o.equity ? (qty * perUnit) / o.equity : NaN,
+      notional: qty * r.entry * mult,
+      targets,
+      rr: targets.length ? targets[targets.length - 1].r : NaN,
+      capped,
+    };
   }
 
   // -------- UI update --------
@@ -251,17 +245,11 @@
     DOM.pulseGaugeMask.style.opacity = '0.85';
   }
 
-  function updateMarketPulseUI(snap) {
+  // p: pulse job result { score, label, split, inflow } (null below 30 bars -> left as is)
+  function updateMarketPulseUI(p) {
     return safe(() => {
-      if (!DOM.pulseScore) return;
-
-      const candles = pickCandles(snap);
-      const score = derivePulseScore(candles);
-      if (!Number.isFinite(score)) return;
-
-      const label = scoreToLabel(score);
-      const split = scoreToSplit(score);
-      const inflow = deriveNetInflow(candles);
+      if (!DOM.pulseScore || !p) return;
+      const { score, label, split, inflow } = p;
 
       // CENTER NUMBER: keep % like your screenshot (48%)
       DOM.pulseScore.textContent = String(score);
@@ -282,17 +270,145 @@
     });
   }
 
-  function updateRiskCopilotUI(snap) {
+  // r: risk job result (deriveRisk); kept so sizing / win rate changes re-render without a recompute
+  let lastRisk = null;
+  function updateRiskCopilotUI(r) {
+    lastRisk = r;
     return safe(() => {
-      const candles = pickCandles(snap);
-      const r = deriveRisk(candles);
+      updatePlanLines(r);
       if (!r) return;
 
+      if (DOM.riskMode) {
+        DOM.riskMode.textContent = `${r.side === 'long' ? 'Long · 做多' : 'Short · 做空'}${r.signal ? ` · ${r.signal.side}` : ''}`;
+        DOM.riskMode.style.color = r.side === 'long' ? 'var(--brand1)' : 'var(--danger)';
+        DOM.riskMode.title = r.signal
+          ? `From the ${r.signal.side} signal bar · ${r.stopMode === 'swing' ? 'swing' : 'ATR'} stop`
+          : `No signal: long plan from the last close · ${r.stopMode === 'swing' ? 'swing' : 'ATR'} stop`;
+      }
       if (DOM.riskEntry) DOM.riskEntry.textContent = fmt(r.entry, 2);
       if (DOM.riskStop) DOM.riskStop.textContent = fmt(r.stop, 2);
       if (DOM.riskTargets) DOM.riskTargets.textContent = `${fmt(r.t1, 2)} / ${fmt(r.t2, 2)}`;
       if (DOM.riskConf) DOM.riskConf.textContent = Number.isFinite(r.confidence) ? pct(r.confidence, 0) : '—';
-      if (DOM.riskWR) DOM.riskWR.textContent = Number.isFinite(r.winRate) ? pct(r.winRate, 0) : '—';
+      if (DOM.riskWR) {
+        const bt = backtestWinRate();
+        DOM.riskWR.textContent = bt ? `${pct(bt.winRate, 0)} · ${bt.count}` : '—';
+        DOM.riskWR.title = bt ? `${bt.count} trades · 笔交易` : 'No closed trades · 暂无已平仓交易';
+      }
+
+      updateSizingUI(r);
+    });
+  }
+
+  // entry / stop / targets as price lines on the main chart (only re-created when they move)
+  let planKey = '';
+  function updatePlanLines(r) {
+    const on = !!(r && readRiskUI().lines);
+    const key = on ? [r.side, r.entry, r.stop, r.t1, r.t2].map(v => (typeof v === 'number' ? v.toPrecision(8) : v)).join('|') : '';
+    if (key === planKey) return;
+    const CC = window.ChartCore;
+    if (!CC || typeof CC.setPriceLines !== 'function') return;
+    planKey = key;
+    safe(() => CC.setPriceLines('risk', on ? [
+      { price: r.entry, color: 'rgba(76,194,255,.9)', lineStyle: 0, title: r.side === 'long' ? 'Entry ▲' : 'Entry ▼' },
+      { price: r.stop, color: 'rgba(255,90,90,.9)', title: 'Stop' },
+      { price: r.t1, color: 'rgba(43,226,166,.75)', title: 'T1 1R' },
+      { price: r.t2, color: 'rgba(43,226,166,.9)', title: 'T2 2R' },
+    ] : []));
+  }
+
+  function readRiskUI() {
+    if (!DOM.riskStopMode) return normRiskOpts(riskOpts);
+    return normRiskOpts({
+      stopMode: DOM.riskStopMode.value,
+      atrMult: DOM.riskAtrMult?.value,
+      atrLen: DOM.riskAtrLen?.value,
+      swingLen: DOM.riskSwingLen?.value,
+      lines: DOM.riskLines ? DOM.riskLines.checked : true,
+    });
+  }
+
+  let riskOpts = null;
+  function bindRiskOptions() {
+    safe(() => {
+      riskOpts = normRiskOpts(safe(() => JSON.parse(localStorage.getItem(RISK_KEY) || 'null')));
+      const sync = (o) => {
+        if (DOM.riskStopMode) DOM.riskStopMode.value = o.stopMode;
+        if (DOM.riskAtrMult) DOM.riskAtrMult.value = String(o.atrMult);
+        if (DOM.riskAtrLen) DOM.riskAtrLen.value = String(o.atrLen);
+        if (DOM.riskSwingLen) {
+          DOM.riskSwingLen.value = String(o.swingLen);
+          DOM.riskSwingLen.disabled = o.stopMode !== 'swing';
+        }
+        if (DOM.riskLines) DOM.riskLines.checked = !!o.lines;
+      };
+      sync(riskOpts);
+
+      const onChange = () => {
+        riskOpts = readRiskUI();
+        safe(() => localStorage.setItem(RISK_KEY, JSON.stringify(riskOpts)));
+        sync(riskOpts);
+        schedule();
+      };
+      [DOM.riskStopMode, DOM.riskAtrMult, DOM.riskAtrLen, DOM.riskSwingLen, DOM.riskLines]
+        .forEach(el => el?.addEventListener('change', onChange));
+    });
+  }
+
+  const money = (x) => Number.isFinite(x)
+    ? '$' + x.toLocaleString(undefined, { maximumFractionDigits: Math.abs(x) >= 100 ? 0 : 2 })
+    : '—';
+
+  function readSizingUI() {
+    return normSizing({
+      equity: DOM.sizeEquity?.value,
+      riskPct: DOM.sizeRiskPct?.value,
+      type: DOM.sizeType?.value,
+      mult: DOM.sizeMult?.value,
+    });
+  }
+
+  function syncSizingUI(o) {
+    if (DOM.sizeEquity) DOM.sizeEquity.value = String(o.equity);
+    if (DOM.sizeRiskPct) DOM.sizeRiskPct.value = String(o.riskPct);
+    if (DOM.sizeType) DOM.sizeType.value = o.type;
+    if (DOM.sizeMult) {
+      DOM.sizeMult.value = String(o.mult);
+      DOM.sizeMult.disabled = o.type !== 'contracts';
+    }
+  }
+
+  function updateSizingUI(r) {
+    if (!DOM.sizeQty) return;
+    const z = deriveSizing(r, readSizingUI());
+    const unit = z ? { shares: 'sh', crypto: 'units', contracts: 'ct' }[z.type] : '';
+
+    DOM.sizeQty.textContent = z ? `${z.qty.toLocaleString(undefined, { maximumFractionDigits: 6 })} ${unit}` : '—';
+    DOM.sizeQty.title = z && z.capped ? 'Capped by account equity · 受账户资金限制' : '';
+    DOM.sizeQty.style.color = z && z.capped ? 'var(--warn)' : '';
+    if (DOM.sizeRisk) DOM.sizeRisk.textContent = z ? `${money(z.risk)} · ${pct(z.riskPct, 2)}` : '—';
+    if (DOM.sizeNotional) DOM.sizeNotional.textContent = z ? money(z.notional) : '—';
+    if (DOM.sizeTargets) {
+      DOM.sizeTargets.textContent = z && z.targets.length
+        ? z.targets.map(t => `${fmt(t.r, 1)}R +${money(t.pnl)}`).join(' / ')
+        : '—';
+    }
+    if (DOM.sizeRR) DOM.sizeRR.textContent = z && Number.isFinite(z.rr) ? `1 : ${fmt(z.rr, 2)}` : '—';
+  }
+
+  function bindSizing() {
+    safe(() => {
+      syncSizingUI(loadSizing());
+
+      const onInput = () => {
+        const o = readSizingUI();
+        saveSizing(o);
+        if (DOM.sizeMult) DOM.sizeMult.disabled = o.type !== 'contracts';
+        safe(() => updateSizingUI(lastRisk));
+      };
+      [DOM.sizeEquity, DOM.sizeRiskPct, DOM.sizeType, DOM.sizeMult].forEach(el => el?.addEventListener('change', onInput));
+
+      // another user signed in -> their own sizing settings
+      store()?.subscribe('identity', () => { syncSizingUI(loadSizing()); safe(() => updateSizingUI(lastRisk)); }, { immediate: false });
     });
   }
 
@@ -308,26 +424,46 @@
     DOM.waitingLine.style.opacity = '0.75';
   }
 
+  // change-driven: runs once per frame after a chart update / risk option change; pulse + risk are
+  // computed in the compute worker from the bars that changed, an older answer is dropped
+  let tickSeq = 0;
   function tick() {
     return safe(() => {
       const snap = getSnapshot();
       if (!snap) return;
-      updateMarketPulseUI(snap);
-      updateRiskCopilotUI(snap);
       updateWaitingSmall(snap);
+
+      const candles = pickCandles(snap) || [];
+      const seq = ++tickSeq;
+      C.run('main', `${snap.symbol}|${snap.tf}`, candles, {
+        pulse: true,
+        risk: riskInput(Object.assign(readRiskUI(), { signals: snap.signals })),
+      }, { live: snap.live }).then((res) => {
+        if (seq !== tickSeq) return;
+        updateMarketPulseUI(res.pulse);
+        updateRiskCopilotUI(res.risk);
+      });
     });
   }
 
+  let raf = 0;
+  function schedule() {
+    if (raf) return;
+    raf = requestAnimationFrame(() => { raf = 0; tick(); });
+  }
+
+  // shared with watchlist.js (same scoring as the main gauge)
+  window.MarketPulse = { derivePulseScore, scoreToLabel, scoreToSplit, deriveNetInflow, deriveRisk, deriveSizing, pickCandles };
+
   function start() {
     bindDOM();
-    tick();
+    bindRiskOptions();
+    bindSizing();
 
     safe(() => {
-      window.addEventListener('darrius:chartUpdated', () => requestAnimationFrame(tick));
+      store()?.subscribe('snapshot', schedule);
+      window.addEventListener('darrius:backtestUpdated', () => updateRiskCopilotUI(lastRisk));
     });
-
-    // UI-only refresh
-    setInterval(tick, 650);
   }
 
   if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
@@ -0,0 +1,139 @@
+/* replay.js (bar replay controls) v2026.10.19
+ * UI for ChartCore.replay: pick a start date, then step / play the main chart forward
+ * bar by bar to review B/S/eB/eS signals without hindsight.
+ *
+ * - #replayToggle (chart top bar) opens #replayBar on the chart
+ * - Start: bars and signals after the chosen date are hidden (ChartCore cuts the snapshot,
+ *   so badges, Market Pulse and the Mutant panel recompute from revealed bars only)
+ * - ▶ play at 1x / 5x / 20x (bars per second), +1 step, Exit restores the live chart
+ *
+ * Safety:
+ * - Never throws
+ * - Disabled while not entitled (DarriusStore entitlement)
+ */
+(() => {
+  'use strict';
+
+  function safe(fn) { try { return fn(); } catch { return null; } }
+  const $ = (id) => document.getElementById(id);
+  const store = () => window.DarriusStore || null;
+
+  const api = () => safe(() => window.ChartCore.replay) || null;
+
+  // not entitled: upgrade.guard.js has the Load button locked as well
+  function isLocked() {
+    const s = store();
+    return !(s && s.get('entitlement').entitled);
+  }
+
+  const pad2 = (n) => String(n).padStart(2, '0');
+
+  function toDateInput(t) {
+    const d = new Date(Number(t) * 1000);
+    return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+  }
+
+  // whole chosen day is revealed (UTC end of day)
+  function fromDateInput(v) {
+    const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(v || ''));
+    if (!m) return NaN;
+    return Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3])) / 1000 + 86399;
+  }
+
+  function open(on) {
+    safe(() => {
+      const bar = $('replayBar');
+      if (!bar) return;
+      bar.classList.toggle('hidden', !on);
+      $('replayToggle')?.classList.toggle('active', !!on);
+      if (!on) return;
+
+      // default: half way through what is loaded
+      const input = $('replayFrom');
+      const snap = safe(() => window.ChartCore.getSnapshot());
+      const bars = snap && Array.isArray(snap.bars) ? snap.bars : [];
+      if (input && bars.length) {
+        input.min = toDateInput(bars[0].time);
+        input.max = toDateInput(bars[bars.length - 1].time);
+        if (!input.value) input.value = toDateInput(bars[Math.floor(bars.length / 2)].time);
+      }
+      sync();
+    });
+  }
+
+  function sync(st) {
+    safe(() => {
+      const R = api();
+      st = st || (R ? R.state() : null);
+      if (!st) return;
+
+      const locked = isLocked();
+      const play = $('replayPlay');
+      if (play) {
+        play.textContent = st.playing ? '❚❚' : '▶';
+        play.title = st.playing ? 'Pause · 暂停' : 'Play · 播放';
+        play.disabled = !st.on || locked;
+      }
+      const step = $('replayStep');
+      if (step) step.disabled = !st.on || st.playing || locked;
+      const start = $('replayStart');
+      if (start) start.disabled = locked;
+      const speed = $('replaySpeed');
+      if (speed && st.on) speed.value = String(st.speed);
+
+      const info = $('replayInfo');
+      if (info) {
+        info.textContent = st.on
+          ? `${st.idx + 1}/${st.total} · ${safe(() => window.DarriusChart.formatDisplayTime(st.time)) || ''}`
+          : (locked ? 'Locked · 未解锁' : 'Pick a date · 选择日期');
+      }
+      $('replayBar')?.classList.toggle('on', !!st.on);
+    });
+  }
+
+  function start() {
+    safe(() => {
+      $('replayToggle')?.addEventListener('click', () => {
+        const bar = $('replayBar');
+        const opening = !!(bar && bar.classList.contains('hidden'));
+        if (!opening) api()?.stop();
+        open(opening);
+      });
+
+      $('replayStart')?.addEventListener('click', () => {
+        const R = api();
+        if (!R || isLocked()) return;
+        R.start(fromDateInput($('replayFrom')?.value));
+      });
+
+      $('replayPlay')?.addEventListener('click', () => {
+        const R = api();
+        if (!R) return;
+        const st = R.state();
+        if (st.playing) R.pause();
+        else R.play(Number($('replaySpeed')?.value) || 1);
+      });
+
+      $('replayStep')?.addEventListener('click', () => api()?.step(1));
+
+      $('replaySpeed')?.addEventListener('change', (e) => {
+        const R = api();
+        if (R && R.state().playing) R.play(Number(e.target.value) || 1);
+      });
+
+      $('replayExit')?.addEventListener('click', () => {
+        api()?.stop();
+        open(false);
+      });
+
+      window.addEventListener('darrius:replayChanged', (e) => sync(e && e.detail));
+      store()?.subscribe('entitlement', () => {
+        if (isLocked()) api()?.pause();
+        sync();
+      }, { immediate: false });
+    });
+  }
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+  else start();
+})();
@@ -0,0 +1,258 @@
+/* signal.history.js (signal history table) v2026.10.19
+ * Every B / S / eB / eS signal of the main chart snapshot in a sortable table under the chart.
+ *
+ * - Columns: time · type · price · bars since · result since · best · worst
+ *   (stats from ChartCore.signalStats, i.e. the same numbers as the badge tooltip)
+ * - Click a header to sort (click again to flip); click a row to scroll the chart to it
+ *   and pin the badge tooltip
+ * - Follows the snapshot as published (bar replay only lists revealed signals)
+ * - Live ticks (same signals, last bar updated / one appended) only fold the new tail into
+ *   the stats and patch the cells that changed; rows are kept, so hover + scroll survive
+ *
+ * Safety:
+ * - Never throws
+ * - Read-only on chart state
+ */
+(() => {
+  'use strict';
+
+  function safe(fn) { try { return fn(); } catch { return null; } }
+  const $ = (id) => document.getElementById(id);
+
+  const COLUMNS = [
+    { key: 'time', label: 'Time · 时间' },
+    { key: 'side', label: 'Type · 类型' },
+    { key: 'price', label: 'Price · 价格' },
+    { key: 'barsSince', label: 'Bars · K线数' },
+    { key: 'ret', label: 'Result · 结果' },
+    { key: 'best', label: 'Best · 最佳' },
+    { key: 'worst', label: 'Worst · 最差' },
+  ];
+
+  const SIDE_ORDER = { B: 0, eB: 1, S: 2, eS: 3 };
+
+  const STATE = {
+    rows: [],
+    sort: { key: 'time', dir: -1 },   // newest first
+    selected: null,                   // "time|side"
+    sig: '',                          // "symbol|tf" of the rows
+    sigList: '',                      // every signal's time|side|price the rows were built from
+    len: 0,                           // bars the rows were computed over
+    lastTime: null,                   // time of the last of those bars
+    trs: new Map(),                   // "time|side" -> <tr>
+  };
+
+  const fmtPct = (v) => safe(() => window.ChartCore.fmtSignedPct(v)) || '—';
+  const fmtPx = (v) => safe(() => window.ChartCore.fmtPrice(v)) || '—';
+  const rowId = (r) => `${r.time}|${r.side}`;
+
+  function fmtTime(t) {
+    return safe(() => window.DarriusChart.formatDisplayTime(t)) || String(t);
+  }
+
+  function sortRows(rows) {
+    const { key, dir } = STATE.sort;
+    const val = (r) => key === 'side' ? SIDE_ORDER[r.side] : r[key];
+    return rows.slice().sort((a, b) => {
+      const va = val(a), vb = val(b);
+      // empty values always last
+      if (va == null && vb == null) return 0;
+      if (va == null) return 1;
+      if (vb == null) return -1;
+      return (va - vb) * dir || (b.time - a.time);
+    });
+  }
+
+  function renderHead() {
+    safe(() => {
+      const tr = document.querySelector('#sigHistTable thead tr');
+      if (!tr) return;
+      tr.innerHTML = '';
+      for (const c of COLUMNS) {
+        const th = document.createElement('th');
+        th.dataset.sort = c.key;
+        th.textContent = c.label + (STATE.sort.key === c.key ? (STATE.sort.dir > 0 ? ' ▲' : ' ▼') : '');
+        tr.appendChild(th);
+      }
+    });
+  }
+
+  // -------- table (rows are kept and patched, never rebuilt per tick) --------
+  // [text, className] per column; the type column is built once (see buildRow)
+  function cells(r) {
+    const cls = (v) => (v == null ? '' : v >= 0 ? 'up' : 'down');
+    return [
+      [fmtTime(r.time), ''],
+      null,
+      [fmtPx(r.price), ''],
+      [String(r.barsSince), ''],
+      [fmtPct(r.ret), cls(r.ret)],
+      [fmtPct(r.best), 'up'],
+      [fmtPct(r.worst), 'down'],
+    ];
+  }
+
+  function buildRow(r) {
+    const tr = document.createElement('tr');
+    tr.dataset.time = String(r.time);
+    tr.dataset.side = r.side;
+    tr.title = r.label;
+    for (let i = 0; i < COLUMNS.length; i++) tr.appendChild(document.createElement('td'));
+    const side = document.createElement('span');
+    side.className = 'sigSide' + (r.isMain ? ' main' : '');
+    side.textContent = r.side;
+    tr.children[1].appendChild(side);
+    return tr;
+  }
+
+  function paintRow(tr, r) {
+    const cls = (r.isBuy ? 'buy' : 'sell') + (rowId(r) === STATE.selected ? ' active' : '');
+    if (tr.className !== cls) tr.className = cls;
+    cells(r).forEach((c, i) => {
+      if (!c) return;
+      const td = tr.children[i];
+      if (td.textContent !== c[0]) td.textContent = c[0];
+      if (td.className !== c[1]) td.className = c[1];
+    });
+  }
+
+  function render() {
+    safe(() => {
+      const body = $('sigHistBody');
+      if (!body) return;
+
+      if (!STATE.rows.length) {
+        STATE.trs.clear();
+        body.innerHTML = `<tr><td colspan="${COLUMNS.length}" class="empty">No signals · 暂无信号</td></tr>`;
+      } else {
+        if (!STATE.trs.size) body.innerHTML = '';
+
+        const sorted = sortRows(STATE.rows);
+        const keep = new Set();
+        for (const r of sorted) {
+          const id = rowId(r);
+          keep.add(id);
+          let tr = STATE.trs.get(id);
+          if (!tr) {
+            tr = buildRow(r);
+            STATE.trs.set(id, tr);
+          }
+          paintRow(tr, r);
+        }
+        for (const [id, tr] of Array.from(STATE.trs)) {
+          if (keep.has(id)) continue;
+          tr.remove();
+          STATE.trs.delete(id);
+        }
+
+        // move only rows that are out of place
+        let at = body.firstChild;
+        for (const r of sorted) {
+          const tr = STATE.trs.get(rowId(r));
+          if (tr === at) at = at.nextSibling;
+          else body.insertBefore(tr, at);
+        }
+      }
+
+      const count = $('sigHistCount');
+      if (count) {
+        const hits = STATE.rows.filter(r => r.ret != null);
+        const wins = hits.filter(r => r.ret > 0).length;
+        const text = STATE.rows.length
+          ? `${STATE.rows.length} · ${hits.length ? Math.round((wins / hits.length) * 100) : 0}% positive`
+          : '';
+        if (count.textContent !== text) count.textContent = text;
+      }
+    });
+  }
+
+  // -------- stats --------
+  // bars = previous bars with the last one updated and / or new ones appended: fold only
+  // bars[len - 1 ..] into the rows (a live bar's high / low only ever widen, so best / worst
+  // stay a running max / min)
+  function foldTail(CC, bars) {
+    const from = STATE.len - 1;
+    const tail = bars.slice(from);
+    const prevLast = Number(bars[from].time);
+    const fresh = CC.signalStats(STATE.rows.map(r => ({ time: r.time, side: r.side, price: r.price })), tail);
+    const max = (a, b) => (a == null ? b : b == null ? a : Math.max(a, b));
+    const min = (a, b) => (a == null ? b : b == null ? a : Math.min(a, b));
+
+    STATE.rows = STATE.rows.map((r, i) => {
+      const t = fresh[i];
+      if (!t || t.time !== r.time || t.side !== r.side || r.price == null) return r;
+      return Object.assign({}, t, {
+        barsSince: r.barsSince - (prevLast > r.time ? 1 : 0) + t.barsSince,
+        best: max(r.best, t.best),
+        worst: min(r.worst, t.worst),
+      });
+    });
+  }
+
+  function onChartUpdated(e) {
+    const snap = e && e.detail;
+    if (!snap || !Array.isArray(snap.bars)) return;
+    const CC = window.ChartCore;
+    if (!CC || typeof CC.signalStats !== 'function') return;
+
+    const bars = snap.bars;
+    const sig = `${snap.symbol}|${snap.tf}`;
+    const sigList = (snap.signals || []).map(s => `${s?.time}|${s?.side}|${s?.price}`).join(',');
+    // only a live tick on the same signals folds; any other snapshot (cache -> fresh, a
+    // repainted signal, history) is recomputed
+    const tailOnly = snap.live && sig === STATE.sig && sigList === STATE.sigList && STATE.len > 0 &&
+      (bars.length === STATE.len || bars.length === STATE.len + 1) &&
+      Number(bars[STATE.len - 1].time) === STATE.lastTime;
+
+    if (tailOnly) {
+      foldTail(CC, bars);
+    } else {
+      STATE.rows = CC.signalStats(snap.signals || [], bars);
+      // new symbol / TF or the selected signal is gone: drop the selection
+      if (sig !== STATE.sig || !STATE.rows.some(r => rowId(r) === STATE.selected)) STATE.selected = null;
+      STATE.sig = sig;
+      STATE.sigList = sigList;
+    }
+
+    STATE.len = bars.length;
+    STATE.lastTime = bars.length ? Number(bars[bars.length - 1].time) : null;
+    render();
+  }
+
+  function start() {
+    renderHead();
+    render();
+
+    safe(() => {
+      document.querySelector('#sigHistTable thead')?.addEventListener('click', (e) => {
+        const th = e.target.closest('th[data-sort]');
+        if (!th) return;
+        const key = th.dataset.sort;
+        STATE.sort = STATE.sort.key === key
+          ? { key, dir: -STATE.sort.dir }
+          : { key, dir: key === 'time' ? -1 : 1 };
+        renderHead();
+        render();
+      });
+
+      $('sigHistBody')?.addEventListener('click', (e) => {
+        const tr = e.target.closest('tr[data-time]');
+        if (!tr) return;
+        STATE.selected = `${tr.dataset.time}|${tr.dataset.side}`;
+        safe(() => window.ChartCore.scrollToTime(Number(tr.dataset.time), tr.dataset.side));
+        document.querySelectorAll('#sigHistBody tr').forEach(r => r.classList.toggle('active', r === tr));
+      });
+
+      window.addEventListener('darrius:chartUpdated', onChartUpdated);
+      window.addEventListener('darrius:displayChanged', render);
+    });
+  }
+
+  window.SignalHistory = {
+    rows: () => sortRows(STATE.rows),
+    sort: (key, dir) => { STATE.sort = { key, dir: dir < 0 ? -1 : 1 }; renderHead(); render(); },
+  };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+  else start();
+})();
@@ -0,0 +1,226 @@
+/* snapshot.cache.js (IndexedDB snapshot cache) v2026.10.19
+ * Client-side cache for /api/market/snapshot responses.
+ *
+ * - Keyed by symbol|tf|source
+ * - ChartCore renders a cached snapshot instantly, then revalidates
+ *   in the background (stale-while-revalidate)
+ * - Evicts by age (maxAgeMs) and total size (maxBytes), oldest first
+ * - Hit/miss stats shown in the admin #diagCard (?admin=1)
+ *
+ * Safety:
+ * - Never throws (every call resolves; null on miss/failure)
+ * - Falls back to "no cache" when IndexedDB is unavailable (private mode etc.)
+ */
+(() => {
+  'use strict';
+
+  function safe(fn) { try { return fn(); } catch { return null; } }
+  const $ = (id) => document.getElementById(id);
+
+  const CFG = {
+    dbName: 'darrius_cache',
+    dbVersion: 1,
+    store: 'snapshots',
+    maxAgeMs: 7 * 24 * 3600 * 1000,
+    maxBytes: 25 * 1024 * 1024,
+    maxEntries: 120,
+  };
+
+  const STATS = {
+    hits: 0,
+    misses: 0,
+    writes: 0,
+    evictions: 0,
+    errors: 0,
+    entries: 0,
+    bytes: 0,
+  };
+
+  let dbPromise = null;
+
+  function openDB() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve) => {
+      if (!window.indexedDB) { resolve(null); return; }
+
+      const req = safe(() => window.indexedDB.open(CFG.dbName, CFG.dbVersion));
+      if (!req) { resolve(null); return; }
+
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(CFG.store)) {
+          const st = db.createObjectStore(CFG.store, { keyPath: 'key' });
+          st.createIndex('ts', 'ts');
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { STATS.errors++; resolve(null); };
+      req.onblocked = () => resolve(null);
+    });
+
+    return dbPromise;
+  }
+
+  function reqToPromise(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function makeKey(symbol, tf, source) {
+    return [String(symbol || '').toUpperCase(), String(tf || ''), String(source || 'default')].join('|');
+  }
+
+  async function get(key) {
+    try {
+      const db = await openDB();
+      if (!db) { STATS.misses++; renderStats(); return null; }
+
+      const tx = db.transaction(CFG.store, 'readonly');
+      const row = await reqToPromise(tx.objectStore(CFG.store).get(key));
+
+      const ageMs = row ? Date.now() - Number(row.ts || 0) : Infinity;
+      if (!row || ageMs > CFG.maxAgeMs) {
+        STATS.misses++;
+        if (row) remove(key);
+        renderStats();
+        return null;
+      }
+
+      STATS.hits++;
+      renderStats();
+      return { raw: row.raw, ts: row.ts, ageMs };
+    } catch (e) {
+      STATS.errors++;
+      STATS.misses++;
+      renderStats();
+      return null;
+    }
+  }
+
+  async function put(key, raw) {
+    try {
+      const db = await openDB();
+      if (!db) return false;
+
+      const size = (safe(() => JSON.stringify(raw)) || '').length * 2; // UTF-16 estimate
+      if (!size || size > CFG.maxBytes) return false;
+
+      const tx = db.transaction(CFG.store, 'readwrite');
+      await reqToPromise(tx.objectStore(CFG.store).put({ key, ts: Date.now(), size, raw }));
+      STATS.writes++;
+
+      await evict();
+      return true;
+    } catch (e) {
+      STATS.errors++;
+      renderStats();
+      return false;
+    }
+  }
+
+  async function remove(key) {
+    try {
+      const db = await openDB();
+      if (!db) return;
+      const tx = db.transaction(CFG.store, 'readwrite');
+      await reqToPromise(tx.objectStore(CFG.store).delete(key));
+    } catch (e) {
+      STATS.errors++;
+    }
+  }
+
+  // walk newest -> oldest; drop anything past age / size / count budget
+  async function evict() {
+    const db = await openDB();
+    if (!db) return;
+
+    await new Promise((resolve) => {
+      const tx = db.transaction(CFG.store, 'readwrite');
+      const cur = tx.objectStore(CFG.store).index('ts').openCursor(null, 'prev');
+      const now = Date.now();
+      let bytes = 0, entries = 0;
+
+      cur.onsuccess = () => {
+        const c = cur.result;
+        if (!c) return;
+
+        const row = c.value;
+        const size = Number(row.size || 0);
+        const tooOld = now - Number(row.ts || 0) > CFG.maxAgeMs;
+
+        if (tooOld || bytes + size > CFG.maxBytes || entries >= CFG.maxEntries) {
+          c.delete();
+          STATS.evictions++;
+        } else {
+          bytes += size;
+          entries++;
+        }
+        c.continue();
+      };
+
+      tx.oncomplete = () => {
+        STATS.bytes = bytes;
+        STATS.entries = entries;
+        renderStats();
+        resolve();
+      };
+      tx.onerror = () => { STATS.errors++; resolve(); };
+      tx.onabort = () => resolve();
+    });
+  }
+
+  async function clear() {
+    try {
+      const db = await openDB();
+      if (db) {
+        const tx = db.transaction(CFG.store, 'readwrite');
+        await reqToPromise(tx.objectStore(CFG.store).clear());
+      }
+    } catch (e) {
+      STATS.errors++;
+    }
+    STATS.entries = 0;
+    STATS.bytes = 0;
+    renderStats();
+  }
+
+  function stats() {
+    const total = STATS.hits + STATS.misses;
+    return Object.assign({}, STATS, { hitRate: total ? STATS.hits / total : 0 });
+  }
+
+  // -------- admin diag --------
+  function renderStats() {
+    safe(() => {
+      const el = $('diagCacheStats');
+      if (!el) return;
+      const s = stats();
+      el.textContent =
+        `hits ${s.hits} · misses ${s.misses} · hit rate ${(s.hitRate * 100).toFixed(0)}%\n` +
+        `entries ${s.entries} · ${(s.bytes / 1024 / 1024).toFixed(2)} MB · writes ${s.writes} · evicted ${s.evictions}` +
+        (s.errors ? ` · errors ${s.errors}` : '');
+    });
+  }
+
+  function start() {
+    safe(() => {
+      const btn = $('diagCacheClear');
+      if (btn && !btn.__cacheBound) {
+        btn.__cacheBound = true;
+        btn.addEventListener('click', () => clear());
+      }
+    });
+
+    // populate entries/bytes once so the card is not empty before first write
+    openDB().then((db) => { if (db) evict(); });
+    renderStats();
+  }
+
+  window.SnapshotCache = { makeKey, get, put, remove, clear, stats, CFG };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+  else start();
+})();
@@ -7,6 +7,11 @@
  * - Portal: POST /api/billing/portal { user_id? , email? }
  * - Checkout: POST /billing/create-checkout-session  (keep your existing flow)
  *
+ * Shared state (js/darrius.store.js):
+ *  - Reads identity { userId, email } (boot.js fills it from the inputs) and refreshes on change
+ *  - Writes entitlement { known, entitled, status, bucket, plan } after every status answer
+ *    (upgrade.guard.js + the gate enforcer lock / unlock from it; no DOM text reading)
+ *
  * Guarantees:
  *  - NO secrets on frontend
  *  - Safe defaults & graceful fallbacks
@@ -19,6 +24,7 @@
   // DOM helpers
   // -----------------------------
   function $(id) { return document.getElementById(id); }
+  function store() { return window.DarriusStore || null; }
 
   function isAdmin() {
     try {
@@ -422,14 +428,14 @@
   }
 
   async function refreshSubscriptionStatus() {
-    const user_id = (($(IDS.userId) && $(IDS.userId).value) || "").trim();
-    const email = normEmail((($(IDS.email) && $(IDS.email).value) || ""));
+    const { user_id, email } = readIdentity();
     const manageBtn = $(IDS.manageBtn);
 
     // For this new policy: email is strongly recommended/required for full UX
     if (!user_id && !email) {
       setSubStatusText("DEMO · please input User ID + Email");
       if (manageBtn) manageBtn.disabled = true;
+      setEntitlement({ known: true, entitled: false, status: "demo", bucket: "DEMO" });
       return;
     }
 
@@ -443,7 +449,12 @@
         : `?user_id=${encodeURIComponent(user_id)}`;
 
       const policy = await apiGet(`/api/subscription/status${qs}`);
+      // answer for an identity that is no longer in the inputs
+      const now = readIdentity();
+      if (now.user_id !== user_id || now.email !== email) return;
+
       applyPolicyToStatusText(policy, user_id, email);
+      setEntitlement(entitlementFromPolicy(policy));
 
       // Dispatch event for other modules (keep)
       try {
@@ -452,11 +463,39 @@
 
       if (isAdmin()) log(`✅ policy: ${JSON.stringify({ bucket: policy.bucket, has_access: policy.has_access, plan_key: policy.plan_key, data_mode: policy.data_mode })}`);
     } catch (e) {
+      // entitlement left as it was: a failed check neither grants nor revokes access
       setSubStatusText("UNKNOWN · status endpoint unavailable");
       if (isAdmin()) log(`⚠️ status endpoint issue: ${e.message}`);
     }
   }
 
+  // ACTIVE / TRIAL bucket, backend has_access or a live Stripe status = entitled
+  function entitlementFromPolicy(policy) {
+    const bucket = String(policy?.bucket || "").toUpperCase();
+    const stripeStatus = String(policy?.stripe_status || "").toLowerCase();
+    return {
+      known: true,
+      entitled: policy?.has_access === true || bucket === "ACTIVE" || bucket === "TRIAL" ||
+        stripeStatus === "active" || stripeStatus === "trialing",
+      status: stripeStatus || bucket.toLowerCase(),
+      bucket,
+      plan: String(policy?.plan_key || ""),
+    };
+  }
+
+  function setEntitlement(ent) {
+    try { if (store()) store().set("entitlement", ent); } catch (_) {}
+  }
+
+  function readIdentity() {
+    const id = store() ? store().get("identity") : null;
+    if (id) return { user_id: id.userId, email: normEmail(id.email) };
+    return {
+      user_id: (($(IDS.userId) && $(IDS.userId).value) || "").trim(),
+      email: normEmail((($(IDS.email) && $(IDS.email).value) || "")),
+    };
+  }
+
   function scheduleRefreshStatus() {
     window.clearTimeout(_subStatusTimer);
     _subStatusTimer = window.setTimeout(refreshSubscriptionStatus, 420);
@@ -511,11 +550,15 @@
     const m = $(IDS.manageBtn);
     if (m) m.onclick = openCustomerPortal;
 
-    // refresh on input
-    $(IDS.userId)?.addEventListener("input", scheduleRefreshStatus);
-    $(IDS.userId)?.addEventListener("change", scheduleRefreshStatus);
-    $(IDS.email)?.addEventListener("input", scheduleRefreshStatus);
-    $(IDS.email)?.addEventListener("change", scheduleRefreshStatus);
+    // refresh when the identity changes (store), else on input
+    if (store()) {
+      store().subscribe("identity", scheduleRefreshStatus, { immediate: false });
+    } else {
+      $(IDS.userId)?.addEventListener("input", scheduleRefreshStatus);
+      $(IDS.userId)?.addEventListener("change", scheduleRefreshStatus);
+      $(IDS.email)?.addEventListener("input", scheduleRefreshStatus);
+      $(IDS.email)?.addEventListener("change", scheduleRefreshStatus);
+    }
 
     refreshSubscriptionStatus();
   }
@@ -0,0 +1,356 @@
+/* symbol.search.js (symbol autocomplete + validation) v2026.10.19
+ * Dropdown under #symbol with name / exchange / asset class and recent symbols.
+ *
+ * - Remote: GET /api/market/symbols?q=&limit= -> { ok, symbols:[{symbol,name,exchange,type}] }
+ * - Offline: bundled BUNDLED list (used when the endpoint is down or slow)
+ * - Keyboard: ↑/↓ move, Enter pick (or load), Esc close
+ * - resolve(sym) validates before ChartCore.load() (boot.js) so typos never reach
+ *   the snapshot endpoint; an unreachable symbols endpoint never blocks loading
+ * - Recent list follows the DarriusStore symbol key (darrius.store.js)
+ *
+ * Safety:
+ * - Never throws
+ * - UI-only; entitlement locking still applies (disabled input = no dropdown)
+ */
+(() => {
+  'use strict';
+
+  function safe(fn) { try { return fn(); } catch { return null; } }
+  const store = () => window.DarriusStore || null;
+  const $ = (id) => document.getElementById(id);
+
+  const API_BASE = (window.API_BASE || 'https://darrius-api.onrender.com').replace(/\/+$/, '');
+
+  const CFG = {
+    inputIds: ['symbol', 'symbo1'],
+    endpoint: '/api/market/symbols',
+    limit: 12,
+    debounceMs: 180,
+    timeoutMs: 2500,
+    recentKey: 'darrius_recent_symbols',
+    recentMax: 8,
+  };
+
+  const CLASS_LABEL = { stock: 'Stock', etf: 'ETF', crypto: 'Crypto', forex: 'Forex', index: 'Index' };
+
+  // symbol, name, exchange, asset class
+  const BUNDLED = [
+    ['TSLA', 'Tesla Inc', 'NASDAQ', 'stock'],
+    ['AAPL', 'Apple Inc', 'NASDAQ', 'stock'],
+    ['MSFT', 'Microsoft Corp', 'NASDAQ', 'stock'],
+    ['NVDA', 'NVIDIA Corp', 'NASDAQ', 'stock'],
+    ['AMZN', 'Amazon.com Inc', 'NASDAQ', 'stock'],
+    ['GOOGL', 'Alphabet Inc Class A', 'NASDAQ', 'stock'],
+    ['GOOG', 'Alphabet Inc Class C', 'NASDAQ', 'stock'],
+    ['META', 'Meta Platforms Inc', 'NASDAQ', 'stock'],
+    ['NFLX', 'Netflix Inc', 'NASDAQ', 'stock'],
+    ['AMD', 'Advanced Micro Devices', 'NASDAQ', 'stock'],
+    ['INTC', 'Intel Corp', 'NASDAQ', 'stock'],
+    ['AVGO', 'Broadcom Inc', 'NASDAQ', 'stock'],
+    ['PLTR', 'Palantir Technologies', 'NASDAQ', 'stock'],
+    ['COIN', 'Coinbase Global', 'NASDAQ', 'stock'],
+    ['MSTR', 'MicroStrategy Inc', 'NASDAQ', 'stock'],
+    ['SMCI', 'Super Micro Computer', 'NASDAQ', 'stock'],
+    ['BABA', 'Alibaba Group ADR', 'NYSE', 'stock'],
+    ['NIO', 'NIO Inc ADR', 'NYSE', 'stock'],
+    ['JPM', 'JPMorgan Chase & Co', 'NYSE', 'stock'],
+    ['BAC', 'Bank of America', 'NYSE', 'stock'],
+    ['XOM', 'Exxon Mobil', 'NYSE', 'stock'],
+    ['BRK.B', 'Berkshire Hathaway B', 'NYSE', 'stock'],
+    ['V', 'Visa Inc', 'NYSE', 'stock'],
+    ['DIS', 'Walt Disney Co', 'NYSE', 'stock'],
+    ['SPY', 'SPDR S&P 500 ETF', 'NYSE Arca', 'etf'],
+    ['QQQ', 'Invesco QQQ Trust', 'NASDAQ', 'etf'],
+    ['DIA', 'SPDR Dow Jones ETF', 'NYSE Arca', 'etf'],
+    ['IWM', 'iShares Russell 2000 ETF', 'NYSE Arca', 'etf'],
+    ['TLT', 'iShares 20+ Yr Treasury ETF', 'NASDAQ', 'etf'],
+    ['GLD', 'SPDR Gold Shares', 'NYSE Arca', 'etf'],
+    ['SOXL', 'Direxion Semi Bull 3X', 'NYSE Arca', 'etf'],
+    ['TQQQ', 'ProShares UltraPro QQQ', 'NASDAQ', 'etf'],
+    ['ARKK', 'ARK Innovation ETF', 'NYSE Arca', 'etf'],
+    ['BTC/USD', 'Bitcoin', 'Crypto', 'crypto'],
+    ['ETH/USD', 'Ethereum', 'Crypto', 'crypto'],
+    ['SOL/USD', 'Solana', 'Crypto', 'crypto'],
+    ['XRP/USD', 'XRP', 'Crypto', 'crypto'],
+    ['DOGE/USD', 'Dogecoin', 'Crypto', 'crypto'],
+    ['BNB/USD', 'BNB', 'Crypto', 'crypto'],
+    ['EUR/USD', 'Euro / US Dollar', 'Forex', 'forex'],
+    ['GBP/USD', 'British Pound / US Dollar', 'Forex', 'forex'],
+    ['USD/JPY', 'US Dollar / Japanese Yen', 'Forex', 'forex'],
+    ['AUD/USD', 'Australian Dollar / US Dollar', 'Forex', 'forex'],
+    ['USD/CAD', 'US Dollar / Canadian Dollar', 'Forex', 'forex'],
+    ['USD/CNH', 'US Dollar / Offshore Yuan', 'Forex', 'forex'],
+    ['XAU/USD', 'Gold Spot', 'Forex', 'forex'],
+    ['XAG/USD', 'Silver Spot', 'Forex', 'forex'],
+  ].map(([symbol, name, exchange, type]) => ({ symbol, name, exchange, type }));
+
+  const STATE = {
+    input: null,
+    box: null,
+    items: [],
+    active: -1,
+    timer: null,
+    seq: 0,
+    known: new Map(),      // SYMBOL -> meta
+    remoteDown: false,
+  };
+
+  BUNDLED.forEach(m => STATE.known.set(m.symbol, m));
+
+  // -------- helpers --------
+  function norm(s) { return String(s || '').trim().toUpperCase(); }
+
+  function normType(t) {
+    const v = String(t || '').toLowerCase();
+    if (v.includes('crypto') || v.includes('digital')) return 'crypto';
+    if (v.includes('forex') || v.includes('physical currency') || v === 'fx') return 'forex';
+    if (v.includes('etf') || v.includes('fund')) return 'etf';
+    if (v.includes('index')) return 'index';
+    return 'stock';
+  }
+
+  function toMeta(x) {
+    const symbol = norm(x?.symbol || x?.ticker);
+    if (!symbol) return null;
+    return {
+      symbol,
+      name: String(x?.name || x?.instrument_name || ''),
+      exchange: String(x?.exchange || x?.mic || ''),
+      type: normType(x?.type || x?.instrument_type || x?.asset_class),
+    };
+  }
+
+  function validFormat(sym) {
+    return /^[A-Z0-9][A-Z0-9.\-/=^:]{0,19}$/.test(sym);
+  }
+
+  function score(m, q) {
+    if (!q) return 0;
+    if (m.symbol === q) return 100;
+    if (m.symbol.startsWith(q)) return 80 - m.symbol.length;
+    if (m.symbol.replace('/', '').startsWith(q.replace('/', ''))) return 70;
+    if (m.name.toUpperCase().startsWith(q)) return 50;
+    if (m.name.toUpperCase().includes(q)) return 30;
+    return -1;
+  }
+
+  function searchLocal(q) {
+    return Array.from(STATE.known.values())
+      .map(m => ({ m, s: score(m, q) }))
+      .filter(x => x.s >= 0)
+      .sort((a, b) => b.s - a.s)
+      .slice(0, CFG.limit)
+      .map(x => x.m);
+  }
+
+  // plain Levenshtein; inputs are short tickers
+  function editDistance(a, b) {
+    const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        dp[i][j] = Math.min(dp[i - 1][j] + 1, dp[i][j - 1] + 1, dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      }
+    }
+    return dp[a.length][b.length];
+  }
+
+  function suggest(q) {
+    return Array.from(STATE.known.keys())
+      .map(s => ({ s, d: editDistance(q, s) }))
+      .filter(x => x.d <= 2)
+      .sort((a, b) => a.d - b.d)
+      .slice(0, 3)
+      .map(x => x.s);
+  }
+
+  // -------- recent --------
+  function getRecent() {
+    const arr = safe(() => JSON.parse(localStorage.getItem(CFG.recentKey) || '[]')) || [];
+    return Array.isArray(arr) ? arr.filter(s => typeof s === 'string' && s) : [];
+  }
+
+  function pushRecent(sym) {
+    sym = norm(sym);
+    if (!sym) return;
+    const arr = [sym].concat(getRecent().filter(s => s !== sym)).slice(0, CFG.recentMax);
+    safe(() => localStorage.setItem(CFG.recentKey, JSON.stringify(arr)));
+  }
+
+  // -------- remote --------
+  async function searchRemote(q) {
+    const ctl = typeof AbortController === 'function' ? new AbortController() : null;
+    const to = setTimeout(() => ctl && ctl.abort(), CFG.timeoutMs);
+    try {
+      const url = `${API_BASE}${CFG.endpoint}?q=${encodeURIComponent(q)}&limit=${CFG.limit}`;
+      const resp = await fetch(url, { method: 'GET', mode: 'cors', signal: ctl ? ctl.signal : undefined });
+      if (!resp.ok) throw new Error(`symbols_http_${resp.status}`);
+      const j = await resp.json();
+      const list = Array.isArray(j) ? j : (j.symbols || j.data || j.results || []);
+      const out = list.map(toMeta).filter(Boolean);
+      out.forEach(m => STATE.known.set(m.symbol, Object.assign({}, STATE.known.get(m.symbol) || {}, m)));
+      STATE.remoteDown = false;
+      return out;
+    } catch (e) {
+      STATE.remoteDown = true;
+      return null;
+    } finally {
+      clearTimeout(to);
+    }
+  }
+
+  // -------- dropdown --------
+  function ensureBox() {
+    if (STATE.box) return STATE.box;
+    const box = document.createElement('div');
+    box.className = 'symDrop hidden';
+    box.setAttribute('role', 'listbox');
+    STATE.input.parentNode.style.position = 'relative';
+    STATE.input.parentNode.appendChild(box);
+    box.addEventListener('mousedown', (e) => {
+      const row = e.target.closest ? e.target.closest('.symRow') : null;
+      if (!row) return;
+      e.preventDefault();
+      pick(Number(row.dataset.idx));
+    });
+    STATE.box = box;
+    return box;
+  }
+
+  function close() {
+    if (STATE.box) STATE.box.classList.add('hidden');
+    STATE.items = [];
+    STATE.active = -1;
+  }
+
+  function render(items, title) {
+    const box = ensureBox();
+    STATE.items = items;
+    STATE.active = items.length ? 0 : -1;
+    box.innerHTML = '';
+
+    if (title) {
+      const h = document.createElement('div');
+      h.className = 'symHead';
+      h.textContent = title;
+      box.appendChild(h);
+    }
+
+    items.forEach((m, i) => {
+      const row = document.createElement('div');
+      row.className = 'symRow' + (i === STATE.active ? ' active' : '');
+      row.dataset.idx = String(i);
+      row.setAttribute('role', 'option');
+
+      const a = document.createElement('b');
+      a.textContent = m.symbol;
+      const n = document.createElement('span');
+      n.className = 'symName';
+      n.textContent = m.name || '';
+      const x = document.createElement('span');
+      x.className = 'symMeta';
+      x.textContent = [m.exchange, CLASS_LABEL[m.type] || ''].filter(Boolean).join(' · ');
+
+      row.appendChild(a);
+      row.appendChild(n);
+      row.appendChild(x);
+      box.appendChild(row);
+    });
+
+    box.classList.toggle('hidden', !items.length);
+  }
+
+  function highlight(i) {
+    if (!STATE.items.length || !STATE.box) return;
+    STATE.active = (i + STATE.items.length) % STATE.items.length;
+    STATE.box.querySelectorAll('.symRow').forEach((r, k) => r.classList.toggle('active', k === STATE.active));
+  }
+
+  function pick(i) {
+    const m = STATE.items[i];
+    if (!m) return;
+    STATE.input.value = m.symbol;
+    close();
+    safe(() => $('loadBtn')?.click());
+  }
+
+  function showRecent() {
+    const rec = getRecent().map(s => STATE.known.get(s) || { symbol: s, name: '', exchange: '', type: '' });
+    render(rec, rec.length ? 'Recent · 最近使用' : '');
+  }
+
+  function onInput() {
+    const q = norm(STATE.input.value);
+    clearTimeout(STATE.timer);
+    if (!q) { showRecent(); return; }
+
+    render(searchLocal(q));
+
+    const seq = ++STATE.seq;
+    STATE.timer = setTimeout(async () => {
+      const remote = await searchRemote(q);
+      if (seq !== STATE.seq || !remote) return;
+      render(searchLocal(q));
+    }, CFG.debounceMs);
+  }
+
+  function onKey(e) {
+    const open = STATE.box && !STATE.box.classList.contains('hidden') && STATE.items.length;
+    if (e.key === 'ArrowDown') { e.preventDefault(); if (open) highlight(STATE.active + 1); else onInput(); }
+    else if (e.key === 'ArrowUp') { e.preventDefault(); if (open) highlight(STATE.active - 1); }
+    else if (e.key === 'Escape') { close(); }
+    else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (open && STATE.active >= 0) pick(STATE.active);
+      else { close(); safe(() => $('loadBtn')?.click()); }
+    }
+  }
+
+  // -------- validation --------
+  // -> { ok:true, symbol, meta } | { ok:false, message }
+  async function resolve(input) {
+    const sym = norm(input);
+    if (!sym) return { ok: false, message: 'Enter a symbol · 请输入品种代码' };
+    if (!validFormat(sym)) return { ok: false, message: `Invalid symbol "${sym}" · 品种代码格式错误` };
+
+    if (STATE.known.has(sym)) return { ok: true, symbol: sym, meta: STATE.known.get(sym) };
+    if (getRecent().includes(sym)) return { ok: true, symbol: sym, meta: null };
+
+    const remote = await searchRemote(sym);
+    if (remote === null) return { ok: true, symbol: sym, meta: null }; // endpoint down: let backend decide
+    const hit = remote.find(m => m.symbol === sym);
+    if (hit) return { ok: true, symbol: sym, meta: hit };
+
+    const alt = suggest(sym);
+    return {
+      ok: false,
+      message: `Unknown symbol "${sym}"` + (alt.length ? ` · did you mean ${alt.join(' / ')}?` : '') + ' · 未找到该品种',
+    };
+  }
+
+  function getMeta(sym) {
+    return STATE.known.get(norm(sym)) || null;
+  }
+
+  function start() {
+    STATE.input = CFG.inputIds.map($).find(Boolean) || null;
+    if (!STATE.input) return;
+
+    STATE.input.setAttribute('autocomplete', 'off');
+    STATE.input.setAttribute('spellcheck', 'false');
+    STATE.input.addEventListener('focus', onInput);
+    STATE.input.addEventListener('input', onInput);
+    STATE.input.addEventListener('keydown', onKey);
+    STATE.input.addEventListener('blur', () => setTimeout(close, 120));
+
+    // recent = symbols the main chart started loading (DarriusStore symbol), not every stream tick
+    safe(() => {
+      store()?.subscribe('symbol', (sym) => { if (sym) pushRecent(sym); });
+    });
+  }
+
+  window.SymbolSearch = { resolve, getMeta, getRecent, search: searchLocal, BUNDLED };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+  else start();
+})();
@@ -1,7 +1,8 @@
 /* upgrade.guard.js (UNLOCK FIX) v2026.02.05
  * Purpose:
  *  - Gate symbol/timeframe/load for non-entitled users
- *  - MUST unlock for ACTIVE / TRIAL users (based on DOM status)
+ *  - MUST unlock for ACTIVE / TRIAL users (DarriusStore entitlement, written by subscription.js)
+ *  - Locked until the first status answer; follows every later change (other user, expiry)
  *
  * Safety:
  *  - Never throws
@@ -14,17 +15,6 @@
 
   function $(id){ return document.getElementById(id); }
 
-  function txt(id){
-    const el = $(id);
-    return (el && el.textContent) ? String(el.textContent).toLowerCase() : '';
-  }
-
-  function domSaysEntitled(){
-    const t = (txt('subStatusText') + ' ' + txt('planStatus'));
-    // 支持各种显示文案
-    return t.includes('active') || t.includes('trial');
-  }
-
   function setDisabled(id, disabled){
     const el = $(id);
     if (!el) return;
@@ -65,9 +55,7 @@
     // 给用户提示（如果页面有提示区，最好；没有也不报错）
     safe(() => {
       const hint = $('hintText');
-      if (hint && !domSaysEntitled()){
-        hint.textContent = 'Locked: subscribe to unlock Symbol/Timeframe.';
-      }
+      if (hint) hint.textContent = 'Locked: subscribe to unlock Symbol/Timeframe.';
     });
   }
 
@@ -93,23 +81,17 @@
     });
   }
 
-  function evaluate(){
-    const ok = domSaysEntitled();
+  let last = null;
+  function evaluate(ent){
+    const ok = !!(ent && ent.entitled);
+    if (ok === last) return;
+    last = ok;
     if (ok) unlockUI();
     else lockUI();
-    return ok;
   }
 
-  // 立即执行一次（页面加载时先锁/先解锁）
-  safe(evaluate);
-
-  // 复查（因为 subStatusText/planStatus 是异步填充）
-  let tries = 0;
-  const timer = setInterval(() => {
-    tries += 1;
-    const ok = safe(evaluate);
-    if (ok) clearInterval(timer);       // 一旦解锁成功就停，避免后续覆盖回锁
-    if (tries >= 120) clearInterval(timer); // 30s
-  }, 250);
+  // 立即执行一次（页面加载时先锁），之后随 entitlement 变化（subscription.js 写入）
+  if (window.DarriusStore) window.DarriusStore.subscribe('entitlement', (ent) => safe(() => evaluate(ent)));
+  else safe(() => evaluate(null));
 
 })();
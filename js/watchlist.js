@@ -0,0 +1,344 @@
+/* watchlist.js (watchlist sidebar) v2026.10.19
+ * Persistent symbol list in the left panel (#watchCard).
+ *
+ * - Row: symbol · last · % change · sparkline · pulse score/label
+ *   (score from window.MarketPulse, i.e. the same derivePulseScore/scoreToLabel as the gauge)
+ * - Refreshed in small batches (CFG.batchSize at a time, CFG.batchGapMs apart)
+ * - Click a row -> main chart loads it (through #loadBtn, so symbol validation applies)
+ * - CSV import/export (first column = symbol; header row optional)
+ *
+ * Safety:
+ * - Never throws
+ * - No refresh while not entitled (DarriusStore entitlement)
+ * - Pauses while the tab is hidden
+ */
+(() => {
+  'use strict';
+
+  function safe(fn) { try { return fn(); } catch { return null; } }
+  const $ = (id) => document.getElementById(id);
+  const store = () => window.DarriusStore || null;
+
+  const CFG = {
+    storageKey: 'darrius_watchlist_v1',
+    defaults: ['TSLA', 'AAPL', 'NVDA', 'SPY', 'BTC/USD'],
+    maxItems: 50,
+    tf: '1d',
+    limit: 60,
+    sparkBars: 40,
+    batchSize: 4,
+    batchGapMs: 800,
+    cycleMs: 60000,
+  };
+
+  const STATE = {
+    list: [],
+    data: new Map(),   // SYMBOL -> { last, chg, closes, score, label, ts, err }
+    running: false,
+    timer: null,
+  };
+
+  const norm = (s) => String(s || '').trim().toUpperCase();
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+  // -------- persistence --------
+  function loadList() {
+    const arr = safe(() => JSON.parse(localStorage.getItem(CFG.storageKey) || 'null'));
+    STATE.list = Array.isArray(arr) ? arr.map(norm).filter(Boolean) : CFG.defaults.slice();
+  }
+
+  function saveList() {
+    safe(() => localStorage.setItem(CFG.storageKey, JSON.stringify(STATE.list)));
+  }
+
+  function isLocked() {
+    const s = store();
+    return !(s && s.get('entitlement').entitled);
+  }
+
+  // -------- list ops --------
+  function add(sym) {
+    sym = norm(sym);
+    if (!sym || STATE.list.includes(sym) || STATE.list.length >= CFG.maxItems) return false;
+    STATE.list.push(sym);
+    saveList();
+    render();
+    refreshSymbols([sym]);
+    return true;
+  }
+
+  function remove(sym) {
+    sym = norm(sym);
+    STATE.list = STATE.list.filter(s => s !== sym);
+    STATE.data.delete(sym);
+    saveList();
+    render();
+  }
+
+  // -------- data --------
+  function summarize(bars) {
+    const MP = window.MarketPulse;
+    const closes = bars.map(b => Number(b.close ?? b.c)).filter(Number.isFinite);
+    const last = closes.length ? closes[closes.length - 1] : NaN;
+    const prev = closes.length > 1 ? closes[closes.length - 2] : NaN;
+    const score = MP ? MP.derivePulseScore(bars) : null;
+    return {
+      last,
+      chg: Number.isFinite(prev) && prev ? (last - prev) / prev : NaN,
+      closes: closes.slice(-CFG.sparkBars),
+      score: Number.isFinite(score) ? score : null,
+      label: MP && Number.isFinite(score) ? MP.scoreToLabel(score) : '',
+      ts: Date.now(),
+      err: '',
+    };
+  }
+
+  async function fetchOne(sym) {
+    const CC = window.ChartCore;
+    if (!CC || typeof CC.fetchSnapshot !== 'function') return;
+    try {
+      const raw = await CC.fetchSnapshot(sym, CFG.tf, CFG.limit);
+      const snap = CC.normalizeSnapshot(raw);
+      if (!Array.isArray(snap.bars) || !snap.bars.length) throw new Error('no bars');
+      STATE.data.set(sym, summarize(snap.bars));
+    } catch (e) {
+      const prev = STATE.data.get(sym) || {};
+      STATE.data.set(sym, Object.assign({}, prev, { err: String(e && e.message || e) }));
+    }
+    renderRow(sym);
+  }
+
+  async function refreshSymbols(syms) {
+    if (isLocked()) return;
+    for (let i = 0; i < syms.length; i += CFG.batchSize) {
+      await Promise.all(syms.slice(i, i + CFG.batchSize).map(fetchOne));
+      if (i + CFG.batchSize < syms.length) await sleep(CFG.batchGapMs);
+    }
+  }
+
+  async function refresh() {
+    if (STATE.running) return;
+    STATE.running = true;
+    try {
+      if (!document.hidden) await refreshSymbols(STATE.list.slice());
+    } finally {
+      STATE.running = false;
+      setStatus();
+    }
+  }
+
+  // -------- render --------
+  function drawSpark(canvas, closes, up) {
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) return;
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.clientWidth || 64, h = canvas.clientHeight || 20;
+    canvas.width = Math.round(w * dpr);
+    canvas.height = Math.round(h * dpr);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    ctx.clearRect(0, 0, w, h);
+    if (!closes || closes.length < 2) return;
+
+    let lo = Infinity, hi = -Infinity;
+    for (const c of closes) { if (c < lo) lo = c; if (c > hi) hi = c; }
+    const span = (hi - lo) || 1;
+
+    ctx.beginPath();
+    closes.forEach((c, i) => {
+      const x = (i / (closes.length - 1)) * (w - 2) + 1;
+      const y = h - 1 - ((c - lo) / span) * (h - 2);
+      if (i === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+    });
+    ctx.strokeStyle = up ? 'rgba(43,226,166,1)' : 'rgba(255,90,90,1)';
+    ctx.lineWidth = 1.25;
+    ctx.stroke();
+  }
+
+  function fmtPx(v) {
+    if (!Number.isFinite(v)) return '—';
+    return v >= 1000 ? v.toFixed(0) : v >= 1 ? v.toFixed(2) : v.toPrecision(4);
+  }
+
+  function renderRow(sym) {
+    safe(() => {
+      const row = document.querySelector(`#watchList .watchRow[data-sym="${CSS.escape(sym)}"]`);
+      if (!row) return;
+      const d = STATE.data.get(sym) || {};
+      const up = !(d.chg < 0);
+
+      row.querySelector('.wPx').textContent = fmtPx(d.last);
+
+      const chg = row.querySelector('.wChg');
+      chg.textContent = Number.isFinite(d.chg) ? `${d.chg >= 0 ? '+' : ''}${(d.chg * 100).toFixed(2)}%` : '—';
+      chg.classList.toggle('up', Number.isFinite(d.chg) && up);
+      chg.classList.toggle('down', Number.isFinite(d.chg) && !up);
+
+      const pl = row.querySelector('.wPulse');
+      pl.textContent = d.score != null ? `${d.score} ${d.label}` : '—';
+      pl.dataset.label = d.label || '';
+
+      row.title = d.err ? `${sym} · ${d.err}` : sym;
+      row.classList.toggle('stale', !!d.err);
+
+      drawSpark(row.querySelector('canvas'), d.closes, up);
+    });
+  }
+
+  function render() {
+    safe(() => {
+      const box = $('watchList');
+      if (!box) return;
+      box.innerHTML = '';
+
+      const active = norm(($('symbol') || $('symbo1'))?.value);
+
+      for (const sym of STATE.list) {
+        const row = document.createElement('div');
+        row.className = 'watchRow' + (sym === active ? ' active' : '');
+        row.dataset.sym = sym;
+        row.innerHTML =
+          '<b class="wSym"></b><span class="wPx">—</span><span class="wChg">—</span>' +
+          '<canvas class="wSpark"></canvas><span class="wPulse">—</span>' +
+          '<button class="wDel" title="Remove · 移除">×</button>';
+        row.querySelector('.wSym').textContent = sym;
+        box.appendChild(row);
+        renderRow(sym);
+      }
+
+      if (!STATE.list.length) {
+        const empty = document.createElement('div');
+        empty.className = 'small';
+        empty.textContent = 'Empty · 自选为空';
+        box.appendChild(empty);
+      }
+      setStatus();
+    });
+  }
+
+  function setStatus(text) {
+    safe(() => {
+      const el = $('watchStatus');
+      if (!el) return;
+      if (text) { el.textContent = text; return; }
+      if (isLocked()) { el.textContent = 'Locked · 未解锁'; return; }
+      el.textContent = `${STATE.list.length} · ${CFG.tf}`;
+    });
+  }
+
+  function openOnChart(sym) {
+    const symEl = $('symbol') || $('symbo1');
+    if (!symEl) return;
+    symEl.value = sym;
+    safe(() => $('loadBtn')?.click());
+    safe(() => {
+      document.querySelectorAll('#watchList .watchRow').forEach(r => r.classList.toggle('active', r.dataset.sym === sym));
+    });
+  }
+
+  // -------- CSV --------
+  function exportCSV() {
+    const lines = ['symbol,last,change_pct,pulse_score,pulse_label'];
+    for (const sym of STATE.list) {
+      const d = STATE.data.get(sym) || {};
+      lines.push([
+        sym,
+        Number.isFinite(d.last) ? Number(d.last.toFixed(4)) : '',
+        Number.isFinite(d.chg) ? (d.chg * 100).toFixed(2) : '',
+        d.score != null ? d.score : '',
+        d.label || '',
+      ].join(','));
+    }
+    const csv = lines.join('\n') + '\n';
+
+    safe(() => {
+      const blob = new Blob([csv], { type: 'text/csv' });
+      const a = document.createElement('a');
+      a.href = URL.createObjectURL(blob);
+      a.download = 'darrius-watchlist.csv';
+      document.body.appendChild(a);
+      a.click();
+      a.remove();
+      setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    });
+    return csv;
+  }
+
+  function parseCSV(text) {
+    const out = [];
+    String(text || '').split(/\r?\n/).forEach((line, i) => {
+      const cell = norm(line.split(/[,;\t]/)[0].replace(/^"|"$/g, ''));
+      if (!cell || (i === 0 && cell === 'SYMBOL')) return;
+      if (/^[A-Z0-9][A-Z0-9.\-/=^:]{0,19}$/.test(cell) && !out.includes(cell)) out.push(cell);
+    });
+    return out;
+  }
+
+  function importCSV(text, replace) {
+    const syms = parseCSV(text);
+    if (!syms.length) return 0;
+    const base = replace ? [] : STATE.list.slice();
+    for (const s of syms) if (!base.includes(s)) base.push(s);
+    STATE.list = base.slice(0, CFG.maxItems);
+    saveList();
+    render();
+    refresh();
+    return syms.length;
+  }
+
+  function start() {
+    loadList();
+    render();
+
+    safe(() => {
+      $('watchList')?.addEventListener('click', (e) => {
+        const row = e.target.closest('.watchRow');
+        if (!row) return;
+        if (e.target.closest('.wDel')) { remove(row.dataset.sym); return; }
+        openOnChart(row.dataset.sym);
+      });
+
+      const addInput = $('watchAddInput');
+      const doAdd = () => { if (add(addInput.value)) addInput.value = ''; };
+      $('watchAddBtn')?.addEventListener('click', doAdd);
+      addInput?.addEventListener('keydown', (e) => { if (e.key === 'Enter') doAdd(); });
+
+      $('watchExportBtn')?.addEventListener('click', exportCSV);
+      $('watchImportBtn')?.addEventListener('click', () => $('watchImportFile')?.click());
+      $('watchImportFile')?.addEventListener('change', (e) => {
+        const f = e.target.files && e.target.files[0];
+        if (!f) return;
+        f.text().then((t) => {
+          const n = importCSV(t, false);
+          setStatus(n ? `Imported ${n} · 已导入` : 'No symbols in CSV · 未识别');
+        });
+        e.target.value = '';
+      });
+    });
+
+    // highlight the row of whatever the main chart is showing
+    safe(() => {
+      window.addEventListener('darrius:chartUpdated', (e) => {
+        const sym = norm(e && e.detail && e.detail.symbol);
+        document.querySelectorAll('#watchList .watchRow').forEach(r => r.classList.toggle('active', r.dataset.sym === sym));
+      });
+      store()?.subscribe('entitlement', refresh, { immediate: false });
+      document.addEventListener('visibilitychange', () => { if (!document.hidden) refresh(); });
+    });
+
+    // after the main chart's first load has been issued
+    setTimeout(refresh, 1500);
+    STATE.timer = setInterval(refresh, CFG.cycleMs);
+  }
+
+  window.Watchlist = {
+    add,
+    remove,
+    list: () => STATE.list.slice(),
+    refresh,
+    importCSV,
+    exportCSV,
+  };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', start);
+  else start();
+})();